@@ -0,0 +1,72 @@
+// Scanning throughput with each secp256k1 backend: node bench/scan.js [transactions]
+const { randomBytes } = require("crypto");
+const {
+  KeyGeneration,
+  LabelManager,
+  SilentPaymentBuilder,
+  BitcoinScriptOutput,
+  setCryptoBackend,
+} = require("..");
+const secp = require("../utils/secp256k1");
+
+const TRANSACTIONS = Number(process.argv[2] || 200);
+const OUTPUTS = 4;
+
+const keys = KeyGeneration.fromPrivateKeys({
+  b_scan: "0f694e068028a717f8af6b9411f9a133dd3565258714cc226594b34db90c1f2c",
+  b_spend: "9d6ad855ce3417ef84e836892e5a56392bfba05fa5d97ccea30e266f540e08b3",
+});
+const labels = new LabelManager(keys, { count: 10 });
+
+// Transactions paying someone else, the common case while scanning
+const transactions = Array.from({ length: TRANSACTIONS }, () => {
+  let privateKey;
+  do privateKey = randomBytes(32);
+  while (!secp.isPrivate(privateKey));
+
+  return {
+    vinOutpoints: [{ txid: randomBytes(32).toString("hex"), index: 0 }],
+    pubkeys: [secp.pointFromScalar(privateKey).toString("hex")],
+    outputs: Array.from(
+      { length: OUTPUTS },
+      () =>
+        new BitcoinScriptOutput(
+          "5120" +
+            secp.xOnly(secp.pointFromScalar(randomBytes(32))).toString("hex"),
+          1000
+        )
+    ),
+  };
+});
+
+function scanAll() {
+  for (const { vinOutpoints, pubkeys, outputs } of transactions) {
+    new SilentPaymentBuilder({ vinOutpoints, pubkeys }).scanOutputs(
+      keys,
+      outputs,
+      labels
+    );
+  }
+}
+
+const results = {};
+
+for (const backend of ["elliptic", "tiny-secp256k1"]) {
+  setCryptoBackend(backend);
+  scanAll(); // Warm up
+
+  const start = process.hrtime.bigint();
+  scanAll();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  results[backend] = ms;
+  console.log(
+    `${backend.padEnd(15)} ${(TRANSACTIONS / (ms / 1000)).toFixed(0)} tx/s`
+  );
+}
+
+console.log(
+  `tiny-secp256k1 is ${(results.elliptic / results["tiny-secp256k1"]).toFixed(
+    1
+  )}x faster`
+);
@@ -1,19 +1,25 @@
-const elliptic = require("elliptic");
-const ec = new elliptic.ec("secp256k1");
-const BN = require("bn.js");
+const { Buffer } = require("buffer");
 const { toTaprootAddress } = require("../utils/taproot");
+const Network = require("../utils/network");
+const secp = require("../utils/secp256k1");
 const {
   toBytes,
   taggedHash,
-  toTweakedTaprootKey,
-  negate,
-  tweakAddPrivate,
-  tweakMulPrivate,
-  tweakMulPublic,
-  tweakAddPublic,
-  pubNegate,
+  tweakTaprootPrivateKey,
+  shuffleArray,
 } = require("../utils/utils");
 const SilentPaymentScanningOutput = require("../utils/output");
+const { SilentPaymentOutput } = SilentPaymentScanningOutput;
+const { generateLabel } = require("../utils/label");
+const LabelManager = require("./LabelManager");
+const { getPublicKeyFromInput, isP2TR } = require("../utils/input");
+const { K_MAX, SendError } = require("../utils/const");
+const {
+  InvalidKeyError,
+  IneligibleInputError,
+  NetworkMismatchError,
+  InvalidArgumentError,
+} = require("../utils/errors");
 
 /**
  * This class helps you create a destination taproot address, scan and spend
@@ -21,29 +27,54 @@ const SilentPaymentScanningOutput = require("../utils/output");
  */
 
 class SilentPaymentBuilder {
-  constructor({ vinOutpoints, pubkeys, network = "mainnet", receiverTweak }) {
+  /**
+   * @param vinOutpoints Outpoints spent by the transaction
+   * @param pubkeys Public keys of the eligible inputs. Keys that are not compressed are not
+   * eligible and left out when scanning, sending with them throws
+   * @param inputs Transaction inputs with their prevout scripts. Use TransactionInput.
+   * Replaces vinOutpoints and pubkeys, eligible public keys are derived from them.
+   * @param network Network of the transaction. When given, silent payment destinations must be on it
+   * @param receiverTweak Precomputed tweak to scan with
+   */
+
+  constructor({ vinOutpoints, pubkeys, inputs, network, receiverTweak }) {
+    if (inputs != null) {
+      vinOutpoints = inputs.map((input) => ({
+        txid: input.txid,
+        index: input.index,
+      }));
+      pubkeys = inputs
+        .map((input) => getPublicKeyFromInput(input))
+        .filter((pubkey) => pubkey !== null);
+    }
+
     this.vinOutpoints = vinOutpoints;
     this.pubkeys = pubkeys;
     this.receiverTweak = receiverTweak;
-    this.network = network;
+    this.network = Network.from(network || Network.Mainnet);
+    this._networkGiven = network != null;
     this.A_sum = null;
     this.inputHash = null;
 
-    if (receiverTweak == null && pubkeys != null) {
+    if (receiverTweak == null && pubkeys != null && pubkeys.length > 0) {
       this._getAsum();
-      this._getInputHash();
+      if (this.A_sum !== null) this._getInputHash();
     }
   }
 
   _getAsum() {
-    const head = this.pubkeys[0];
-    const tail = this.pubkeys.slice(1);
-
-    this.A_sum = tail.reduce((acc, item) => {
-      const accPoint = ec.keyFromPublic(acc, "hex").getPublic();
-      const itemPoint = ec.keyFromPublic(item, "hex").getPublic();
-      return accPoint.add(itemPoint).encode("hex", true);
-    }, head);
+    // Only compressed keys are eligible (BIP-352), the others are left out of the sum
+    const points = this.pubkeys
+      .filter((pubkey) => isCompressedKey(pubkey))
+      .map((pubkey) => secp.toPoint(pubkey));
+    if (points.length === 0) return;
+
+    // null is the point at infinity. Inputs whose keys sum to it are not eligible
+    const sum = points.reduce((acc, point) =>
+      acc === null ? point : secp.pointAdd(acc, point)
+    );
+
+    this.A_sum = sum === null ? null : sum.toString("hex");
   }
 
   _getInputHash() {
@@ -65,175 +96,325 @@ class SilentPaymentBuilder {
   }
 
   /**
-   * Create a destination taproot address for each silent payment address
-   * @param inputPrivKeyInfos Private key for each transaction output. Use ECPrivateInfo
+   * Tweak data of the transaction, input_hash·A_sum. Light clients can scan with it
+   * by passing it back as receiverTweak.
+   * @returns Compressed public key hex or null if the transaction has no eligible inputs
+   */
+
+  getReceiverTweak() {
+    if (this.receiverTweak) return this.receiverTweak;
+    if (this.A_sum === null) return null;
+
+    return secp
+      .pointMultiply(Buffer.from(this.A_sum, "hex"), this.inputHash)
+      .toString("hex");
+  }
+
+  // Scanning and spending need the tweak, which transactions without eligible inputs lack
+  _requireReceiverTweak() {
+    const tweak = this.getReceiverTweak();
+    if (tweak !== null) return tweak;
+
+    if (this.pubkeys != null && this.pubkeys.some(isCompressedKey)) {
+      throw new IneligibleInputError(
+        "Input public keys sum to the point at infinity",
+        { code: SendError.ZERO_INPUT_SUM }
+      );
+    }
+    throw new IneligibleInputError("The transaction has no eligible inputs", {
+      code: SendError.NO_INPUTS,
+    });
+  }
+
+  /**
+   * Create a destination taproot address for each silent payment address.
+   * Inputs and destinations are validated first, errors have a code from SendError.
+   * @param inputPrivKeyInfos Private key for each eligible transaction input. Use ECPrivateInfo
    * @param silentPaymentDestinations Destination of the silent payment. Use SilentPaymentDestination
    * @returns Object pointing each silent payment address to the destination taproot address
    */
 
   createOutputs(inputPrivKeyInfos, silentPaymentDestinations) {
+    const result = {};
+
+    for (const output of this._deriveOutputs(
+      inputPrivKeyInfos,
+      silentPaymentDestinations
+    )) {
+      const resOutput = {
+        address: output.taprootAddress,
+        amount: output.destination.amount,
+      };
+
+      if (result[output.destination.toString()]) {
+        result[output.destination.toString()].push(resOutput);
+      } else {
+        result[output.destination.toString()] = [resOutput];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create the outputs of a transaction paying silent payment addresses, one for each destination
+   * and in the same order. Validated like createOutputs.
+   * @param inputPrivKeyInfos Private key for each eligible transaction input. Use ECPrivateInfo
+   * @param silentPaymentDestinations Destination of the silent payment. Use SilentPaymentDestination
+   * @param shuffle Return the outputs in random order, so their position does not reveal the
+   * order of the destinations. index still points to the destination of each output
+   * @returns Array of { index, silentPaymentAddress, scanPubkey, k, address, pubkey, script, amount },
+   * with the taproot address, x-only public key and script of each output
+   */
+
+  createOutputList(
+    inputPrivKeyInfos,
+    silentPaymentDestinations,
+    { shuffle = false } = {}
+  ) {
+    const outputs = this._deriveOutputs(
+      inputPrivKeyInfos,
+      silentPaymentDestinations
+    ).map(({ index, destination, scanPubkey, k, taprootAddress }) => ({
+      index,
+      silentPaymentAddress: destination.toString(),
+      scanPubkey,
+      k,
+      address: taprootAddress.address,
+      pubkey: taprootAddress.pubkey.toString("hex"),
+      script: "5120" + taprootAddress.pubkey.toString("hex"),
+      amount: destination.amount,
+    }));
+
+    return shuffle ? shuffleArray(outputs) : outputs;
+  }
+
+  // Outputs parallel to the destinations. k counts the outputs of each scan key in destination order
+  _deriveOutputs(inputPrivKeyInfos, silentPaymentDestinations) {
+    const network = this._checkDestinations(silentPaymentDestinations);
+    this._checkInputCounts(inputPrivKeyInfos);
+
+    // null is zero
     let a_sum = null;
-    let network;
 
     for (const info of inputPrivKeyInfos) {
-      let k = ec.keyFromPrivate(info.privkey);
+      let k = toPrivateKey(info.privkey);
       const isTaproot = info.isTaproot;
 
       if (isTaproot) {
         if (info.tweak) {
-          k = toTweakedTaprootKey(k);
+          k = tweakTaprootPrivateKey(k);
         }
 
-        const xOnlyPubkey = k.getPublic();
-        const isOdd = xOnlyPubkey.getY().isOdd();
-
-        if (isOdd) {
-          k = negate(k);
+        if (!secp.hasEvenY(secp.pointFromScalar(k))) {
+          k = secp.privateNegate(k);
         }
       }
 
-      if (a_sum === null) {
-        a_sum = k;
-      } else {
-        a_sum = tweakAddPrivate(a_sum, k.getPrivate());
-      }
+      a_sum = a_sum === null ? k : secp.privateAdd(a_sum, k);
     }
 
-    this.A_sum = a_sum.getPublic().encode("hex", true);
-    this._getInputHash();
+    if (a_sum === null) {
+      throw sendError(
+        SendError.ZERO_INPUT_SUM,
+        "The input private keys sum to zero, no silent payment outputs can be created"
+      );
+    }
 
-    const silentPaymentGroups = {};
+    const A_sum = secp.pointFromScalar(a_sum).toString("hex");
+    if (
+      this.pubkeys != null &&
+      this.pubkeys.length > 0 &&
+      A_sum !== this.A_sum
+    ) {
+      throw sendError(
+        SendError.INPUT_KEY_MISMATCH,
+        "The input private keys do not match the public keys of the inputs"
+      );
+    }
 
-    for (const silentPaymentDestination of silentPaymentDestinations) {
-      const B_scan = silentPaymentDestination.B_scan;
-      network = silentPaymentDestination.network;
-      const scanPubkey = B_scan.encodeCompressed("hex");
+    this.A_sum = A_sum;
+    this._getInputHash();
 
-      if (silentPaymentGroups[scanPubkey]) {
-        const group = silentPaymentGroups[scanPubkey];
-        const ecdhSharedSecret = Object.keys(group)[0];
-        const recipients = group[ecdhSharedSecret];
+    const ecdhSharedSecrets = {};
+    const nextK = {};
 
-        silentPaymentGroups[scanPubkey] = {
-          [ecdhSharedSecret]: [...recipients, silentPaymentDestination],
-        };
-      } else {
-        const senderPartialSecret = tweakMulPrivate(
-          a_sum,
-          new BN(this.inputHash)
+    return silentPaymentDestinations.map((destination, index) => {
+      const B_scan = destination.B_scan;
+      const scanPubkey = secp.toPoint(B_scan).toString("hex");
+
+      if (!ecdhSharedSecrets[scanPubkey]) {
+        // input_hash·a_sum·B_scan, with the secret key applied last
+        ecdhSharedSecrets[scanPubkey] = secp.ecdh(
+          secp.pointMultiply(secp.toPoint(B_scan), this.inputHash),
+          a_sum
         );
-        const ecdhSharedSecret = tweakMulPublic(
-          ec.keyFromPublic(B_scan, "hex").getPublic(),
-          senderPartialSecret.getPrivate()
-        ).encode("hex", true);
-
-        silentPaymentGroups[scanPubkey] = {
-          [ecdhSharedSecret]: [silentPaymentDestination],
-        };
+        nextK[scanPubkey] = 0;
       }
+
+      const k = nextK[scanPubkey]++;
+      const t_k = taggedHash(
+        Buffer.concat([
+          ecdhSharedSecrets[scanPubkey],
+          Buffer.from(toBytes(BigInt(k), 4), "array"),
+        ]),
+        "BIP0352/SharedSecret"
+      );
+
+      const P_mn = secp.pointAddScalar(secp.toPoint(destination.B_spend), t_k);
+
+      return {
+        index,
+        destination,
+        scanPubkey,
+        k,
+        taprootAddress: toTaprootAddress(P_mn, network, { tweak: false }),
+      };
+    });
+  }
+
+  _checkInputCounts(inputPrivKeyInfos) {
+    if (this.vinOutpoints == null || this.vinOutpoints.length === 0) {
+      throw sendError(SendError.NO_INPUTS, "The transaction has no inputs");
+    }
+    if (inputPrivKeyInfos.length === 0) {
+      throw sendError(SendError.NO_INPUTS, "No eligible input private keys");
+    }
+    if (inputPrivKeyInfos.length > this.vinOutpoints.length) {
+      throw sendError(
+        SendError.INPUT_COUNT_MISMATCH,
+        `${inputPrivKeyInfos.length} input private keys for ${this.vinOutpoints.length} inputs`
+      );
     }
 
-    const result = {};
+    if (this.pubkeys == null) return;
 
-    for (const [scanPubkey, group] of Object.entries(silentPaymentGroups)) {
-      const ecdhSharedSecret = Object.keys(group)[0];
-      const destinations = group[ecdhSharedSecret];
-
-      let k = 0;
-      for (const destination of destinations) {
-        const t_k = taggedHash(
-          Buffer.concat([
-            Buffer.from(
-              ec
-                .keyFromPublic(Buffer.from(ecdhSharedSecret, "hex"))
-                .getPublic()
-                .encodeCompressed(),
-              "array"
-            ),
-            Buffer.from(toBytes(BigInt(k), 4), "array"),
-          ]),
-          "BIP0352/SharedSecret"
+    for (const pubkey of this.pubkeys) {
+      if (Buffer.from(pubkey, "hex").length !== 33) {
+        throw sendError(
+          SendError.INELIGIBLE_INPUT,
+          `Input public key ${pubkey} is not compressed and not eligible for silent payments`
         );
+      }
+    }
+    if (
+      this.pubkeys.length > 0 &&
+      this.pubkeys.length !== inputPrivKeyInfos.length
+    ) {
+      throw sendError(
+        SendError.INPUT_COUNT_MISMATCH,
+        `${inputPrivKeyInfos.length} input private keys for ${this.pubkeys.length} eligible inputs`
+      );
+    }
+  }
 
-        const P_mn = tweakAddPublic(
-          ec.keyFromPublic(destination.B_spend, "hex").getPublic(),
-          new BN(t_k)
+  // Destinations must share a network, the one of the builder when it was given
+  _checkDestinations(destinations) {
+    let network = this._networkGiven ? this.network : null;
+    const groups = {};
+
+    for (const destination of destinations) {
+      if (network === null) network = destination.network;
+      if (!Network.isCompatible(destination.network, network)) {
+        throw sendError(
+          SendError.NETWORK_MISMATCH,
+          `Silent payment address ${destination.toString()} is not a ${network} address`
         );
+      }
 
-        const resOutput = {
-          address: toTaprootAddress(P_mn, network, { tweak: false }),
-          amount: destination.amount,
-        };
-
-        if (result[destination.toString()]) {
-          result[destination.toString()].push(resOutput);
-        } else {
-          result[destination.toString()] = [resOutput];
-        }
-
-        k++;
+      const scanPubkey = secp.toPoint(destination.B_scan).toString("hex");
+      groups[scanPubkey] = (groups[scanPubkey] || 0) + 1;
+      if (groups[scanPubkey] > K_MAX) {
+        throw sendError(
+          SendError.TOO_MANY_OUTPUTS,
+          `More than ${K_MAX} outputs to the scan key ${scanPubkey}`
+        );
       }
     }
 
-    return result;
+    return network || this.network;
   }
 
   /**
    * Scan every transaction on the network to find users silent payments
    * Check here to see valid checks: https://github.com/bitcoin/bips/blob/master/bip-0352.mediawiki#scanning-silent-payment-eligible-transactions
-   * @param b_scan Scan private key.
+   * @param b_scan Scan private key. Or pass keys (KeyGeneration, ScanKey) in place of b_scan and B_spend
    * @param B_spend Spend Public key
    * @param outputsToCheck Script and amount to check. Use BitcoinScriptOutput
    * @param precomputedLabels Optional labels to differentiate silent payments if already precomputed.
-   * @returns Silent payment address and the amount
+   * Maps each label public key (compressed hex) to its label tweak (hex). Pass a LabelManager
+   * instead to get the label number of labeled outputs, found labels are marked used on it
+   * @returns Matches keyed by output public key. Use SilentPaymentScanningOutput
    */
 
   scanOutputs(b_scan, B_spend, outputsToCheck, precomputedLabels = {}) {
-    const tweakDataForRecipient = this.receiverTweak
-      ? ec.keyFromPublic(this.receiverTweak).getPublic()
-      : tweakMulPublic(
-          ec.keyFromPublic(Buffer.from(this.A_sum, "hex")).getPublic(),
-          this.inputHash
-        );
-    const ecdhSharedSecret = tweakMulPublic(tweakDataForRecipient, b_scan);
+    if (isKeys(b_scan)) {
+      return this.scanOutputs(
+        b_scan.b_scan,
+        b_scan.B_spend,
+        B_spend,
+        outputsToCheck
+      );
+    }
+
+    let labelManager = null;
+    if (precomputedLabels instanceof LabelManager) {
+      labelManager = precomputedLabels;
+      precomputedLabels = labelManager.precomputedLabels;
+    }
+
+    const spendKey = secp.toPoint(B_spend);
+    const ecdhSharedSecret = secp.ecdh(
+      Buffer.from(this._requireReceiverTweak(), "hex"),
+      secp.toScalar(b_scan)
+    );
 
     const matches = {};
+    const hasLabels =
+      precomputedLabels != null && Object.keys(precomputedLabels).length > 0;
     var k = 0;
 
-    while (outputsToCheck.length > 0) {
+    // Only taproot outputs can be silent payments
+    outputsToCheck = outputsToCheck.filter((output) =>
+      isP2TR(toScriptBuffer(output.script))
+    );
+
+    // Senders create at most K_MAX outputs per scan key, so stop there
+    while (outputsToCheck.length > 0 && k < K_MAX) {
       const t_k = taggedHash(
         Buffer.concat([
-          Buffer.from(ecdhSharedSecret.encodeCompressed(), "array"),
+          ecdhSharedSecret,
           Buffer.from(toBytes(BigInt(k), 4), "array"),
         ]),
         "BIP0352/SharedSecret"
       );
 
-      const P_k = tweakAddPublic(B_spend, t_k);
+      const P_k = secp.pointAddScalar(spendKey, t_k);
+      const xOnlyP_k = secp.xOnly(P_k);
 
       let i = 0;
       let foundMatch = false;
 
       while (i < outputsToCheck.length) {
-        const output = outputsToCheck[i].script.slice(4);
+        const output = toScriptBuffer(outputsToCheck[i].script).subarray(2);
         const outputPubkey = output.toString("hex");
-        const outputAmount = Number(outputsToCheck[i].value);
-
-        if (
-          Buffer.compare(
-            Buffer.from(output, "hex"),
-            Buffer.from(P_k.encodeCompressed().slice(1), "array")
-          ) === 0
-        ) {
-          matches[outputPubkey] = new SilentPaymentScanningOutput({
-            output: new SilentPaymentOutput(
+        const outputValue = outputsToCheck[i].value;
+        const outputAmount = outputValue == null ? null : Number(outputValue);
+
+        if (output.equals(xOnlyP_k)) {
+          matches[outputPubkey] = new SilentPaymentScanningOutput(
+            new SilentPaymentOutput(
               toTaprootAddress(P_k, this.network, {
                 tweak: false,
               }),
               outputAmount
             ),
-            tweak: t_k.toString("hex"),
-          });
+            t_k.toString("hex"),
+            null,
+            k,
+            null,
+            outputValue
+          );
 
           outputsToCheck.splice(i, 1);
           k++;
@@ -241,45 +422,44 @@ class SilentPaymentBuilder {
           break;
         }
 
-        if (
-          precomputedLabels != null &&
-          Object.keys(precomputedLabels).length > 0
-        ) {
-          var m_G_sub = tweakAddPublic(
-            ec.keyFromPublic(Buffer.from(output, "hex")).getPublic(),
-            pubNegate(P_k)
-          );
-          var m_G =
-            precomputedLabels[
-              ec.keyFromPublic(m_G_sub).getPublic().encodeCompressed("hex")
-            ];
-
-          if (!m_G) {
-            m_G_sub = ec
-              .keyFromPublic(Buffer.from(output, "hex"))
-              .getPublic()
-              .add(pubNegate(P_k));
-            m_G =
-              precomputedLabels[
-                ec.keyFromPublic(m_G_sub).getPublic().encodeCompressed("hex")
-              ];
-          }
+        if (hasLabels) {
+          // Outputs are x-only, so the label is either output - P_k or -output - P_k
+          const outputPoint = secp.liftX(output);
+          const negatedP_k = secp.pointNegate(P_k);
+
+          const m_G =
+            outputPoint &&
+            (findLabel(
+              secp.pointAdd(outputPoint, negatedP_k),
+              precomputedLabels
+            ) ||
+              findLabel(
+                secp.pointAdd(secp.pointNegate(outputPoint), negatedP_k),
+                precomputedLabels
+              ));
 
           if (m_G) {
-            const P_km = tweakAddPublic(P_k, m_G);
+            const m = Buffer.from(m_G, "hex");
+            const P_km = secp.pointAddScalar(P_k, m);
 
-            matches[outputPubkey] = new SilentPaymentScanningOutput({
-              output: new SilentPaymentOutput(
+            matches[outputPubkey] = new SilentPaymentScanningOutput(
+              new SilentPaymentOutput(
                 toTaprootAddress(P_km, this.network, {
                   tweak: false,
                 }),
                 outputAmount
               ),
-              tweak: tweakAddPrivate(ec.keyFromPrivate(t_k).getPrivate(), m_G)
-                .getPrivate()
-                .toString("hex"),
-              label: m_G,
-            });
+              secp.privateAdd(t_k, m).toString("hex"),
+              labelManager ? labelManager.resolve(m_G).m : null,
+              k,
+              m_G,
+              outputValue
+            );
+
+            // Grows the shared table, so the next outputs can use labels past the gap
+            if (labelManager) {
+              labelManager.markUsed({ [outputPubkey]: matches[outputPubkey] });
+            }
 
             outputsToCheck.splice(i, 1);
             k++;
@@ -302,54 +482,140 @@ class SilentPaymentBuilder {
 
   /**
    * Spend the silent payment
-   * @param b_scan Scan private key
+   * @param b_scan Scan private key. Or pass keys (KeyGeneration) in place of b_scan and b_spend
    * @param b_spend Spend private Key
-   * @returns
+   * @param output Scanned output to spend, as returned by scanOutputs. Its tweak already
+   * accounts for k and the label
+   * @param k Index of the output for the recipient in the transaction, when output is not given
+   * @param label Label number m the output was sent to, when output is not given
+   * @param outputPubkey Optional x-only public key or script of the output being spent, checked
+   * against the derived key
+   * @returns Private key of the output as hex
    */
 
-  spendOutputs(b_scan, b_spend) {
+  spendOutputs(
+    b_scan,
+    b_spend,
+    { output, k = 0, label = null, outputPubkey } = {}
+  ) {
+    if (isKeys(b_scan)) {
+      if (b_scan.b_spend == null) throw watchOnlyError();
+      return this.spendOutputs(b_scan.b_scan, b_scan.b_spend, b_spend);
+    }
+    if (b_spend == null) throw watchOnlyError();
+
     let tweakScalar;
 
-    if (this.receiverTweak) {
-      // The tweak is already the t_k scalar value, use it directly as BigInt
-      tweakScalar = new BN(Buffer.from(this.receiverTweak, "hex"));
+    if (output) {
+      tweakScalar = secp.toScalar(output.tweak);
+      outputPubkey = output.output.address.pubkey;
+    } else if (this.receiverTweak && this.receiverTweak.length === 64) {
+      // The tweak is already the t_k scalar value, use it directly
+      tweakScalar = Buffer.from(this.receiverTweak, "hex");
     } else {
-      // Calculate the tweak from inputs
-      const tweakDataForRecipient = tweakMulPublic(
-        ec.keyFromPublic(Buffer.from(this.A_sum, "hex")).getPublic(),
-        this.inputHash
+      // Calculate the tweak from inputs, or from the tweak data of a light client
+      const ecdhSharedSecret = secp.ecdh(
+        Buffer.from(this._requireReceiverTweak(), "hex"),
+        secp.toScalar(b_scan)
       );
 
-      const ecdhSharedSecret = tweakMulPublic(tweakDataForRecipient, b_scan);
-
-      var k = 0;
-
-      const t_k = taggedHash(
+      tweakScalar = taggedHash(
         Buffer.concat([
-          Buffer.from(ecdhSharedSecret.encodeCompressed(), "array"),
+          ecdhSharedSecret,
           Buffer.from(toBytes(BigInt(k), 4), "array"),
         ]),
         "BIP0352/SharedSecret"
       );
 
-      tweakScalar = new BN(t_k);
+      if (label !== null) {
+        tweakScalar = secp.privateAdd(
+          tweakScalar,
+          generateLabel(label, secp.toScalar(b_scan))
+        );
+      }
     }
 
     // Apply the tweak to get the private key
-    const p_k = tweakAddPrivate(
-      ec.keyFromPrivate(b_spend.toString("hex")),
-      tweakScalar
-    );
+    const p_k = secp.privateAdd(secp.toScalar(b_spend), tweakScalar);
+
+    if (outputPubkey != null) {
+      const expected = toXOnlyKey(outputPubkey);
+      const actual = secp.xOnly(secp.pointFromScalar(p_k));
 
-    return p_k.getPrivate().toString("hex");
+      if (!actual.equals(expected)) {
+        throw new InvalidKeyError(
+          "Private key does not match the output being spent",
+          { code: "KEY_MISMATCH" }
+        );
+      }
+    }
+
+    return p_k.toString("hex");
   }
 }
 
-class SilentPaymentOutput {
-  constructor(address, value) {
-    this.address = address;
-    this.value = value;
+function isKeys(value) {
+  return value != null && value.b_scan !== undefined;
+}
+
+function watchOnlyError() {
+  return new InvalidKeyError(
+    "Cannot spend with watch-only keys: the spend private key is missing",
+    { code: "WATCH_ONLY" }
+  );
+}
+
+// Elliptic points carry no encoding, keys given as bytes or hex must be 33 bytes
+function isCompressedKey(pubkey) {
+  if (typeof pubkey !== "string" && !(pubkey instanceof Uint8Array)) {
+    return true;
+  }
+  const bytes =
+    typeof pubkey === "string" ? Buffer.from(pubkey, "hex") : pubkey;
+  return bytes.length === 33 && (bytes[0] === 0x02 || bytes[0] === 0x03);
+}
+
+function findLabel(labelPoint, precomputedLabels) {
+  if (labelPoint === null) return null;
+  return precomputedLabels[labelPoint.toString("hex")] || null;
+}
+
+function toXOnlyKey(pubkey) {
+  const key = toScriptBuffer(pubkey);
+  return isP2TR(key) ? key.subarray(2) : key;
+}
+
+function toScriptBuffer(script) {
+  return Buffer.isBuffer(script) ? script : Buffer.from(script, "hex");
+}
+
+function toPrivateKey(privkey) {
+  let scalar;
+  try {
+    scalar = secp.toScalar(privkey);
+  } catch (e) {
+    scalar = null;
   }
+
+  if (scalar === null || !secp.isPrivate(scalar)) {
+    throw sendError(SendError.INVALID_KEY, "Input private key out of range");
+  }
+  return scalar;
+}
+
+const SEND_ERROR_CLASSES = {
+  [SendError.NO_INPUTS]: IneligibleInputError,
+  [SendError.INVALID_KEY]: InvalidKeyError,
+  [SendError.INELIGIBLE_INPUT]: IneligibleInputError,
+  [SendError.INPUT_COUNT_MISMATCH]: InvalidArgumentError,
+  [SendError.INPUT_KEY_MISMATCH]: InvalidKeyError,
+  [SendError.ZERO_INPUT_SUM]: IneligibleInputError,
+  [SendError.TOO_MANY_OUTPUTS]: InvalidArgumentError,
+  [SendError.NETWORK_MISMATCH]: NetworkMismatchError,
+};
+
+function sendError(code, message) {
+  return new SEND_ERROR_CLASSES[code](message, { code });
 }
 
 module.exports = SilentPaymentBuilder;
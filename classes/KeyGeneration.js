@@ -1,23 +1,56 @@
-const EC = require("elliptic").ec;
-const ec = new EC("secp256k1");
-const tinysecp = require("tiny-secp256k1");
+const { Buffer } = require("buffer");
+const BN = require("bn.js");
 const { BIP32Factory } = require("bip32");
-const bip39 = require("bip39");
-const {
-  encodeBech32,
-  convertToBase32,
-  convertFromBase32,
-  decodeBech32,
-} = require("../utils/bech32");
+const { encodeBech32, convertToBase32 } = require("../utils/bech32");
 const Network = require("../utils/network");
+const { parseAddress, decodeBase58Check } = require("../utils/address");
+const { parseDescriptor, toDescriptor } = require("../utils/descriptor");
 const { generateLabel, tweakAdd } = require("../utils/label");
-const bip32 = BIP32Factory(tinysecp);
+const secp = require("../utils/secp256k1");
+const { mnemonicToSeed } = require("../utils/hash");
+const {
+  signatureMessage,
+  deriveKeysFromSignature,
+} = require("../utils/signature");
+const {
+  InvalidArgumentError,
+  InvalidKeyError,
+  InvalidFormatError,
+  NetworkMismatchError,
+} = require("../utils/errors");
+const bip32 = BIP32Factory(secp.bip32Ecc);
+
+// BIP-352 derivation paths: m/352'/coin_type'/account'/(1' scan | 0' spend)/0
+const SCAN_PATH = "1'/0";
+const SPEND_PATH = "0'/0";
+
+function accountPath(coinType, account) {
+  if (!Number.isInteger(account) || account < 0 || account >= 0x80000000) {
+    throw new InvalidArgumentError(`Invalid account index: ${account}`);
+  }
+  return `m/352'/${coinType}'/${account}'`;
+}
 
-const MAINNET_SCAN_PATH = "m/352'/0'/0'/1'/0";
-const MAINNET_SPEND_PATH = "m/352'/0'/0'/0'/0";
+// Network whose version bytes an extended key uses. Testnet, signet and regtest share tprv/tpub
+function extendedKeyNetwork(key) {
+  let version;
+  try {
+    version = decodeBase58Check(key).readUInt32BE(0);
+  } catch (e) {
+    throw new InvalidKeyError(`Invalid extended key: ${key}`);
+  }
 
-const TESTNET_SCAN_PATH = "m/352'/1'/0'/1'/0";
-const TESTNET_SPEND_PATH = "m/352'/1'/0'/0'/0";
+  const network = Network.all.find((name) => {
+    const { bip32 } = Network.params(name);
+    return version === bip32.private || version === bip32.public;
+  });
+  if (!network) {
+    throw new InvalidKeyError(
+      `Unknown extended key version: 0x${version.toString(16)}`
+    );
+  }
+  return network;
+}
 
 class SilentPaymentAddress {
   static get regex() {
@@ -27,13 +60,19 @@ class SilentPaymentAddress {
   constructor({ B_scan, B_spend, network = Network.Mainnet, version = 0 }) {
     this.B_scan = B_scan;
     this.B_spend = B_spend;
-    this.network = network;
+    this.network = Network.from(network);
     this.version = version;
-    this.hrp = this.network === Network.Testnet ? "tsp" : "sp";
-
-    // Version validation
-    if (this.version !== 0) {
-      throw new Error("Can't have other version than 0 for now");
+    this.hrp = Network.params(this.network).hrp;
+
+    // Version validation. Versions 1 to 30 are only read for forward compatibility
+    if (
+      !Number.isInteger(this.version) ||
+      this.version < 0 ||
+      this.version > 30
+    ) {
+      throw new InvalidArgumentError(`Invalid version: ${this.version}`, {
+        code: "UNSUPPORTED_VERSION",
+      });
     }
   }
 
@@ -44,24 +83,12 @@ class SilentPaymentAddress {
    */
 
   static fromAddress(address) {
-    const decoded = decodeBech32(address);
-    const prefix = decoded[0];
-    const words = decoded[1];
-
-    if (prefix !== "sp" && prefix !== "sprt" && prefix !== "tsp") {
-      throw new Error(`Invalid prefix: ${prefix}`);
-    }
-
-    const version = words[0];
-    if (version !== 0) throw new Error("Invalid version");
-
-    // Convert words to bytes (base32 to bytes)
-    const key = convertFromBase32(words.slice(1));
+    const { B_scan, B_spend, network, version } = parseAddress(address);
 
     return new SilentPaymentAddress({
-      B_scan: ec.keyFromPublic(key.slice(0, 33)).getPublic(),
-      B_spend: ec.keyFromPublic(key.slice(33)).getPublic(),
-      network: prefix === "tsp" ? Network.Testnet : Network.Mainnet,
+      B_scan: B_scan,
+      B_spend: B_spend,
+      network: network,
       version: version,
     });
   }
@@ -114,7 +141,15 @@ class SilentPaymentDestination extends SilentPaymentAddress {
 
 // Creating spending and scanning keys
 class KeyGeneration extends SilentPaymentAddress {
-  constructor({ version = 0, B_scan, B_spend, b_scan, b_spend, network }) {
+  constructor({
+    version = 0,
+    B_scan,
+    B_spend,
+    b_scan,
+    b_spend,
+    network,
+    origin = null,
+  }) {
     super({
       B_scan: B_scan,
       B_spend: B_spend,
@@ -122,10 +157,50 @@ class KeyGeneration extends SilentPaymentAddress {
       version: version,
     });
     this.b_scan = b_scan;
-    this.b_spend = b_spend;
+    this.b_spend = b_spend == null ? null : b_spend;
     this.B_scan = B_scan;
     this.B_spend = B_spend;
-    this.network = network;
+    // Key origin ({ fingerprint, path }) written to descriptors
+    this.origin = origin;
+  }
+
+  /**
+   * Whether these keys can only scan, without the spend private key
+   */
+
+  get isWatchOnly() {
+    return this.b_spend === null;
+  }
+
+  /**
+   * Generate watch-only keys, able to scan, compute labels and produce addresses but not to spend
+   * @param scanKey ScanKey, or object with b_scan and B_spend
+   * @returns Watch-only keys
+   */
+
+  static fromScanKey(scanKey) {
+    if (!(scanKey instanceof ScanKey)) scanKey = new ScanKey(scanKey);
+
+    return new KeyGeneration({
+      b_scan: scanKey.b_scan,
+      b_spend: null,
+      B_scan: secp.ellipticPublicKey(scanKey.b_scan),
+      B_spend: scanKey.B_spend,
+      network: scanKey.network,
+    });
+  }
+
+  /**
+   * Export the keys needed to scan, without the spend private key
+   * @returns ScanKey
+   */
+
+  toScanKey() {
+    return new ScanKey({
+      b_scan: this.b_scan,
+      B_spend: this.B_spend,
+      network: this.network,
+    });
   }
 
   /**
@@ -144,12 +219,12 @@ class KeyGeneration extends SilentPaymentAddress {
     b_scan = b_scan.startsWith("0x") ? b_scan.slice(2) : b_scan;
     b_spend = b_spend.startsWith("0x") ? b_spend.slice(2) : b_spend;
 
-    const B_scan = ec.keyFromPrivate(b_scan).getPublic();
-    const B_spend = ec.keyFromPrivate(b_spend).getPublic();
+    const B_scan = secp.ellipticPublicKey(b_scan);
+    const B_spend = secp.ellipticPublicKey(b_spend);
 
     return new KeyGeneration({
-      b_scan: ec.keyFromPrivate(b_scan).getPrivate(),
-      b_spend: ec.keyFromPrivate(b_spend).getPrivate(),
+      b_scan: new BN(secp.toScalar(b_scan)),
+      b_spend: new BN(secp.toScalar(b_spend)),
       B_scan: B_scan,
       B_spend: B_spend,
       network: network,
@@ -157,46 +232,247 @@ class KeyGeneration extends SilentPaymentAddress {
     });
   }
 
+  /**
+   * The message users sign for fromSignature
+   * @param network Network name
+   * @param account Account index
+   * @returns Message text
+   */
+
+  static signatureMessage({ network = Network.Mainnet, account = 0 } = {}) {
+    return signatureMessage({ network, account });
+  }
+
+  /**
+   * Generate silent payment address from a deterministic (RFC6979) signature of signatureMessage
+   * @param signature Signature from signmessage (65 bytes, base64) or 64 byte r || s
+   * @param network Network name, the one of the signed message
+   * @param account Account index of the signed message
+   * @param publicKey Signing public key. Optional for signmessage signatures
+   * @param privateKey Signing private key, used to check the signature is deterministic
+   * @param confirmation Or a second signature of the same message, which must be identical
+   * @returns
+   */
+
+  static fromSignature(
+    signature,
+    {
+      network = Network.Mainnet,
+      account = 0,
+      version = 0,
+      publicKey,
+      privateKey,
+      confirmation,
+    } = {}
+  ) {
+    network = Network.from(network);
+
+    const { b_scan, b_spend } = deriveKeysFromSignature(signature, {
+      message: signatureMessage({ network, account }),
+      publicKey,
+      privateKey,
+      confirmation,
+    });
+
+    return new KeyGeneration({
+      b_scan: b_scan,
+      b_spend: b_spend,
+      B_scan: secp.ellipticPublicKey(b_scan),
+      B_spend: secp.ellipticPublicKey(b_spend),
+      network: network,
+      version: version,
+    });
+  }
+
   /**
    * Generate silent payment address through HD keys
    * @param bip32 HD wallet. We have provided an easy way to access bip32
-   * @param hrp 'sp' for mainnet, tsp for testnet
+   * @param network Network name. Picks the coin type of the derivation paths
+   * @param hrp Deprecated, 'sp' for mainnet, tsp for testnet, sprt for regtest. Used when network is not given
+   * @param account Account index, for several wallets from one seed
+   * @param coinType Optional coin type overriding the one of the network
    * @returns
    */
 
-  static fromHd(bip32, { hrp = "sp", version = 0 } = {}) {
-    const SCAN_PATH = hrp == "sp" ? MAINNET_SCAN_PATH : TESTNET_SCAN_PATH;
+  static fromHd(
+    bip32,
+    { network, hrp = "sp", version = 0, account = 0, coinType } = {}
+  ) {
+    network = network ? Network.from(network) : Network.fromHrp(hrp);
+    if (coinType == null) coinType = Network.params(network).coinType;
+
+    const accountKey = bip32.derivePath(accountPath(coinType, account));
 
-    const SPEND_PATH = hrp == "sp" ? MAINNET_SPEND_PATH : TESTNET_SPEND_PATH;
+    // Key origin for descriptors, known when deriving from the master key
+    const origin =
+      bip32.depth === 0
+        ? {
+            fingerprint: Buffer.from(bip32.fingerprint).toString("hex"),
+            path: `352h/${coinType}h/${account}h`,
+          }
+        : null;
+
+    return KeyGeneration.fromAccountKey(accountKey, {
+      network: network,
+      version: version,
+      origin: origin,
+    });
+  }
+
+  /**
+   * Generate silent payment address from an account-level extended private key (m/352'/coin_type'/account')
+   * @param accountKey Extended private key as base58 (xprv, tprv) or bip32 node
+   * @param network Network name. Defaults to the network of the extended key,
+   * and must use the same extended key version when given
+   * @param origin Optional key origin ({ fingerprint, path }) for descriptors
+   * @returns
+   */
+
+  static fromAccountKey(
+    accountKey,
+    { network, version = 0, origin = null } = {}
+  ) {
+    if (typeof accountKey === "string") {
+      const keyNetwork = extendedKeyNetwork(accountKey);
+      if (!network) {
+        network = keyNetwork;
+      } else if (
+        Network.params(network).bip32.private !==
+        Network.params(keyNetwork).bip32.private
+      ) {
+        throw new NetworkMismatchError(
+          `The extended key is for ${keyNetwork}, not ${network}`
+        );
+      }
+      accountKey = bip32.fromBase58(accountKey, Network.params(keyNetwork));
+    }
+    network = Network.from(network || Network.Mainnet);
+
+    if (!accountKey.privateKey) {
+      throw new InvalidKeyError(
+        "BIP-352 scan and spend keys use hardened derivation and cannot be derived from an xpub. " +
+          "Use the account xprv, or KeyGeneration.fromScanKey to scan without the spend key"
+      );
+    }
+
+    const scanDerivation = accountKey.derivePath(SCAN_PATH);
+    const spendDerivation = accountKey.derivePath(SPEND_PATH);
 
-    const scanDerivation = bip32.derivePath(SCAN_PATH);
-    const spendDerivation = bip32.derivePath(SPEND_PATH);
     return new KeyGeneration({
-      b_scan: ec.keyFromPrivate(scanDerivation.privateKey).getPrivate(),
-      b_spend: ec.keyFromPrivate(spendDerivation.privateKey).getPrivate(),
-      B_scan: ec.keyFromPrivate(scanDerivation.privateKey).getPublic(),
-      B_spend: ec.keyFromPrivate(spendDerivation.privateKey).getPublic(),
-      network: hrp == "sp" ? Network.Mainnet : Network.Testnet,
+      b_scan: new BN(scanDerivation.privateKey),
+      b_spend: new BN(spendDerivation.privateKey),
+      B_scan: secp.ellipticPublicKey(scanDerivation.privateKey),
+      B_spend: secp.ellipticPublicKey(spendDerivation.privateKey),
+      network: network,
       version: version,
+      origin: origin,
+    });
+  }
+
+  /**
+   * List the silent payment accounts of an HD wallet
+   * @param bip32 HD wallet
+   * @param start First account index
+   * @param count Number of accounts
+   * @param options Other options of fromHd (network, coinType, version)
+   * @returns Array of { account, path, address, keys }
+   */
+
+  static listAccounts(bip32, { start = 0, count = 1, ...options } = {}) {
+    const accounts = [];
+
+    for (let account = start; account < start + count; account++) {
+      const keys = KeyGeneration.fromHd(bip32, { ...options, account });
+      const coinType =
+        options.coinType == null
+          ? Network.params(keys.network).coinType
+          : options.coinType;
+
+      accounts.push({
+        account,
+        path: accountPath(coinType, account),
+        address: keys.toAddress(),
+        keys,
+      });
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Generate keys from an sp() descriptor. Scan-only descriptors give watch-only keys.
+   * @param descriptor sp() descriptor, with or without checksum
+   * @param network Optional network name. Descriptors only tell mainnet from test networks
+   * @returns
+   */
+
+  static fromDescriptor(descriptor, { network } = {}) {
+    const parsed = parseDescriptor(descriptor);
+
+    if (network) {
+      network = Network.from(network);
+      if (
+        (network === Network.Mainnet) !==
+        (parsed.network === Network.Mainnet)
+      ) {
+        throw new NetworkMismatchError(`Descriptor is not for ${network}`);
+      }
+    }
+
+    return new KeyGeneration({
+      b_scan: parsed.b_scan,
+      b_spend: parsed.b_spend,
+      B_scan: secp.ellipticPublicKey(parsed.b_scan),
+      B_spend: parsed.B_spend,
+      network: network || parsed.network,
+      origin: parsed.origin,
+    });
+  }
+
+  /**
+   * Serialize the keys as an sp() descriptor with checksum. Watch-only keys give a scan-only descriptor.
+   * @returns Descriptor
+   */
+
+  toDescriptor() {
+    return toDescriptor({
+      b_scan: this.b_scan,
+      b_spend: this.b_spend,
+      B_spend: this.B_spend,
+      network: this.network,
+      origin: this.origin,
     });
   }
 
   /**
    * Generate silent payment address through mnemonic
    * @param mnemonic Mnemonic phrase.
-   * @param hrp 'sp' for mainnet, tsp for testnet
+   * @param network Network name
+   * @param hrp Deprecated, 'sp' for mainnet, tsp for testnet, sprt for regtest. Used when network is not given
+   * @param account Account index
+   * @param coinType Optional coin type overriding the one of the network
    * @returns
    */
 
   static fromMnemonic(
     mnemonic,
-    { password = "", hrp = "sp", version = 0 } = {}
+    {
+      password = "",
+      network,
+      hrp = "sp",
+      version = 0,
+      account = 0,
+      coinType,
+    } = {}
   ) {
     return KeyGeneration.fromHd(
-      bip32.fromSeed(bip39.mnemonicToSeedSync(mnemonic, password)),
+      bip32.fromSeed(mnemonicToSeed(mnemonic, password)),
       {
+        network: network,
         hrp: hrp,
         version: version,
+        account: account,
+        coinType: coinType,
       }
     );
   }
@@ -220,4 +496,72 @@ class KeyGeneration extends SilentPaymentAddress {
   }
 }
 
-module.exports = { KeyGeneration, SilentPaymentDestination };
+/**
+ * Scan-only key: the scan private key and the spend public key. Lets a server
+ * scan for payments without being able to spend them.
+ */
+
+class ScanKey {
+  /**
+   * @param b_scan Scan private key as hex or BN
+   * @param B_spend Spend public key as compressed hex or elliptic point
+   * @param network Network name
+   */
+
+  constructor({ b_scan, B_spend, network = Network.Mainnet }) {
+    if (b_scan == null || B_spend == null) {
+      throw new InvalidKeyError("A scan key needs b_scan and B_spend");
+    }
+
+    this.b_scan = new BN(secp.toScalar(b_scan));
+    this.B_spend =
+      typeof B_spend === "string" ? secp.toEllipticPoint(B_spend) : B_spend;
+    this.network = Network.from(network);
+  }
+
+  get B_scan() {
+    return secp.ellipticPublicKey(this.b_scan);
+  }
+
+  /**
+   * Watch-only keys for this scan key
+   * @returns KeyGeneration without the spend private key
+   */
+
+  toKeyGeneration() {
+    return KeyGeneration.fromScanKey(this);
+  }
+
+  toJSON() {
+    return {
+      version: 0,
+      network: this.network,
+      b_scan: this.b_scan.toString(16, 64),
+      B_spend: this.B_spend.encodeCompressed("hex"),
+    };
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  /**
+   * Import a scan key exported with toJSON or toString
+   * @param json Serialized scan key, as object or JSON string
+   * @returns ScanKey
+   */
+
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    if (data.version !== 0) {
+      throw new InvalidFormatError(
+        `Unsupported scan key version: ${data.version}`,
+        { code: "UNSUPPORTED_VERSION" }
+      );
+    }
+
+    return new ScanKey(data);
+  }
+}
+
+module.exports = { KeyGeneration, SilentPaymentDestination, ScanKey };
@@ -0,0 +1,125 @@
+const { Buffer } = require("buffer");
+const BN = require("bn.js");
+const secp = require("../utils/secp256k1");
+const { generateLabel } = require("../utils/label");
+const { InvalidArgumentError } = require("../utils/errors");
+
+// Label reserved for change by BIP-352
+const CHANGE_LABEL = 0;
+
+/**
+ * Keeps the precomputed label table used when scanning, and maps matched
+ * labels back to their number m and a name.
+ */
+
+class LabelManager {
+  /**
+   * @param keys Keys the labels belong to. Use KeyGeneration or any object with b_scan
+   * @param count Number of labels to precompute, 0..count-1. Label 0 (change) is always included
+   * @param gapLimit Unused labels to keep precomputed past the highest label seen while scanning
+   */
+
+  constructor(keys, { count = 1, gapLimit = 0 } = {}) {
+    this.keys = keys;
+    this.gapLimit = gapLimit;
+    this.precomputedLabels = {};
+    this.labels = new Map();
+    this.labelsByTweak = new Map();
+    this.highestUsed = -1;
+
+    this._addLabel(CHANGE_LABEL, "change");
+    this.addRange(0, count);
+    this._fillGap();
+  }
+
+  /**
+   * Add a label to the table
+   * @param m Label number
+   * @param name Optional name for the label
+   * @returns Labeled silent payment address
+   */
+
+  add(m, name = null) {
+    this._addLabel(m, name);
+    return this.keys.toLabeledSilentPaymentAddress(m);
+  }
+
+  _addLabel(m, name = null) {
+    if (!Number.isInteger(m) || m < 0 || m > 0xffffffff) {
+      throw new InvalidArgumentError(`Invalid label: ${m}`);
+    }
+
+    const existing = this.labels.get(m);
+    if (existing) {
+      if (name !== null) existing.name = name;
+    } else {
+      const tweak = Buffer.from(generateLabel(m, this.keys.b_scan));
+      const labelPubkey = secp.pointFromScalar(tweak).toString("hex");
+
+      const entry = { m, name, tweak: tweak.toString("hex") };
+      this.labels.set(m, entry);
+      this.labelsByTweak.set(entry.tweak, entry);
+      this.precomputedLabels[labelPubkey] = tweak.toString("hex");
+    }
+  }
+
+  /**
+   * Add every label in a range to the table
+   * @param from First label number
+   * @param to Label number after the last one
+   */
+
+  addRange(from, to) {
+    for (let m = from; m < to; m++) this._addLabel(m);
+  }
+
+  /**
+   * Get the label number and name of a matched label
+   * @param label Label tweak as hex, as found in the labelTweak of a scanned output,
+   * the label number m, or the scanned output itself
+   * @returns Object with m and name or null if the label is unknown
+   */
+
+  resolve(label) {
+    if (label == null) return null;
+    if (label.labelTweak !== undefined) label = label.labelTweak;
+    if (label == null) return null;
+
+    const entry =
+      typeof label === "number"
+        ? this.labels.get(label)
+        : this.labelsByTweak.get(
+            BN.isBN(label) ? label.toString(16, 64) : label
+          );
+
+    return entry ? { m: entry.m, name: entry.name } : null;
+  }
+
+  /**
+   * Record labels found while scanning and grow the table past the gap limit
+   * @param matches Scanned outputs, as returned by scanOutputs
+   * @returns Label number and name of each labeled match, keyed like matches
+   */
+
+  markUsed(matches) {
+    const resolved = {};
+
+    for (const [key, match] of Object.entries(matches)) {
+      const label = this.resolve(match);
+      if (label === null) continue;
+
+      resolved[key] = label;
+      this.highestUsed = Math.max(this.highestUsed, label.m);
+    }
+
+    this._fillGap();
+    return resolved;
+  }
+
+  _fillGap() {
+    const end = this.highestUsed + 1 + this.gapLimit;
+    if (end > 0) this.addRange(0, end);
+  }
+}
+
+module.exports = LabelManager;
@@ -0,0 +1,292 @@
+const LabelManager = require("./LabelManager");
+const Network = require("../utils/network");
+const secp = require("../utils/secp256k1");
+const SilentPaymentScanningOutput = require("../utils/output");
+const errors = require("../utils/errors");
+const { InvalidArgumentError } = errors;
+
+/**
+ * Pool of worker threads running scanOutputs, for rescanning many
+ * transactions. Results keep the order of the jobs whatever the worker
+ * that scanned them. Node only, worker_threads are loaded when the pool is created.
+ */
+
+class ScanPool {
+  /**
+   * @param keys Keys to scan with. Use KeyGeneration, ScanKey or any object with b_scan and B_spend
+   * @param concurrency Number of worker threads, defaults to the number of CPUs
+   * @param labels Labels to scan for. Pass a LabelManager to get the label number of labeled
+   * matches, or a precomputed label table like scanOutputs
+   * @param network Network of the taproot addresses of the matches
+   * @param batchSize Number of jobs sent to a worker at a time
+   */
+
+  constructor(
+    keys,
+    { concurrency, labels = {}, network = keys.network, batchSize = 32 } = {}
+  ) {
+    let workerThreads;
+    try {
+      workerThreads = require("worker_threads");
+    } catch (e) {
+      workerThreads = null;
+    }
+    if (!workerThreads || !workerThreads.Worker) {
+      throw new InvalidArgumentError(
+        "ScanPool needs worker_threads, which are only available in Node",
+        { code: "UNSUPPORTED_PLATFORM" }
+      );
+    }
+
+    if (concurrency === undefined) concurrency = defaultConcurrency();
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new InvalidArgumentError(`Invalid concurrency: ${concurrency}`);
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new InvalidArgumentError(`Invalid batch size: ${batchSize}`);
+    }
+
+    this.Worker = workerThreads.Worker;
+    this.concurrency = concurrency;
+    this.batchSize = batchSize;
+    this.labels = labels;
+    this.workers = [];
+    this.scanning = false;
+    this._workerData = {
+      b_scan: secp.toScalar(keys.b_scan).toString("hex"),
+      B_spend: secp.toPoint(keys.B_spend).toString("hex"),
+      network: Network.from(network || Network.Mainnet),
+      // Custom backends cannot be sent to a worker, which then uses the default
+      backend: ["tiny-secp256k1", "elliptic"].includes(secp.getBackend().name)
+        ? secp.getBackend().name
+        : null,
+    };
+  }
+
+  /**
+   * Scan transactions on the worker threads
+   * @param jobs One object per transaction with its outputs (script and value, like
+   * BitcoinScriptOutput) and either its receiverTweak, its vinOutpoints and pubkeys, or its inputs,
+   * as for SilentPaymentBuilder. Give its txid, with every output of the transaction in order,
+   * to get the outpoint of each match
+   * @param signal Optional AbortSignal to cancel the scan. The promise then rejects with its reason
+   * @param onProgress Optional callback called with { done, total } jobs after each batch
+   * @returns Promise of the matches of each job, in job order, keyed by output public key like scanOutputs
+   */
+
+  scan(jobs, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      if (this.scanning) {
+        return reject(
+          new InvalidArgumentError("The pool is already running a scan")
+        );
+      }
+      this.scanning = true;
+
+      const results = new Array(jobs.length);
+      const batches = [];
+      for (let start = 0; start < jobs.length; start += this.batchSize) {
+        batches.push({
+          start,
+          jobs: jobs.slice(start, start + this.batchSize),
+        });
+      }
+
+      let next = 0;
+      let done = 0;
+      let running = 0;
+      let finished = false;
+
+      const finish = (error) => {
+        if (finished) return;
+        finished = true;
+        this.scanning = false;
+        signal?.removeEventListener("abort", onAbort);
+
+        if (error) {
+          // Drop the batches still running
+          for (const worker of [...this.workers]) {
+            if (worker.pending) this._terminate(worker);
+          }
+          reject(error);
+        } else {
+          resolve(results);
+        }
+      };
+
+      const onAbort = () => finish(signal.reason);
+      signal?.addEventListener("abort", onAbort);
+
+      const dispatch = (worker) => {
+        if (finished) return;
+        if (next === batches.length) {
+          if (running === 0) finish();
+          return;
+        }
+
+        const batch = batches[next++];
+        running++;
+
+        this._run(worker, batch.jobs).then(
+          (batchResults) => {
+            running--;
+            if (finished) return;
+
+            batchResults.forEach((matches, i) => {
+              results[batch.start + i] = this._restore(matches);
+            });
+            done += batch.jobs.length;
+            if (onProgress) onProgress({ done, total: jobs.length });
+
+            dispatch(worker);
+          },
+          (error) => {
+            running--;
+            finish(error);
+          }
+        );
+      };
+
+      if (batches.length === 0) return finish();
+      this._spawn(Math.min(this.concurrency, batches.length)).forEach(dispatch);
+    });
+  }
+
+  /**
+   * Stop the worker threads. The pool starts new ones if it scans again
+   */
+
+  async close() {
+    await Promise.all(
+      [...this.workers].map((worker) => this._terminate(worker))
+    );
+  }
+
+  _spawn(count) {
+    while (this.workers.length < count) {
+      const worker = new this.Worker(
+        require.resolve("../utils/scanWorker.js"),
+        { workerData: this._workerData }
+      );
+      worker.pending = null;
+      worker.labelCount = 0;
+
+      worker.on("message", ({ results, error }) => {
+        const pending = worker.pending;
+        if (!pending) return;
+        worker.pending = null;
+        worker.unref();
+
+        if (error) pending.reject(toError(error));
+        else pending.resolve(results);
+      });
+      worker.on("error", (error) =>
+        this._fail(
+          worker,
+          new errors.SilentPaymentError(
+            `Scan worker failed: ${error.message}`,
+            {
+              code: "WORKER_ERROR",
+              cause: error,
+            }
+          )
+        )
+      );
+      worker.on("exit", (code) =>
+        this._fail(
+          worker,
+          new errors.SilentPaymentError(
+            `Scan worker stopped with code ${code}`,
+            { code: "WORKER_EXIT" }
+          )
+        )
+      );
+
+      // Idle workers do not keep the process alive
+      worker.unref();
+      this.workers.push(worker);
+    }
+
+    return this.workers.slice(0, count);
+  }
+
+  _run(worker, jobs) {
+    return new Promise((resolve, reject) => {
+      const labels = this._labelTable();
+      const labelCount = Object.keys(labels).length;
+      const message = { jobs };
+
+      // Labels only get added, so a new count means a new table
+      if (labelCount !== worker.labelCount) {
+        message.labels = labels;
+        worker.labelCount = labelCount;
+      }
+
+      worker.pending = { resolve, reject };
+      worker.ref();
+      worker.postMessage(message);
+    });
+  }
+
+  _fail(worker, error) {
+    this.workers = this.workers.filter((w) => w !== worker);
+
+    if (worker.pending) {
+      const pending = worker.pending;
+      worker.pending = null;
+      pending.reject(error);
+    }
+  }
+
+  _terminate(worker) {
+    this.workers = this.workers.filter((w) => w !== worker);
+    worker.pending = null;
+    return worker.terminate();
+  }
+
+  _labelTable() {
+    return this.labels instanceof LabelManager
+      ? this.labels.precomputedLabels
+      : this.labels;
+  }
+
+  _restore(matches) {
+    const restored = {};
+
+    for (const [outputPubkey, json] of Object.entries(matches)) {
+      const match = SilentPaymentScanningOutput.fromJSON(json);
+      if (this.labels instanceof LabelManager) {
+        // Grows the table past the gap limit, the workers get it with their next batch
+        const label = this.labels.markUsed({ [outputPubkey]: match })[
+          outputPubkey
+        ];
+        match.label = label ? label.m : null;
+      }
+      restored[outputPubkey] = match;
+    }
+
+    return restored;
+  }
+}
+
+function defaultConcurrency() {
+  const os = require("os");
+  return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+}
+
+// Errors are sent from the workers as plain objects. Others than ours, like a
+// TypeError, become a SilentPaymentError with code WORKER_ERROR
+function toError({ name, message, code }) {
+  const ErrorClass =
+    errors[name] && errors[name].prototype instanceof errors.SilentPaymentError
+      ? errors[name]
+      : null;
+
+  if (ErrorClass) return new ErrorClass(message, { code });
+  return new errors.SilentPaymentError(`${name}: ${message}`, {
+    code: "WORKER_ERROR",
+  });
+}
+
+module.exports = ScanPool;
@@ -0,0 +1,727 @@
+const { Buffer } = require("buffer");
+const { randomBytes } = require("../utils/hash");
+const SilentPaymentBuilder = require("./CreateOutput");
+const { SilentPaymentDestination } = require("./KeyGeneration");
+const { ByteReader, parseTransaction } = require("../utils/transaction");
+const { toBytes, taggedHash, encodeVarint } = require("../utils/utils");
+const secp = require("../utils/secp256k1");
+const {
+  isP2PKH,
+  isP2SH,
+  isP2WPKH,
+  isP2TR,
+  getWitnessVersion,
+  hash160,
+  NUMS_H,
+} = require("../utils/input");
+const { generateDleqProof, verifyDleqProof } = require("../utils/dleq");
+const {
+  InvalidFormatError,
+  InvalidKeyError,
+  IneligibleInputError,
+  InvalidProofError,
+} = require("../utils/errors");
+
+const PSBT_MAGIC = Buffer.from("70736274ff", "hex");
+
+// Key types used here, from BIP-174, BIP-370, BIP-371 and BIP-375
+const PSBT_GLOBAL = {
+  UNSIGNED_TX: 0x00,
+  TX_VERSION: 0x02,
+  FALLBACK_LOCKTIME: 0x03,
+  INPUT_COUNT: 0x04,
+  OUTPUT_COUNT: 0x05,
+  SP_ECDH_SHARE: 0x07,
+  SP_DLEQ: 0x08,
+  VERSION: 0xfb,
+};
+
+const PSBT_IN = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  REDEEM_SCRIPT: 0x04,
+  BIP32_DERIVATION: 0x06,
+  PREVIOUS_TXID: 0x0e,
+  OUTPUT_INDEX: 0x0f,
+  SEQUENCE: 0x10,
+  TAP_INTERNAL_KEY: 0x17,
+  SP_ECDH_SHARE: 0x1d,
+  SP_DLEQ: 0x1e,
+};
+
+const PSBT_OUT = {
+  AMOUNT: 0x03,
+  SCRIPT: 0x04,
+  SP_V0_INFO: 0x09,
+  SP_V0_LABEL: 0x0a,
+};
+
+/**
+ * Key-value map of one PSBT section, keeping insertion order.
+ */
+
+class PsbtMap {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(keyType, keyData = Buffer.alloc(0)) {
+    const entry = this.entries.get(mapKey(keyType, keyData));
+    return entry ? entry.value : null;
+  }
+
+  set(keyType, keyData, value) {
+    this.entries.set(mapKey(keyType, keyData), {
+      keyType,
+      keyData: Buffer.from(keyData),
+      value: Buffer.from(value),
+    });
+  }
+
+  getAll(keyType) {
+    return [...this.entries.values()].filter(
+      (entry) => entry.keyType === keyType
+    );
+  }
+
+  static read(reader) {
+    const map = new PsbtMap();
+
+    for (;;) {
+      const key = reader.readVarSlice();
+      if (key.length === 0) return map;
+
+      const keyType = key[0];
+      const keyData = key.subarray(1);
+      if (map.get(keyType, keyData) !== null) {
+        throw new InvalidFormatError("Duplicate PSBT key");
+      }
+
+      map.set(keyType, keyData, reader.readVarSlice());
+    }
+  }
+
+  toBuffer() {
+    const parts = [];
+    for (const { keyType, keyData, value } of this.entries.values()) {
+      const key = Buffer.concat([Buffer.from([keyType]), keyData]);
+      parts.push(encodeVarint(key.length), key, encodeVarint(value.length));
+      parts.push(value);
+    }
+    parts.push(Buffer.from([0x00]));
+    return Buffer.concat(parts);
+  }
+}
+
+/**
+ * PSBT (version 2) with the BIP-375 silent payment fields. Lets signers that
+ * each hold part of the inputs share their ECDH shares, and fills in the
+ * silent payment output scripts once every share is present.
+ * Check here for the spec: https://github.com/bitcoin/bips/blob/master/bip-0375.mediawiki
+ */
+
+class SilentPaymentPsbt {
+  constructor({ global = new PsbtMap(), inputs = [], outputs = [] } = {}) {
+    this.global = global;
+    this.inputs = inputs;
+    this.outputs = outputs;
+  }
+
+  /**
+   * Create a PSBT
+   * @param version Transaction version
+   * @param locktime Fallback locktime
+   * @param inputs Array of { txid, index, sequence, witnessUtxo: { script, value }, nonWitnessUtxo,
+   * redeemScript, tapInternalKey, bip32Derivation: [{ pubkey, masterFingerprint, path }] }
+   * @param outputs Array of { amount, script } or { amount, silentPaymentAddress, label }
+   * @returns The PSBT
+   */
+
+  static create({ version = 2, locktime = 0, inputs = [], outputs = [] } = {}) {
+    const psbt = new SilentPaymentPsbt();
+
+    psbt.global.set(PSBT_GLOBAL.VERSION, [], uint32(2));
+    psbt.global.set(PSBT_GLOBAL.TX_VERSION, [], uint32(version));
+    psbt.global.set(PSBT_GLOBAL.FALLBACK_LOCKTIME, [], uint32(locktime));
+    psbt.global.set(PSBT_GLOBAL.INPUT_COUNT, [], encodeVarint(inputs.length));
+    psbt.global.set(PSBT_GLOBAL.OUTPUT_COUNT, [], encodeVarint(outputs.length));
+
+    for (const input of inputs) psbt._addInput(input);
+    for (const output of outputs) psbt._addOutput(output);
+
+    return psbt;
+  }
+
+  _addInput({
+    txid,
+    index,
+    sequence = 0xfffffffd,
+    witnessUtxo,
+    nonWitnessUtxo,
+    redeemScript,
+    tapInternalKey,
+    bip32Derivation = [],
+  }) {
+    const map = new PsbtMap();
+
+    map.set(PSBT_IN.PREVIOUS_TXID, [], Buffer.from(txid, "hex").reverse());
+    map.set(PSBT_IN.OUTPUT_INDEX, [], uint32(index));
+    map.set(PSBT_IN.SEQUENCE, [], uint32(sequence));
+
+    if (witnessUtxo) {
+      map.set(
+        PSBT_IN.WITNESS_UTXO,
+        [],
+        Buffer.concat([uint64(witnessUtxo.value), varSlice(witnessUtxo.script)])
+      );
+    }
+    if (nonWitnessUtxo) {
+      map.set(PSBT_IN.NON_WITNESS_UTXO, [], toBuffer(nonWitnessUtxo));
+    }
+    if (redeemScript) {
+      map.set(PSBT_IN.REDEEM_SCRIPT, [], toBuffer(redeemScript));
+    }
+    if (tapInternalKey) {
+      map.set(PSBT_IN.TAP_INTERNAL_KEY, [], toBuffer(tapInternalKey));
+    }
+
+    for (const {
+      pubkey,
+      masterFingerprint = "00000000",
+      path = [],
+    } of bip32Derivation) {
+      map.set(
+        PSBT_IN.BIP32_DERIVATION,
+        toBuffer(pubkey),
+        Buffer.concat([toBuffer(masterFingerprint), ...path.map(uint32)])
+      );
+    }
+
+    this.inputs.push(map);
+  }
+
+  _addOutput({ amount, script, silentPaymentAddress, label = null }) {
+    const map = new PsbtMap();
+    map.set(PSBT_OUT.AMOUNT, [], uint64(amount));
+
+    if (script) map.set(PSBT_OUT.SCRIPT, [], toBuffer(script));
+
+    this.outputs.push(map);
+
+    if (silentPaymentAddress) {
+      this.setOutputSilentPayment(
+        this.outputs.length - 1,
+        silentPaymentAddress,
+        label
+      );
+    }
+  }
+
+  static fromBuffer(buffer) {
+    const reader = new ByteReader(buffer);
+    if (!reader.readSlice(5).equals(PSBT_MAGIC)) {
+      throw new InvalidFormatError("Invalid PSBT magic");
+    }
+
+    const global = PsbtMap.read(reader);
+
+    if (global.get(PSBT_GLOBAL.UNSIGNED_TX) !== null) {
+      throw new InvalidFormatError("Silent payment PSBTs must be version 2", {
+        code: "UNSUPPORTED_VERSION",
+      });
+    }
+
+    const versionValue = global.get(PSBT_GLOBAL.VERSION);
+    if (versionValue === null || versionValue.readUInt32LE(0) !== 2) {
+      throw new InvalidFormatError("Silent payment PSBTs must be version 2", {
+        code: "UNSUPPORTED_VERSION",
+      });
+    }
+
+    const inputCount = new ByteReader(
+      global.get(PSBT_GLOBAL.INPUT_COUNT)
+    ).readVarInt();
+    const outputCount = new ByteReader(
+      global.get(PSBT_GLOBAL.OUTPUT_COUNT)
+    ).readVarInt();
+
+    const inputs = [];
+    for (let i = 0; i < inputCount; i++) inputs.push(PsbtMap.read(reader));
+
+    const outputs = [];
+    for (let i = 0; i < outputCount; i++) outputs.push(PsbtMap.read(reader));
+
+    if (reader.remaining !== 0) {
+      throw new InvalidFormatError("Unexpected data after PSBT");
+    }
+
+    return new SilentPaymentPsbt({ global, inputs, outputs });
+  }
+
+  static fromBase64(base64) {
+    return SilentPaymentPsbt.fromBuffer(Buffer.from(base64, "base64"));
+  }
+
+  static fromHex(hex) {
+    return SilentPaymentPsbt.fromBuffer(Buffer.from(hex, "hex"));
+  }
+
+  toBuffer() {
+    return Buffer.concat([
+      PSBT_MAGIC,
+      this.global.toBuffer(),
+      ...this.inputs.map((input) => input.toBuffer()),
+      ...this.outputs.map((output) => output.toBuffer()),
+    ]);
+  }
+
+  toBase64() {
+    return this.toBuffer().toString("base64");
+  }
+
+  toHex() {
+    return this.toBuffer().toString("hex");
+  }
+
+  /**
+   * Outpoint spent by an input
+   * @param index Input index
+   * @returns Object with txid and index
+   */
+
+  getInputOutpoint(index) {
+    const input = this.inputs[index];
+    return {
+      txid: Buffer.from(input.get(PSBT_IN.PREVIOUS_TXID))
+        .reverse()
+        .toString("hex"),
+      index: input.get(PSBT_IN.OUTPUT_INDEX).readUInt32LE(0),
+    };
+  }
+
+  /**
+   * Output spent by an input, from its witness or non-witness UTXO
+   * @param index Input index
+   * @returns Object with script and value
+   */
+
+  getInputPrevout(index) {
+    const input = this.inputs[index];
+    const witnessUtxo = input.get(PSBT_IN.WITNESS_UTXO);
+
+    if (witnessUtxo !== null) {
+      const reader = new ByteReader(witnessUtxo);
+      const value = reader.readUInt64();
+      return { script: reader.readVarSlice(), value };
+    }
+
+    const nonWitnessUtxo = input.get(PSBT_IN.NON_WITNESS_UTXO);
+    if (nonWitnessUtxo !== null) {
+      const output =
+        parseTransaction(nonWitnessUtxo).outputs[
+          this.getInputOutpoint(index).index
+        ];
+      if (output) return output;
+    }
+
+    throw new InvalidFormatError(`Missing UTXO for input ${index}`, {
+      code: "MISSING_FIELD",
+    });
+  }
+
+  /**
+   * Public key of an input following the BIP-352 input rules. Taproot keys come
+   * from the spent output, other keys from the BIP32 derivations or partial signatures.
+   * Taproot inputs with the NUMS point as internal key can only be spent by script path
+   * and are not eligible.
+   * @param index Input index
+   * @returns Compressed public key hex or null if the input is not eligible
+   */
+
+  getInputPublicKey(index) {
+    const input = this.inputs[index];
+    const { script } = this.getInputPrevout(index);
+
+    if (isP2TR(script)) {
+      const internalKey = input.get(PSBT_IN.TAP_INTERNAL_KEY);
+      if (internalKey !== null && internalKey.toString("hex") === NUMS_H) {
+        return null;
+      }
+      return "02" + script.subarray(2).toString("hex");
+    }
+
+    let keyHash;
+    if (isP2PKH(script)) {
+      keyHash = script.subarray(3, 23);
+    } else if (isP2WPKH(script)) {
+      keyHash = script.subarray(2);
+    } else if (isP2SH(script)) {
+      const redeemScript = input.get(PSBT_IN.REDEEM_SCRIPT);
+      if (
+        redeemScript === null ||
+        !isP2WPKH(redeemScript) ||
+        !hash160(redeemScript).equals(script.subarray(2, 22))
+      ) {
+        return null;
+      }
+      keyHash = redeemScript.subarray(2);
+    } else {
+      return null;
+    }
+
+    const candidates = [
+      ...input.getAll(PSBT_IN.BIP32_DERIVATION),
+      ...input.getAll(PSBT_IN.PARTIAL_SIG),
+    ].map((entry) => entry.keyData);
+
+    // Only compressed keys are eligible
+    const pubkey = candidates.find(
+      (key) => key.length === 33 && hash160(key).equals(keyHash)
+    );
+    return pubkey ? pubkey.toString("hex") : null;
+  }
+
+  /**
+   * Mark an output as a silent payment
+   * @param index Output index
+   * @param address Silent payment address, or object with B_scan and B_spend
+   * @param label Optional label number the address was derived with
+   */
+
+  setOutputSilentPayment(index, address, label = null) {
+    const destination =
+      typeof address === "string"
+        ? SilentPaymentDestination.fromAddress(address)
+        : address;
+
+    const output = this.outputs[index];
+    output.set(
+      PSBT_OUT.SP_V0_INFO,
+      [],
+      Buffer.concat([
+        toPointBuffer(destination.B_scan),
+        toPointBuffer(destination.B_spend),
+      ])
+    );
+
+    if (label !== null) {
+      output.set(PSBT_OUT.SP_V0_LABEL, [], uint32(label));
+    }
+  }
+
+  /**
+   * Silent payment info of an output
+   * @param index Output index
+   * @returns Object with B_scan and B_spend as compressed hex and the label, or null
+   */
+
+  getOutputSilentPayment(index) {
+    const output = this.outputs[index];
+    const info = output.get(PSBT_OUT.SP_V0_INFO);
+    if (info === null) return null;
+
+    const label = output.get(PSBT_OUT.SP_V0_LABEL);
+
+    return {
+      B_scan: info.subarray(0, 33).toString("hex"),
+      B_spend: info.subarray(33, 66).toString("hex"),
+      label: label === null ? null : label.readUInt32LE(0),
+    };
+  }
+
+  /**
+   * Script of an output
+   * @param index Output index
+   * @returns Script as Buffer or null if not computed yet
+   */
+
+  getOutputScript(index) {
+    return this.outputs[index].get(PSBT_OUT.SCRIPT);
+  }
+
+  /**
+   * Add the ECDH share of an input for one scan key
+   * @param index Input index
+   * @param scanKey Scan public key as compressed hex
+   * @param share ECDH share a·B_scan as compressed hex
+   * @param proof Optional DLEQ proof of the share
+   */
+
+  setInputEcdhShare(index, scanKey, share, proof = null) {
+    const input = this.inputs[index];
+    input.set(PSBT_IN.SP_ECDH_SHARE, toBuffer(scanKey), toBuffer(share));
+    if (proof !== null) {
+      input.set(PSBT_IN.SP_DLEQ, toBuffer(scanKey), toBuffer(proof));
+    }
+  }
+
+  /**
+   * ECDH shares of an input
+   * @param index Input index
+   * @returns Array of { scanKey, share, proof } as hex
+   */
+
+  getInputEcdhShares(index) {
+    return readShares(
+      this.inputs[index],
+      PSBT_IN.SP_ECDH_SHARE,
+      PSBT_IN.SP_DLEQ
+    );
+  }
+
+  /**
+   * Add an ECDH share covering every input for one scan key
+   * @param scanKey Scan public key as compressed hex
+   * @param share ECDH share a_sum·B_scan as compressed hex
+   * @param proof Optional DLEQ proof of the share
+   */
+
+  setGlobalEcdhShare(scanKey, share, proof = null) {
+    this.global.set(
+      PSBT_GLOBAL.SP_ECDH_SHARE,
+      toBuffer(scanKey),
+      toBuffer(share)
+    );
+    if (proof !== null) {
+      this.global.set(PSBT_GLOBAL.SP_DLEQ, toBuffer(scanKey), toBuffer(proof));
+    }
+  }
+
+  /**
+   * ECDH shares covering every input
+   * @returns Array of { scanKey, share, proof } as hex
+   */
+
+  getGlobalEcdhShares() {
+    return readShares(
+      this.global,
+      PSBT_GLOBAL.SP_ECDH_SHARE,
+      PSBT_GLOBAL.SP_DLEQ
+    );
+  }
+
+  /**
+   * Scan keys of the silent payment outputs
+   * @returns Array of distinct scan public keys as compressed hex
+   */
+
+  getScanKeys() {
+    const scanKeys = new Set();
+    this.outputs.forEach((_, i) => {
+      const info = this.getOutputSilentPayment(i);
+      if (info) scanKeys.add(info.B_scan);
+    });
+    return [...scanKeys];
+  }
+
+  /**
+   * Compute and add the ECDH shares of an input the caller holds the key of,
+   * with a DLEQ proof for each silent payment scan key
+   * @param index Input index
+   * @param privateKey Private key of the input as hex. For taproot inputs, the key of the output key
+   * @param auxRand Optional 32 bytes of randomness for the proofs
+   */
+
+  addInputEcdhShares(index, privateKey, { auxRand = randomBytes(32) } = {}) {
+    const pubkey = this.getInputPublicKey(index);
+    if (pubkey === null) {
+      throw new IneligibleInputError(
+        `Input ${index} is not eligible for silent payments`
+      );
+    }
+
+    let a = secp.toScalar(privateKey);
+    if (a.length !== 32 || !secp.isPrivate(a)) {
+      throw new InvalidKeyError(`Invalid private key for input ${index}`);
+    }
+    if (
+      isP2TR(this.getInputPrevout(index).script) &&
+      !secp.hasEvenY(secp.pointFromScalar(a))
+    ) {
+      a = secp.privateNegate(a);
+    }
+
+    if (secp.pointFromScalar(a).toString("hex") !== pubkey) {
+      throw new InvalidKeyError(`Private key does not match input ${index}`, {
+        code: "KEY_MISMATCH",
+      });
+    }
+
+    for (const scanKey of this.getScanKeys()) {
+      const share = secp.ecdh(secp.toPoint(scanKey), a).toString("hex");
+      const proof = generateDleqProof(a, scanKey, auxRand);
+
+      this.setInputEcdhShare(index, scanKey, share, proof);
+    }
+  }
+
+  /**
+   * Fill in the P2TR script of every silent payment output. Needs an ECDH share
+   * for each scan key, either global or from every eligible input.
+   * @param requireDleq Require a valid DLEQ proof for every share
+   * @returns Scripts of the silent payment outputs as hex, keyed by output index
+   */
+
+  computeOutputScripts({ requireDleq = true } = {}) {
+    const eligible = [];
+    const outpoints = [];
+
+    this.inputs.forEach((_, i) => {
+      const { script } = this.getInputPrevout(i);
+      if (getWitnessVersion(script) > 1) {
+        throw new IneligibleInputError(
+          `Input ${i} spends a segwit version > 1 output, silent payments are not allowed`
+        );
+      }
+
+      outpoints.push(this.getInputOutpoint(i));
+      const pubkey = this.getInputPublicKey(i);
+      if (pubkey !== null) eligible.push({ index: i, pubkey });
+    });
+
+    if (eligible.length === 0) {
+      throw new IneligibleInputError("No eligible inputs for silent payments", {
+        code: "NO_INPUTS",
+      });
+    }
+
+    const builder = new SilentPaymentBuilder({
+      vinOutpoints: outpoints,
+      pubkeys: eligible.map((input) => input.pubkey),
+    });
+    if (builder.A_sum === null) {
+      throw new IneligibleInputError(
+        "Input public keys sum to the point at infinity",
+        { code: "ZERO_INPUT_SUM" }
+      );
+    }
+
+    const globalShares = this.getGlobalEcdhShares();
+    const ecdhSecrets = {};
+
+    for (const scanKey of this.getScanKeys()) {
+      const global = globalShares.find((share) => share.scanKey === scanKey);
+      let shareSum = null;
+
+      if (global) {
+        checkProof(builder.A_sum, scanKey, global, requireDleq, "global");
+        shareSum = secp.toPoint(global.share);
+      } else {
+        for (const { index, pubkey } of eligible) {
+          const share = this.getInputEcdhShares(index).find(
+            (s) => s.scanKey === scanKey
+          );
+          if (!share) {
+            throw new InvalidFormatError(
+              `Missing ECDH share for input ${index}`,
+              {
+                code: "MISSING_FIELD",
+              }
+            );
+          }
+
+          checkProof(pubkey, scanKey, share, requireDleq, `input ${index}`);
+          const point = secp.toPoint(share.share);
+          shareSum = shareSum === null ? point : secp.pointAdd(shareSum, point);
+        }
+      }
+
+      if (shareSum === null) {
+        throw new InvalidFormatError(
+          "ECDH shares sum to the point at infinity"
+        );
+      }
+      ecdhSecrets[scanKey] = secp.pointMultiply(shareSum, builder.inputHash);
+    }
+
+    const counters = {};
+    const scripts = {};
+
+    this.outputs.forEach((output, i) => {
+      const info = this.getOutputSilentPayment(i);
+      if (!info) return;
+
+      const k = counters[info.B_scan] || 0;
+      counters[info.B_scan] = k + 1;
+
+      const t_k = taggedHash(
+        Buffer.concat([
+          ecdhSecrets[info.B_scan],
+          Buffer.from(toBytes(BigInt(k), 4)),
+        ]),
+        "BIP0352/SharedSecret"
+      );
+      const P_k = secp.pointAddScalar(secp.toPoint(info.B_spend), t_k);
+
+      const script = Buffer.concat([
+        Buffer.from([0x51, 0x20]),
+        secp.xOnly(P_k),
+      ]);
+      output.set(PSBT_OUT.SCRIPT, [], script);
+      scripts[i] = script.toString("hex");
+    });
+
+    return scripts;
+  }
+}
+
+function checkProof(A, scanKey, { share, proof }, requireDleq, source) {
+  if (proof === null) {
+    if (requireDleq) {
+      throw new InvalidProofError(`Missing DLEQ proof for ${source}`, {
+        code: "MISSING_PROOF",
+      });
+    }
+    return;
+  }
+
+  if (!verifyDleqProof(A, scanKey, share, proof)) {
+    throw new InvalidProofError(`Invalid DLEQ proof for ${source}`);
+  }
+}
+
+function readShares(map, shareType, proofType) {
+  return map.getAll(shareType).map(({ keyData, value }) => {
+    const proof = map.get(proofType, keyData);
+    return {
+      scanKey: keyData.toString("hex"),
+      share: value.toString("hex"),
+      proof: proof === null ? null : proof.toString("hex"),
+    };
+  });
+}
+
+function mapKey(keyType, keyData) {
+  return keyType.toString(16) + ":" + Buffer.from(keyData).toString("hex");
+}
+
+function toPointBuffer(point) {
+  if (typeof point === "string" || Buffer.isBuffer(point)) {
+    return toBuffer(point);
+  }
+  return Buffer.from(point.encodeCompressed());
+}
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data, "hex");
+}
+
+function varSlice(data) {
+  const bytes = toBuffer(data);
+  return Buffer.concat([encodeVarint(bytes.length), bytes]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function uint64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+module.exports = SilentPaymentPsbt;
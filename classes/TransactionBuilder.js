@@ -0,0 +1,252 @@
+const { Buffer } = require("buffer");
+const { randomBytes } = require("../utils/hash");
+const SilentPaymentBuilder = require("./CreateOutput");
+const { SilentPaymentDestination } = require("./KeyGeneration");
+const ECPrivateInfo = require("../utils/info");
+const Network = require("../utils/network");
+const { toTaprootAddress } = require("../utils/taproot");
+const { toOutputScript } = require("../utils/address");
+const { isP2TR, isP2WPKH, hash160 } = require("../utils/input");
+const { toTweakedTaprootKey, shuffleArray } = require("../utils/utils");
+const secp = require("../utils/secp256k1");
+const {
+  serializeTransaction,
+  parseTransaction,
+} = require("../utils/transaction");
+const { taprootSighash, segwitV0Sighash } = require("../utils/sighash");
+const { InvalidKeyError, InvalidArgumentError } = require("../utils/errors");
+
+const SILENT_PAYMENT_PREFIX = /^(sp|tsp|sprt)1/i;
+
+/**
+ * Builds and signs transactions spending P2TR (including silent payment
+ * outputs) and P2WPKH inputs, to silent payment and regular addresses.
+ */
+
+class TransactionBuilder {
+  /**
+   * @param version Transaction version
+   * @param locktime Transaction locktime
+   * @param network Network of the addresses paid to
+   */
+
+  constructor({ version = 2, locktime = 0, network = Network.Mainnet } = {}) {
+    this.version = version;
+    this.locktime = locktime;
+    this.network = Network.from(network);
+    this.inputs = [];
+    this.outputs = [];
+  }
+
+  /**
+   * Add an input to spend
+   * @param txid Transaction id of the output being spent
+   * @param index Index of the output being spent
+   * @param value Value of the output being spent in satoshis
+   * @param script Script of the output being spent, P2TR or P2WPKH
+   * @param privateKey Private key as hex or bytes. For P2TR, either the output key (as returned by
+   * spendOutputs for silent payment outputs) or the internal key of a BIP-86 output
+   * @param sequence Input sequence
+   * @returns This builder
+   */
+
+  addInput({ txid, index, value, script, privateKey, sequence = 0xfffffffd }) {
+    script = Buffer.isBuffer(script) ? script : Buffer.from(script, "hex");
+
+    const key = secp.toScalar(privateKey);
+    if (!secp.isPrivate(key)) {
+      throw new InvalidKeyError(`Invalid private key for ${txid}:${index}`);
+    }
+    const publicKey = secp.pointFromScalar(key);
+    let isTaproot = false;
+    let tweak = false;
+
+    if (isP2TR(script)) {
+      isTaproot = true;
+      const outputKey = script.subarray(2).toString("hex");
+
+      const untweaked = toTaprootAddress(publicKey, this.network, {
+        tweak: false,
+      });
+      const tweaked = toTaprootAddress(publicKey, this.network);
+
+      if (untweaked.pubkey.toString("hex") === outputKey) {
+        tweak = false;
+      } else if (tweaked.pubkey.toString("hex") === outputKey) {
+        tweak = true;
+      } else {
+        throw keyMismatchError(txid, index);
+      }
+    } else if (isP2WPKH(script)) {
+      if (!hash160(publicKey).equals(script.subarray(2))) {
+        throw keyMismatchError(txid, index);
+      }
+    } else {
+      throw new InvalidArgumentError(
+        "Only P2TR and P2WPKH inputs can be signed",
+        { code: "UNSUPPORTED_SCRIPT" }
+      );
+    }
+
+    this.inputs.push({
+      txid,
+      index,
+      value: BigInt(value),
+      script,
+      sequence,
+      key,
+      isTaproot,
+      tweak,
+    });
+    return this;
+  }
+
+  /**
+   * Add an output
+   * @param address Silent payment address or regular Bitcoin address
+   * @param script Output script, instead of an address
+   * @param amount Amount in satoshis
+   * @returns This builder
+   */
+
+  addOutput({ address, script, amount }) {
+    const output = { amount: BigInt(amount) };
+
+    if (script) {
+      output.script = Buffer.isBuffer(script)
+        ? script
+        : Buffer.from(script, "hex");
+    } else if (SILENT_PAYMENT_PREFIX.test(address)) {
+      output.silentPaymentAddress = address;
+    } else {
+      output.script = toOutputScript(address, this.network);
+    }
+
+    this.outputs.push(output);
+    return this;
+  }
+
+  /**
+   * Derive the silent payment outputs, sign every input and serialize the transaction
+   * @param auxRand Optional function returning 32 bytes of randomness for each Schnorr signature
+   * @param shuffleOutputs Put the outputs in random order instead of the order they were added
+   * @returns Object with txid, hex and the transaction as passed to serializeTransaction
+   */
+
+  build({ auxRand = () => randomBytes(32), shuffleOutputs = false } = {}) {
+    if (this.inputs.length === 0) {
+      throw new InvalidArgumentError("No inputs to spend", {
+        code: "NO_INPUTS",
+      });
+    }
+    if (this.outputs.length === 0) {
+      throw new InvalidArgumentError("No outputs to pay", {
+        code: "NO_OUTPUTS",
+      });
+    }
+
+    const transaction = {
+      version: this.version,
+      inputs: this.inputs.map(({ txid, index, sequence }) => ({
+        txid,
+        index,
+        scriptSig: Buffer.alloc(0),
+        sequence,
+        witness: [],
+      })),
+      outputs: shuffleOutputs
+        ? shuffleArray(this._resolveOutputs())
+        : this._resolveOutputs(),
+      locktime: this.locktime,
+    };
+
+    const prevouts = this.inputs.map(({ script, value }) => ({
+      script,
+      value,
+    }));
+
+    this.inputs.forEach((input, i) => {
+      if (input.isTaproot) {
+        const key = input.tweak ? toTweakedTaprootKey(input.key) : input.key;
+        const sighash = taprootSighash(transaction, i, prevouts);
+        const signature = secp.signSchnorr(
+          sighash,
+          key,
+          Buffer.from(auxRand())
+        );
+
+        transaction.inputs[i].witness = [signature];
+      } else {
+        const publicKey = secp.pointFromScalar(input.key);
+        const sighash = segwitV0Sighash(
+          transaction,
+          i,
+          hash160(publicKey),
+          input.value
+        );
+        const signature = secp.toDER(secp.sign(sighash, input.key));
+
+        transaction.inputs[i].witness = [
+          Buffer.concat([signature, Buffer.from([0x01])]),
+          publicKey,
+        ];
+      }
+    });
+
+    const raw = serializeTransaction(transaction);
+    const { txid } = parseTransaction(raw);
+
+    return { txid, hex: raw.toString("hex"), transaction };
+  }
+
+  _resolveOutputs() {
+    const silentPayments = this.outputs.filter(
+      (output) => output.silentPaymentAddress
+    );
+
+    let created = [];
+    if (silentPayments.length > 0) {
+      created = new SilentPaymentBuilder({
+        vinOutpoints: this.inputs.map(({ txid, index }) => ({ txid, index })),
+        network: this.network,
+      }).createOutputList(
+        this.inputs.map(
+          (input) =>
+            new ECPrivateInfo(
+              input.key.toString("hex"),
+              input.isTaproot,
+              input.tweak
+            )
+        ),
+        silentPayments.map((output) =>
+          SilentPaymentDestination.fromAddress(
+            output.silentPaymentAddress,
+            output.amount
+          )
+        )
+      );
+    }
+
+    // Outputs to the same address get consecutive k, in the order they were added
+    let next = 0;
+    return this.outputs.map((output) => {
+      if (!output.silentPaymentAddress) {
+        return { value: output.amount, script: output.script };
+      }
+
+      return {
+        value: output.amount,
+        script: Buffer.from(created[next++].script, "hex"),
+      };
+    });
+  }
+}
+
+function keyMismatchError(txid, index) {
+  return new InvalidKeyError(
+    `Private key does not match input ${txid}:${index}`,
+    { code: "KEY_MISMATCH" }
+  );
+}
+
+module.exports = TransactionBuilder;
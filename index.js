@@ -1,23 +1,129 @@
 const {
   KeyGeneration,
   SilentPaymentDestination,
+  ScanKey,
 } = require("./classes/KeyGeneration");
 const SilentPaymentBuilder = require("./classes/CreateOutput");
+const LabelManager = require("./classes/LabelManager");
+const ScanPool = require("./classes/ScanPool");
 const ECPrivateInfo = require("./utils/info");
 const Network = require("./utils/network");
 const BitcoinScriptOutput = require("./utils/scriptOutput");
+const SilentPaymentScanningOutput = require("./utils/output");
+const { TransactionInput, getPublicKeyFromInput } = require("./utils/input");
+const { SendError } = require("./utils/const");
+const {
+  SilentPaymentError,
+  InvalidAddressError,
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+  IneligibleInputError,
+  InvalidSignatureError,
+  InvalidProofError,
+  InvalidFormatError,
+  InvalidArgumentError,
+  ChainSourceError,
+} = require("./utils/errors");
+const {
+  AddressError,
+  parseAddress,
+  validateAddress,
+} = require("./utils/address");
+const {
+  parseTransaction,
+  serializeTransaction,
+  parseBlock,
+} = require("./utils/transaction");
+const {
+  scanTransaction,
+  scanTransactionAsync,
+  scanBlock,
+} = require("./utils/scan");
+const MemoryPrevoutProvider = require("./utils/prevouts");
+const {
+  ChainSource,
+  BitcoinCoreChainSource,
+  EsploraChainSource,
+} = require("./utils/chain");
+const {
+  computeTransactionTweak,
+  computeTransactionTweakAsync,
+  computeBlockTweaks,
+} = require("./utils/tweak");
+const {
+  BlockFilter,
+  getFilterScripts,
+  matchBlockFilter,
+  matchBlockFilters,
+} = require("./utils/filter");
+const { generateDleqProof, verifyDleqProof } = require("./utils/dleq");
+const {
+  setBackend: setCryptoBackend,
+  getBackend: getCryptoBackend,
+  ellipticBackend,
+  tinySecp256k1Backend,
+  bip32Ecc,
+} = require("./utils/secp256k1");
+const SilentPaymentPsbt = require("./classes/SilentPaymentPsbt");
+const TransactionBuilder = require("./classes/TransactionBuilder");
 const { BIP32Factory } = require("bip32");
-const tinysecp = require("tiny-secp256k1");
-const bip32 = BIP32Factory(tinysecp);
+const bip32 = BIP32Factory(bip32Ecc);
 const bip39 = require("bip39");
 
 module.exports = {
   KeyGeneration,
   SilentPaymentDestination,
+  ScanKey,
   SilentPaymentBuilder,
+  SilentPaymentPsbt,
+  TransactionBuilder,
+  LabelManager,
+  ScanPool,
   ECPrivateInfo,
   Network,
   BitcoinScriptOutput,
+  SilentPaymentScanningOutput,
+  TransactionInput,
+  getPublicKeyFromInput,
+  SilentPaymentError,
+  InvalidAddressError,
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+  IneligibleInputError,
+  InvalidSignatureError,
+  InvalidProofError,
+  InvalidFormatError,
+  InvalidArgumentError,
+  ChainSourceError,
+  AddressError,
+  SendError,
+  parseAddress,
+  validateAddress,
+  parseTransaction,
+  serializeTransaction,
+  parseBlock,
+  scanTransaction,
+  scanTransactionAsync,
+  scanBlock,
+  MemoryPrevoutProvider,
+  ChainSource,
+  BitcoinCoreChainSource,
+  EsploraChainSource,
+  computeTransactionTweak,
+  computeTransactionTweakAsync,
+  computeBlockTweaks,
+  BlockFilter,
+  getFilterScripts,
+  matchBlockFilter,
+  matchBlockFilters,
+  generateDleqProof,
+  verifyDleqProof,
+  setCryptoBackend,
+  getCryptoBackend,
+  ellipticBackend,
+  tinySecp256k1Backend,
   bip32,
   bip39,
 };
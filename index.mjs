@@ -0,0 +1,61 @@
+// ESM entry. The package is written in CommonJS, this re-exports index.js.
+import silent from "./index.js";
+
+export const {
+  KeyGeneration,
+  SilentPaymentDestination,
+  ScanKey,
+  SilentPaymentBuilder,
+  SilentPaymentPsbt,
+  TransactionBuilder,
+  LabelManager,
+  ScanPool,
+  ECPrivateInfo,
+  Network,
+  BitcoinScriptOutput,
+  SilentPaymentScanningOutput,
+  TransactionInput,
+  getPublicKeyFromInput,
+  SilentPaymentError,
+  InvalidAddressError,
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+  IneligibleInputError,
+  InvalidSignatureError,
+  InvalidProofError,
+  InvalidFormatError,
+  InvalidArgumentError,
+  ChainSourceError,
+  AddressError,
+  SendError,
+  parseAddress,
+  validateAddress,
+  parseTransaction,
+  serializeTransaction,
+  parseBlock,
+  scanTransaction,
+  scanTransactionAsync,
+  scanBlock,
+  MemoryPrevoutProvider,
+  ChainSource,
+  BitcoinCoreChainSource,
+  EsploraChainSource,
+  computeTransactionTweak,
+  computeTransactionTweakAsync,
+  computeBlockTweaks,
+  BlockFilter,
+  getFilterScripts,
+  matchBlockFilter,
+  matchBlockFilters,
+  generateDleqProof,
+  verifyDleqProof,
+  setCryptoBackend,
+  getCryptoBackend,
+  ellipticBackend,
+  tinySecp256k1Backend,
+  bip32,
+  bip39,
+} = silent;
+
+export default silent;
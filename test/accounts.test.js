@@ -0,0 +1,155 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  KeyGeneration,
+  Network,
+  NetworkMismatchError,
+  InvalidKeyError,
+  bip32,
+  bip39,
+} = require("..");
+
+const MNEMONIC =
+  "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+const master = bip32.fromSeed(bip39.mnemonicToSeedSync(MNEMONIC));
+
+describe("HD accounts", () => {
+  it("derives a different address per account", () => {
+    const first = KeyGeneration.fromHd(master, { account: 0 });
+    const second = KeyGeneration.fromHd(master, { account: 1 });
+
+    assert.strictEqual(
+      first.toAddress(),
+      KeyGeneration.fromHd(master).toAddress()
+    );
+    assert.notStrictEqual(first.toAddress(), second.toAddress());
+    assert.strictEqual(second.origin.path, "352h/0h/1h");
+    assert.strictEqual(
+      KeyGeneration.fromMnemonic(MNEMONIC, { account: 1 }).toAddress(),
+      second.toAddress()
+    );
+    assert.throws(
+      () => KeyGeneration.fromHd(master, { account: -1 }),
+      /Invalid account index/
+    );
+  });
+
+  it("derives from an account-level extended private key", () => {
+    const accountKey = master.derivePath("m/352'/1'/2'");
+    const keys = KeyGeneration.fromAccountKey(accountKey, {
+      network: Network.Signet,
+    });
+
+    assert.strictEqual(keys.network, Network.Signet);
+    assert.strictEqual(
+      keys.toAddress(),
+      KeyGeneration.fromHd(master, {
+        network: Network.Signet,
+        account: 2,
+      }).toAddress()
+    );
+    assert.strictEqual(
+      KeyGeneration.fromAccountKey(accountKey.toBase58()).network,
+      Network.Mainnet
+    );
+
+    const testnetKey = bip32
+      .fromSeed(
+        bip39.mnemonicToSeedSync(MNEMONIC),
+        Network.params(Network.Testnet)
+      )
+      .derivePath("m/352'/1'/2'");
+    assert.ok(testnetKey.toBase58().startsWith("tprv"));
+    assert.strictEqual(
+      KeyGeneration.fromAccountKey(testnetKey.toBase58()).toAddress(),
+      keys.toAddress()
+    );
+  });
+
+  it("checks the network option against the extended key version", () => {
+    const accountKey = master.derivePath("m/352'/1'/0'").toBase58();
+    const testnetKey = bip32
+      .fromSeed(
+        bip39.mnemonicToSeedSync(MNEMONIC),
+        Network.params(Network.Testnet)
+      )
+      .derivePath("m/352'/1'/0'")
+      .toBase58();
+
+    for (const [key, network] of [
+      [testnetKey, Network.Mainnet],
+      [accountKey, Network.Testnet],
+      [accountKey, Network.Regtest],
+    ]) {
+      assert.throws(
+        () => KeyGeneration.fromAccountKey(key, { network }),
+        (error) => {
+          assert.ok(error instanceof NetworkMismatchError);
+          assert.strictEqual(error.code, "NETWORK_MISMATCH");
+          return true;
+        }
+      );
+    }
+
+    assert.strictEqual(
+      KeyGeneration.fromAccountKey(testnetKey, { network: Network.Signet })
+        .network,
+      Network.Signet
+    );
+    assert.throws(
+      () =>
+        KeyGeneration.fromAccountKey(
+          accountKey.slice(0, -1) + (accountKey.endsWith("1") ? "2" : "1")
+        ),
+      InvalidKeyError
+    );
+  });
+
+  it("explains why an account xpub cannot be used", () => {
+    const xpub = master.derivePath("m/352'/0'/0'").neutered();
+
+    assert.throws(
+      () => KeyGeneration.fromAccountKey(xpub.toBase58()),
+      /hardened derivation/
+    );
+    assert.throws(() => KeyGeneration.fromAccountKey(xpub), /fromScanKey/);
+  });
+
+  it("uses a custom coin type", () => {
+    const keys = KeyGeneration.fromHd(master, { coinType: 1 });
+
+    assert.strictEqual(keys.network, Network.Mainnet);
+    assert.strictEqual(keys.origin.path, "352h/1h/0h");
+    assert.strictEqual(
+      keys.toAddress(),
+      KeyGeneration.fromAccountKey(
+        master.derivePath("m/352'/1'/0'")
+      ).toAddress()
+    );
+  });
+
+  it("lists accounts", () => {
+    const accounts = KeyGeneration.listAccounts(master, {
+      start: 3,
+      count: 2,
+      network: "regtest",
+    });
+
+    assert.deepStrictEqual(
+      accounts.map(({ account, path }) => [account, path]),
+      [
+        [3, "m/352'/1'/3'"],
+        [4, "m/352'/1'/4'"],
+      ]
+    );
+    assert.ok(accounts[0].address.startsWith("sprt1q"));
+    assert.strictEqual(accounts[1].address, accounts[1].keys.toAddress());
+    assert.strictEqual(
+      accounts[1].address,
+      KeyGeneration.fromHd(master, {
+        network: "regtest",
+        account: 4,
+      }).toAddress()
+    );
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  KeyGeneration,
+  SilentPaymentDestination,
+  Network,
+  parseAddress,
+  validateAddress,
+} = require("..");
+const { encodeBech32, convertToBase32 } = require("../utils/bech32");
+const { keys } = require("./helpers");
+
+const KEY_BYTES = Buffer.concat([
+  Buffer.from(keys.B_scan.encodeCompressed()),
+  Buffer.from(keys.B_spend.encodeCompressed()),
+]);
+
+function encode(version, data, hrp = "sp") {
+  return encodeBech32(hrp, [version, ...convertToBase32(data)]);
+}
+
+function errorCode(address, options) {
+  return validateAddress(address, options).code;
+}
+
+describe("Silent payment addresses", () => {
+  it("parses version 0 addresses", () => {
+    const parsed = parseAddress(keys.toAddress());
+
+    assert.strictEqual(parsed.version, 0);
+    assert.strictEqual(parsed.network, Network.Mainnet);
+    assert.ok(parsed.B_scan.eq(keys.B_scan));
+    assert.ok(parsed.B_spend.eq(keys.B_spend));
+    assert.deepStrictEqual(validateAddress(keys.toAddress()), {
+      valid: true,
+      network: Network.Mainnet,
+      version: 0,
+    });
+  });
+
+  it("reads the first 66 bytes of versions 1 to 30", () => {
+    const extra = Buffer.concat([KEY_BYTES, Buffer.alloc(20, 7)]);
+
+    for (const version of [1, 30]) {
+      const parsed = parseAddress(encode(version, extra));
+      assert.strictEqual(parsed.version, version);
+      assert.ok(parsed.B_spend.eq(keys.B_spend));
+    }
+
+    const destination = SilentPaymentDestination.fromAddress(
+      encode(1, extra),
+      1000
+    );
+    assert.ok(destination.B_scan.eq(keys.B_scan));
+  });
+
+  it("rejects version 31", () => {
+    assert.strictEqual(errorCode(encode(31, KEY_BYTES)), "UNSUPPORTED_VERSION");
+  });
+
+  it("enforces the data length", () => {
+    assert.strictEqual(
+      errorCode(encode(0, Buffer.concat([KEY_BYTES, Buffer.alloc(1)]))),
+      "INVALID_LENGTH"
+    );
+    assert.strictEqual(
+      errorCode(encode(1, KEY_BYTES.subarray(0, 65))),
+      "INVALID_LENGTH"
+    );
+  });
+
+  it("reports bad checksums", () => {
+    const address = keys.toAddress();
+    const last = address[address.length - 1] === "q" ? "p" : "q";
+
+    assert.strictEqual(
+      errorCode(address.slice(0, -1) + last),
+      "INVALID_CHECKSUM"
+    );
+  });
+
+  it("reports network mismatches", () => {
+    const testnet = KeyGeneration.fromPrivateKeys({
+      b_scan: keys.b_scan.toString(16, 64),
+      b_spend: keys.b_spend.toString(16, 64),
+      network: Network.Testnet,
+    }).toAddress();
+
+    assert.strictEqual(
+      errorCode(testnet, { network: Network.Mainnet }),
+      "NETWORK_MISMATCH"
+    );
+    assert.strictEqual(
+      validateAddress(testnet, { network: "signet" }).valid,
+      true
+    );
+    assert.strictEqual(errorCode(encode(0, KEY_BYTES, "bc")), "INVALID_PREFIX");
+  });
+
+  it("rejects keys that are not on the curve", () => {
+    const offCurve = Buffer.from(KEY_BYTES);
+    offCurve.fill(0, 1, 33);
+    offCurve[32] = 5;
+    assert.strictEqual(errorCode(encode(0, offCurve)), "INVALID_KEY");
+
+    const uncompressedPrefix = Buffer.from(KEY_BYTES);
+    uncompressedPrefix[33] = 0x04;
+    assert.strictEqual(errorCode(encode(0, uncompressedPrefix)), "INVALID_KEY");
+
+    const tooLarge = Buffer.from(KEY_BYTES);
+    tooLarge.fill(0xff, 1, 33);
+    assert.strictEqual(errorCode(encode(0, tooLarge)), "INVALID_KEY");
+
+    assert.throws(
+      () => SilentPaymentDestination.fromAddress(encode(0, offCurve), 1000),
+      (error) => error.code === "INVALID_KEY"
+    );
+  });
+});
@@ -0,0 +1,419 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { createHash } = require("crypto");
+const BN = require("bn.js");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const ecc = require("tiny-secp256k1");
+const {
+  KeyGeneration,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BitcoinScriptOutput,
+  TransactionInput,
+  Network,
+} = require("..");
+const { SendError } = require("../utils/const");
+const { generateLabel } = require("../utils/label");
+const { toTweakedTaprootKey, taggedHash } = require("../utils/utils");
+const { SCAN_KEY, SPEND_KEY, keys, INPUT_KEY, OUTPOINT } = require("./helpers");
+
+function inputPubkey(privateKey) {
+  return ec.keyFromPrivate(privateKey).getPublic().encodeCompressed("hex");
+}
+
+function hash160(data) {
+  const sha = createHash("sha256").update(data).digest();
+  return createHash("ripemd160").update(sha).digest();
+}
+
+function send(destinations, inputs = [new ECPrivateInfo(INPUT_KEY, false)]) {
+  const result = new SilentPaymentBuilder({
+    vinOutpoints: [OUTPOINT],
+  }).createOutputs(inputs, destinations);
+
+  return Object.values(result)
+    .flat()
+    .map((output) => output.address.pubkey.toString("hex"));
+}
+
+function scan(outputs, precomputedLabels) {
+  return new SilentPaymentBuilder({
+    vinOutpoints: [OUTPOINT],
+    pubkeys: [inputPubkey(INPUT_KEY)],
+  }).scanOutputs(
+    keys.b_scan,
+    keys.B_spend,
+    outputs.map((output) => new BitcoinScriptOutput("5120" + output, 0)),
+    precomputedLabels
+  );
+}
+
+function spendKeyFor(tweak) {
+  return keys.b_spend
+    .add(new BN(tweak, 16))
+    .umod(ec.curve.n)
+    .toArrayLike(Buffer, "be", 32);
+}
+
+describe("SilentPaymentBuilder", () => {
+  it("finds several outputs to the same recipient", () => {
+    const destination = SilentPaymentDestination.fromAddress(
+      keys.toAddress(),
+      1000
+    );
+    const outputs = send([destination, destination]);
+    assert.strictEqual(outputs.length, 2);
+
+    const found = scan([...outputs].reverse());
+    assert.deepStrictEqual(Object.keys(found).sort(), [...outputs].sort());
+
+    for (const output of outputs) {
+      const privateKey = spendKeyFor(found[output].tweak);
+      assert.strictEqual(
+        Buffer.from(ecc.xOnlyPointFromScalar(privateKey)).toString("hex"),
+        output
+      );
+    }
+  });
+
+  it("finds outputs sent to labeled addresses", () => {
+    const labels = {};
+    for (const m of [0, 3, 1001337]) {
+      const label = Buffer.from(generateLabel(m, keys.b_scan));
+      labels[ec.g.mul(new BN(label)).encodeCompressed("hex")] =
+        label.toString("hex");
+    }
+
+    const outputs = send([
+      SilentPaymentDestination.fromAddress(
+        keys.toLabeledSilentPaymentAddress(3).toAddress(),
+        1000
+      ),
+      SilentPaymentDestination.fromAddress(
+        keys.toLabeledSilentPaymentAddress(1001337).toAddress(),
+        1000
+      ),
+    ]);
+
+    const found = scan(outputs, labels);
+    assert.strictEqual(Object.keys(found).length, 2);
+
+    for (const output of outputs) {
+      assert.ok(found[output].labelTweak);
+      const privateKey = spendKeyFor(found[output].tweak);
+      assert.strictEqual(
+        Buffer.from(ecc.xOnlyPointFromScalar(privateKey)).toString("hex"),
+        output
+      );
+    }
+  });
+
+  it("ignores labeled outputs without precomputed labels", () => {
+    const outputs = send([
+      SilentPaymentDestination.fromAddress(
+        keys.toLabeledSilentPaymentAddress(1).toAddress(),
+        1000
+      ),
+    ]);
+
+    assert.deepStrictEqual(scan(outputs), {});
+  });
+
+  it("sends from taproot internal keys", () => {
+    const tweaked = toTweakedTaprootKey(INPUT_KEY);
+    const internal = Buffer.from(inputPubkey(INPUT_KEY), "hex").subarray(1);
+    const expected = ecc.xOnlyPointAddTweak(
+      internal,
+      taggedHash(internal, "TapTweak")
+    );
+
+    assert.strictEqual(
+      Buffer.from(ecc.xOnlyPointFromScalar(tweaked)).toString("hex"),
+      Buffer.from(expected.xOnlyPubkey).toString("hex")
+    );
+  });
+
+  it("skips ineligible inputs", () => {
+    const uncompressed = Buffer.from(
+      ec.keyFromPrivate(INPUT_KEY).getPublic().encode("array", false)
+    );
+
+    const builder = new SilentPaymentBuilder({
+      inputs: [
+        new TransactionInput({
+          ...OUTPOINT,
+          scriptSig: Buffer.concat([Buffer.from([0x41]), uncompressed]),
+          prevoutScript: Buffer.concat([
+            Buffer.from("76a914", "hex"),
+            hash160(uncompressed),
+            Buffer.from("88ac", "hex"),
+          ]),
+        }),
+      ],
+    });
+
+    assert.deepStrictEqual(builder.pubkeys, []);
+    assert.strictEqual(builder.getReceiverTweak(), null);
+  });
+
+  it("leaves uncompressed public keys out of A_sum", () => {
+    const uncompressed = ec
+      .keyFromPrivate(SPEND_KEY)
+      .getPublic()
+      .encode("hex", false);
+
+    const builder = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT, { ...OUTPOINT, index: 1 }],
+      pubkeys: [inputPubkey(INPUT_KEY), uncompressed],
+    });
+    assert.strictEqual(builder.A_sum, inputPubkey(INPUT_KEY));
+
+    const onlyUncompressed = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT],
+      pubkeys: [uncompressed],
+    });
+    assert.strictEqual(onlyUncompressed.A_sum, null);
+    assert.strictEqual(onlyUncompressed.getReceiverTweak(), null);
+  });
+
+  it("skips inputs whose keys sum to the point at infinity", () => {
+    const negated = ec.keyFromPrivate(INPUT_KEY).getPublic().neg();
+
+    const builder = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT, { ...OUTPOINT, index: 1 }],
+      pubkeys: [inputPubkey(INPUT_KEY), negated.encodeCompressed("hex")],
+    });
+
+    assert.strictEqual(builder.A_sum, null);
+  });
+
+  it("spends scanned outputs for any k and label", () => {
+    const labels = {};
+    const label = Buffer.from(generateLabel(7, keys.b_scan));
+    labels[ec.g.mul(new BN(label)).encodeCompressed("hex")] =
+      label.toString("hex");
+
+    const outputs = send([
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 1000),
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 1000),
+      SilentPaymentDestination.fromAddress(
+        keys.toLabeledSilentPaymentAddress(7).toAddress(),
+        1000
+      ),
+    ]);
+    const found = scan(outputs, labels);
+
+    const builder = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT],
+      pubkeys: [inputPubkey(INPUT_KEY)],
+    });
+
+    for (const output of outputs) {
+      const privateKey = builder.spendOutputs(keys.b_scan, keys.b_spend, {
+        output: found[output],
+      });
+      assert.strictEqual(
+        Buffer.from(
+          ecc.xOnlyPointFromScalar(Buffer.from(privateKey, "hex"))
+        ).toString("hex"),
+        output
+      );
+    }
+
+    // Labeled outputs sent to the same scan key get the next k
+    const explicit = builder.spendOutputs(keys.b_scan, keys.b_spend, {
+      k: 2,
+      label: 7,
+      outputPubkey: "5120" + outputs[2],
+    });
+    assert.strictEqual(
+      explicit,
+      builder.spendOutputs(keys.b_scan, keys.b_spend, {
+        output: found[outputs[2]],
+      })
+    );
+  });
+
+  it("rejects spend keys that do not match the output", () => {
+    const outputs = send([
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 1000),
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 1000),
+    ]);
+
+    const builder = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT],
+      pubkeys: [inputPubkey(INPUT_KEY)],
+    });
+
+    assert.throws(
+      () =>
+        builder.spendOutputs(keys.b_scan, keys.b_spend, {
+          k: 0,
+          outputPubkey: outputs[1],
+        }),
+      /does not match/
+    );
+  });
+
+  it("validates inputs before sending", () => {
+    const destination = SilentPaymentDestination.fromAddress(
+      keys.toAddress(),
+      1000
+    );
+    const code = (code) => (error) => error.code === code;
+    const builder = (options) =>
+      new SilentPaymentBuilder({ vinOutpoints: [OUTPOINT], ...options });
+
+    assert.throws(
+      () => builder().createOutputs([], [destination]),
+      code(SendError.NO_INPUTS)
+    );
+    assert.throws(
+      () =>
+        builder().createOutputs(
+          [
+            new ECPrivateInfo(INPUT_KEY, false),
+            new ECPrivateInfo(SCAN_KEY, false),
+          ],
+          [destination]
+        ),
+      code(SendError.INPUT_COUNT_MISMATCH)
+    );
+    assert.throws(
+      () =>
+        builder().createOutputs(
+          [new ECPrivateInfo(ec.curve.n.toString(16), false)],
+          [destination]
+        ),
+      code(SendError.INVALID_KEY)
+    );
+    assert.throws(
+      () =>
+        builder({
+          pubkeys: [ec.keyFromPrivate(INPUT_KEY).getPublic("hex")],
+        }).createOutputs([new ECPrivateInfo(INPUT_KEY, false)], [destination]),
+      code(SendError.INELIGIBLE_INPUT)
+    );
+    assert.throws(
+      () =>
+        builder({ pubkeys: [inputPubkey(SCAN_KEY)] }).createOutputs(
+          [new ECPrivateInfo(INPUT_KEY, false)],
+          [destination]
+        ),
+      code(SendError.INPUT_KEY_MISMATCH)
+    );
+
+    const negated = ec.curve.n.sub(new BN(INPUT_KEY, 16)).toString(16, 64);
+    assert.throws(
+      () =>
+        builder({
+          vinOutpoints: [OUTPOINT, { ...OUTPOINT, index: 1 }],
+        }).createOutputs(
+          [
+            new ECPrivateInfo(INPUT_KEY, false),
+            new ECPrivateInfo(negated, false),
+          ],
+          [destination]
+        ),
+      code(SendError.ZERO_INPUT_SUM)
+    );
+  });
+
+  it("enforces K_max and a single network", () => {
+    const inputs = [new ECPrivateInfo(INPUT_KEY, false)];
+    const destination = SilentPaymentDestination.fromAddress(
+      keys.toAddress(),
+      1
+    );
+    const testnet = SilentPaymentDestination.fromAddress(
+      KeyGeneration.fromPrivateKeys({
+        b_scan: SCAN_KEY,
+        b_spend: SPEND_KEY,
+        network: Network.Testnet,
+      }).toAddress(),
+      1
+    );
+
+    assert.throws(
+      () =>
+        new SilentPaymentBuilder({ vinOutpoints: [OUTPOINT] }).createOutputs(
+          inputs,
+          new Array(2324).fill(destination)
+        ),
+      (error) => error.code === SendError.TOO_MANY_OUTPUTS
+    );
+    assert.throws(
+      () =>
+        new SilentPaymentBuilder({ vinOutpoints: [OUTPOINT] }).createOutputs(
+          inputs,
+          [destination, testnet]
+        ),
+      (error) => error.code === SendError.NETWORK_MISMATCH
+    );
+    assert.throws(
+      () =>
+        new SilentPaymentBuilder({
+          vinOutpoints: [OUTPOINT],
+          network: Network.Signet,
+        }).createOutputs(inputs, [destination]),
+      /is not a signet address/
+    );
+
+    const outputs = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT],
+      network: Network.Signet,
+    }).createOutputs(inputs, [testnet]);
+    assert.ok(Object.values(outputs)[0][0].address.address.startsWith("tb1p"));
+  });
+
+  it("lists outputs in destination order", () => {
+    const other = KeyGeneration.fromPrivateKeys({
+      b_scan: SPEND_KEY,
+      b_spend: SCAN_KEY,
+    });
+    const destinations = [
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 1000),
+      SilentPaymentDestination.fromAddress(other.toAddress(), 2000),
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 3000),
+    ];
+    const inputs = [new ECPrivateInfo(INPUT_KEY, false)];
+    const builder = new SilentPaymentBuilder({ vinOutpoints: [OUTPOINT] });
+
+    const outputs = builder.createOutputList(inputs, destinations);
+    assert.deepStrictEqual(
+      outputs.map(({ index, k, amount, silentPaymentAddress }) => [
+        index,
+        k,
+        amount,
+        silentPaymentAddress,
+      ]),
+      [
+        [0, 0, 1000, keys.toAddress()],
+        [1, 0, 2000, other.toAddress()],
+        [2, 1, 3000, keys.toAddress()],
+      ]
+    );
+    assert.strictEqual(
+      outputs[0].scanPubkey,
+      keys.B_scan.encodeCompressed("hex")
+    );
+    assert.strictEqual(outputs[2].script, "5120" + outputs[2].pubkey);
+
+    // Same outputs as createOutputs, which groups them by address
+    const grouped = builder.createOutputs(inputs, destinations);
+    assert.deepStrictEqual(
+      grouped[keys.toAddress()].map((output) => output.address.address),
+      [outputs[0].address, outputs[2].address]
+    );
+
+    const shuffled = builder.createOutputList(inputs, destinations, {
+      shuffle: true,
+    });
+    assert.deepStrictEqual(
+      [...shuffled].sort((a, b) => a.index - b.index),
+      outputs
+    );
+  });
+});
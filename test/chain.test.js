@@ -0,0 +1,316 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const {
+  ChainSource,
+  BitcoinCoreChainSource,
+  EsploraChainSource,
+  MemoryPrevoutProvider,
+  ChainSourceError,
+  InvalidArgumentError,
+  parseBlock,
+  parseTransaction,
+  serializeTransaction,
+  scanBlock,
+  scanTransactionAsync,
+  computeTransactionTweakAsync,
+  computeBlockTweaks,
+} = require("..");
+const {
+  keys,
+  INPUT_SCRIPT,
+  fakeHex,
+  pay,
+  coinbase,
+  makeBlock,
+} = require("./helpers");
+
+// Two blocks: the first funds the input key, the second pays the receiver from it
+const funding = serializeTransaction({
+  version: 2,
+  inputs: [
+    {
+      txid: fakeHex("funding input"),
+      index: 0,
+      sequence: 0xffffffff,
+    },
+  ],
+  outputs: [
+    { value: 10000, script: Buffer.from(INPUT_SCRIPT, "hex") },
+    { value: 20000, script: Buffer.from("0014" + "11".repeat(20), "hex") },
+  ],
+  locktime: 0,
+});
+const fundingTxid = parseTransaction(funding).txid;
+
+const payment = pay(keys.toAddress(), { txid: fundingTxid, index: 0 });
+
+const blocks = [makeBlock([coinbase(0), funding])];
+blocks.push(makeBlock([coinbase(1), payment.hex], parseBlock(blocks[0]).hash));
+
+const transactions = new Map();
+for (const raw of blocks) {
+  for (const transaction of parseBlock(raw).transactions) {
+    transactions.set(transaction.txid, transaction);
+  }
+}
+const rawTransactions = new Map([
+  [fundingTxid, funding],
+  [payment.txid, Buffer.from(payment.hex, "hex")],
+]);
+
+function hashAt(height) {
+  return blocks[height] && parseBlock(blocks[height]).hash;
+}
+
+function findBlock(hash) {
+  return blocks.find((raw) => parseBlock(raw).hash === hash);
+}
+
+// Bitcoin Core JSON-RPC, legacy 1.0 style
+function rpc({ method, params, id }) {
+  const reply = (result) => ({ result, error: null, id });
+  const error = (code, message) => ({
+    result: null,
+    error: { code, message },
+    id,
+  });
+
+  switch (method) {
+    case "getblockchaininfo":
+      return reply({
+        blocks: blocks.length - 1,
+        bestblockhash: hashAt(blocks.length - 1),
+      });
+    case "getblockhash":
+      return hashAt(params[0])
+        ? reply(hashAt(params[0]))
+        : error(-8, "Block height out of range");
+    case "getblock": {
+      const raw = findBlock(params[0]);
+      return raw ? reply(raw.toString("hex")) : error(-5, "Block not found");
+    }
+    case "getrawtransaction": {
+      const raw = rawTransactions.get(params[0]);
+      return raw
+        ? reply(raw.toString("hex"))
+        : error(-5, "No such mempool or blockchain transaction");
+    }
+    default:
+      return error(-32601, "Method not found");
+  }
+}
+
+// Esplora REST API
+function esplora(path) {
+  let match;
+  if (path === "/blocks/tip/hash") return hashAt(blocks.length - 1);
+  if ((match = path.match(/^\/block-height\/(\d+)$/)))
+    return hashAt(Number(match[1]));
+  if ((match = path.match(/^\/block\/(\w+)\/raw$/))) return findBlock(match[1]);
+  if ((match = path.match(/^\/block\/(\w+)$/))) {
+    const index = blocks.indexOf(findBlock(match[1]));
+    return index < 0 ? null : JSON.stringify({ id: match[1], height: index });
+  }
+  if ((match = path.match(/^\/tx\/(\w+)\/hex$/))) {
+    const raw = rawTransactions.get(match[1]);
+    return raw && raw.toString("hex");
+  }
+  return null;
+}
+
+const AUTH = "Basic " + Buffer.from("user:pass").toString("base64");
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push(req.url);
+
+      if (req.url.startsWith("/esplora")) {
+        const result = esplora(req.url.slice("/esplora".length));
+        res.writeHead(result == null ? 404 : 200);
+        return res.end(result == null ? "Not found" : result);
+      }
+
+      if (req.headers.authorization !== AUTH) {
+        res.writeHead(401);
+        return res.end();
+      }
+
+      const payload = JSON.parse(body);
+      const result = Array.isArray(payload) ? payload.map(rpc) : rpc(payload);
+      const failed = !Array.isArray(result) && result.error;
+      res.writeHead(failed ? 500 : 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(result));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const sources = {
+  "Bitcoin Core": () =>
+    new BitcoinCoreChainSource({
+      url: baseUrl,
+      username: "user",
+      password: "pass",
+    }),
+  Esplora: () => new EsploraChainSource({ url: `${baseUrl}/esplora/` }),
+};
+
+describe("Chain sources", () => {
+  for (const [name, create] of Object.entries(sources)) {
+    it(`${name}: reads the tip, blocks and prevouts`, async () => {
+      const source = create();
+
+      assert.deepStrictEqual(await source.getTip(), {
+        height: 1,
+        hash: hashAt(1),
+      });
+      assert.strictEqual(await source.getBlockHash(0), hashAt(0));
+      assert.deepStrictEqual(await source.getBlock(hashAt(1)), blocks[1]);
+
+      const prevouts = await source.getPrevouts([
+        { txid: fundingTxid, index: 1 },
+        { txid: payment.txid, index: 0 },
+        { txid: fundingTxid, index: 0 },
+      ]);
+      assert.deepStrictEqual(
+        prevouts.map((output) => [output.script.toString("hex"), output.value]),
+        [
+          ["0014" + "11".repeat(20), BigInt(20000)],
+          [
+            transactions.get(payment.txid).outputs[0].script.toString("hex"),
+            BigInt(9000),
+          ],
+          [INPUT_SCRIPT, BigInt(10000)],
+        ]
+      );
+    });
+
+    it(`${name}: scans blocks and transactions`, async () => {
+      const source = create();
+
+      for (const block of [1, hashAt(1), blocks[1]]) {
+        const found = await scanBlock(block, source, keys);
+        assert.strictEqual(found.length, 1);
+        assert.strictEqual(found[0].txid, payment.txid);
+        assert.strictEqual(found[0].output.amount, BigInt(9000));
+      }
+      assert.deepStrictEqual(await scanBlock(0, source, keys), []);
+
+      for (const transaction of [payment.txid, payment.hex]) {
+        const found = await scanTransactionAsync(transaction, source, keys);
+        assert.strictEqual(found[0].outpoint, `${payment.txid}:0`);
+      }
+      assert.deepStrictEqual(
+        await scanTransactionAsync(coinbase(1), source, keys),
+        []
+      );
+
+      const [{ tweak }] = await computeBlockTweaks(1, source);
+      assert.strictEqual(
+        await computeTransactionTweakAsync(payment.txid, source),
+        tweak
+      );
+    });
+
+    it(`${name}: reports unknown blocks and transactions`, async () => {
+      const source = create();
+      const unknown = "ab".repeat(32);
+
+      for (const promise of [
+        source.getBlock(unknown),
+        source.getBlockHash(5),
+        source.getPrevouts([{ txid: unknown, index: 0 }]),
+      ]) {
+        await assert.rejects(promise, (error) => {
+          assert.ok(error instanceof ChainSourceError);
+          assert.strictEqual(error.code, "NOT_FOUND");
+          return true;
+        });
+      }
+
+      await assert.rejects(
+        source.getPrevouts([{ txid: fundingTxid, index: 7 }]),
+        { code: "MISSING_PREVOUT" }
+      );
+      await assert.rejects(source.getBlock("../tx"), InvalidArgumentError);
+    });
+  }
+
+  it("fetches the prevouts of Bitcoin Core in batches of concurrency transactions", async () => {
+    const outpoints = [
+      { txid: fundingTxid, index: 0 },
+      { txid: payment.txid, index: 0 },
+    ];
+
+    requests.length = 0;
+    await sources["Bitcoin Core"]().getPrevouts(outpoints);
+    assert.deepStrictEqual(requests, ["/"]);
+
+    requests.length = 0;
+    const oneByOne = new BitcoinCoreChainSource({
+      url: baseUrl,
+      username: "user",
+      password: "pass",
+      concurrency: 1,
+    });
+    assert.strictEqual((await oneByOne.getPrevouts(outpoints)).length, 2);
+    assert.deepStrictEqual(requests, ["/", "/"]);
+  });
+
+  it("needs subclasses to implement getTransaction", async () => {
+    await assert.rejects(
+      new ChainSource().getPrevouts([{ txid: fundingTxid, index: 0 }]),
+      (error) => {
+        assert.ok(error instanceof ChainSourceError);
+        assert.strictEqual(error.code, "NOT_IMPLEMENTED");
+        return true;
+      }
+    );
+  });
+
+  it("reports failed requests", async () => {
+    await assert.rejects(
+      new BitcoinCoreChainSource({ url: baseUrl, username: "user" }).getTip(),
+      { name: "ChainSourceError", code: "HTTP_ERROR" }
+    );
+    await assert.rejects(
+      new BitcoinCoreChainSource({
+        url: baseUrl,
+        username: "user",
+        password: "pass",
+      }).call("stop"),
+      { name: "ChainSourceError", code: "RPC_ERROR" }
+    );
+    await assert.rejects(
+      new EsploraChainSource({
+        url: baseUrl,
+        fetch: () => Promise.reject(new Error("offline")),
+      }).getTip(),
+      { name: "ChainSourceError", code: "HTTP_ERROR" }
+    );
+
+    assert.throws(() => new EsploraChainSource(), InvalidArgumentError);
+    await assert.rejects(
+      scanTransactionAsync(payment.hex, [INPUT_SCRIPT], keys),
+      InvalidArgumentError
+    );
+    await assert.rejects(
+      scanBlock(1, new MemoryPrevoutProvider(), keys),
+      InvalidArgumentError
+    );
+  });
+});
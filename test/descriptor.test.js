@@ -0,0 +1,91 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { KeyGeneration, Network, bip32, bip39 } = require("..");
+const { descriptorChecksum } = require("../utils/descriptor");
+
+const MNEMONIC =
+  "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+const master = bip32.fromSeed(bip39.mnemonicToSeedSync(MNEMONIC));
+const fingerprint = Buffer.from(master.fingerprint).toString("hex");
+
+function sameKeys(a, b) {
+  assert.strictEqual(a.toAddress(), b.toAddress());
+  assert.strictEqual(a.b_scan.toString(16, 64), b.b_scan.toString(16, 64));
+}
+
+describe("sp() descriptors", () => {
+  it("computes BIP-380 checksums", () => {
+    assert.strictEqual(descriptorChecksum("raw(deadbeef)"), "89f8spxm");
+    assert.strictEqual(
+      descriptorChecksum("addr(mkmZxiEcEd8ZqjQWVZuC6so5dFMKEFpN2j)"),
+      "02wpgw69"
+    );
+  });
+
+  it("round trips spend keys with their origin", () => {
+    const keys = KeyGeneration.fromMnemonic(MNEMONIC);
+    const descriptor = keys.toDescriptor();
+
+    assert.ok(descriptor.startsWith(`sp([${fingerprint}/352h/0h/0h]spspend1q`));
+
+    const imported = KeyGeneration.fromDescriptor(descriptor);
+    sameKeys(imported, keys);
+    assert.strictEqual(
+      imported.b_spend.toString(16, 64),
+      keys.b_spend.toString(16, 64)
+    );
+    assert.deepStrictEqual(imported.origin, keys.origin);
+    assert.strictEqual(imported.toDescriptor(), descriptor);
+  });
+
+  it("round trips scan-only keys", () => {
+    const keys = KeyGeneration.fromMnemonic(MNEMONIC, {
+      network: Network.Signet,
+    });
+    const watchOnly = KeyGeneration.fromScanKey(keys.toScanKey());
+    const descriptor = watchOnly.toDescriptor();
+
+    assert.ok(descriptor.startsWith("sp(tspscan1q"));
+
+    const imported = KeyGeneration.fromDescriptor(descriptor, {
+      network: "signet",
+    });
+    assert.strictEqual(imported.isWatchOnly, true);
+    assert.strictEqual(imported.network, Network.Signet);
+    sameKeys(imported, keys);
+
+    assert.throws(
+      () => KeyGeneration.fromDescriptor(descriptor, { network: "mainnet" }),
+      /not for mainnet/
+    );
+  });
+
+  it("parses the two key form", () => {
+    const account = master.derivePath("m/352'/0'/0'");
+    const origin = `[${fingerprint}/352h/0h/0h]`;
+    const keys = KeyGeneration.fromHd(master);
+
+    const extended = KeyGeneration.fromDescriptor(
+      `sp(${origin}${account.toBase58()}/1h/0,${origin}${account.toBase58()}/0h/0)`
+    );
+    sameKeys(extended, keys);
+    assert.strictEqual(extended.isWatchOnly, false);
+
+    const scanWif = account.derivePath("1'/0").toWIF();
+    const spendPubkey = keys.B_spend.encodeCompressed("hex");
+    const mixed = KeyGeneration.fromDescriptor(`sp(${scanWif},${spendPubkey})`);
+    sameKeys(mixed, keys);
+    assert.strictEqual(mixed.isWatchOnly, true);
+  });
+
+  it("rejects invalid checksums", () => {
+    const descriptor = KeyGeneration.fromMnemonic(MNEMONIC).toDescriptor();
+    const body = descriptor.split("#")[0];
+
+    assert.throws(
+      () => KeyGeneration.fromDescriptor(body + "#qqqqqqqq"),
+      /Invalid descriptor checksum/
+    );
+    assert.doesNotThrow(() => KeyGeneration.fromDescriptor(body));
+  });
+});
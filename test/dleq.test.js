@@ -0,0 +1,165 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const { generateDleqProof, verifyDleqProof } = require("..");
+
+const a = "eadc78165ff1f8ea94ad7cfdc54990738a4c53f6e0507b42154201b8e5dff3b1";
+const b = "0f694e068028a717f8af6b9411f9a133dd3565258714cc226594b34db90c1f2c";
+const r = "00".repeat(32);
+
+const A = ec.keyFromPrivate(a).getPublic();
+const B = ec.keyFromPrivate(b).getPublic();
+const C = B.mul(ec.keyFromPrivate(a).getPrivate());
+
+// BIP-374 test vectors, in the format of the files published next to the BIP
+const VECTORS = path.join(__dirname, "vectors", "bip374");
+
+function readVectors(name) {
+  const [header, ...rows] = fs
+    .readFileSync(path.join(VECTORS, name), "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+  const columns = header.split(",");
+
+  return rows.map((row) => {
+    const fields = row.split(",");
+    // The comment is last and may itself contain commas
+    fields.push(fields.splice(columns.length - 1).join(","));
+    return Object.fromEntries(columns.map((column, i) => [column, fields[i]]));
+  });
+}
+
+function vectorTests(name, run) {
+  for (const vector of readVectors(name)) {
+    it(`#${vector.index} ${vector.comment}`, () => run(vector));
+  }
+}
+
+// Empty fields mean no message
+function vectorMessage(m) {
+  return m ? m : null;
+}
+
+describe("DLEQ proofs", () => {
+  it("proves and verifies an ECDH share", () => {
+    const proof = generateDleqProof(a, B, r);
+
+    assert.strictEqual(proof.length, 64);
+    assert.ok(verifyDleqProof(A, B, C, proof));
+    assert.ok(
+      verifyDleqProof(
+        A.encodeCompressed("hex"),
+        B.encodeCompressed("hex"),
+        C.encodeCompressed("hex"),
+        proof.toString("hex")
+      )
+    );
+  });
+
+  it("is deterministic for the same aux randomness", () => {
+    assert.deepStrictEqual(
+      generateDleqProof(a, B, r),
+      generateDleqProof(a, B.encodeCompressed("hex"), r)
+    );
+    assert.notDeepStrictEqual(
+      generateDleqProof(a, B, r),
+      generateDleqProof(a, B, "01".repeat(32))
+    );
+  });
+
+  it("rejects proofs for another share", () => {
+    const proof = generateDleqProof(a, B, r);
+
+    assert.ok(!verifyDleqProof(A, B, C.add(ec.g), proof));
+    assert.ok(!verifyDleqProof(A.add(ec.g), B, C, proof));
+
+    const tampered = Buffer.from(proof);
+    tampered[63] ^= 1;
+    assert.ok(!verifyDleqProof(A, B, C, tampered));
+  });
+
+  it("binds the proof to the message", () => {
+    const m = "11".repeat(32);
+    const proof = generateDleqProof(a, B, r, { m });
+
+    assert.ok(verifyDleqProof(A, B, C, proof, { m }));
+    assert.ok(!verifyDleqProof(A, B, C, proof));
+    assert.ok(!verifyDleqProof(A, B, C, proof, { m: "22".repeat(32) }));
+  });
+
+  it("supports another generator", () => {
+    const G = ec.g.mul(ec.keyFromPrivate("07".repeat(32)).getPrivate());
+    const proof = generateDleqProof(a, B, r, { G });
+
+    assert.ok(
+      verifyDleqProof(G.mul(ec.keyFromPrivate(a).getPrivate()), B, C, proof, {
+        G,
+      })
+    );
+    assert.ok(!verifyDleqProof(A, B, C, proof));
+  });
+
+  it("rejects invalid inputs", () => {
+    assert.throws(() => generateDleqProof("00".repeat(32), B, r));
+    assert.throws(() => generateDleqProof(ec.curve.n.toString(16, 64), B, r));
+    assert.ok(!verifyDleqProof(A, B, C, "00".repeat(63)));
+    assert.ok(!verifyDleqProof(A, B, C, "ff".repeat(64)));
+  });
+
+  it("rejects malformed proofs and points", () => {
+    const proof = generateDleqProof(a, B, r);
+
+    const tampered = Buffer.from(proof);
+    tampered[0] ^= 1;
+    assert.ok(!verifyDleqProof(A, B, C, tampered));
+
+    // s must be below the group order
+    const overflow = Buffer.concat([
+      proof.subarray(0, 32),
+      ec.curve.n.toArrayLike(Buffer, "be", 32),
+    ]);
+    assert.ok(!verifyDleqProof(A, B, C, overflow));
+
+    // x = 5 is not on the curve
+    const offCurve = "02" + "00".repeat(31) + "05";
+    assert.ok(!verifyDleqProof(A, B, offCurve, proof));
+    assert.ok(!verifyDleqProof(A, offCurve, C, proof));
+    assert.throws(() => generateDleqProof(a, offCurve, r));
+    assert.throws(() => generateDleqProof(a, ec.curve.point(null, null), r));
+  });
+});
+
+describe("BIP-374 test vectors", () => {
+  vectorTests("test_vectors_generate_proof.csv", (vector) => {
+    const generate = () =>
+      generateDleqProof(vector.scalar_a, vector.point_B, vector.auxrand_r, {
+        G: vector.point_G,
+        m: vectorMessage(vector.message),
+      });
+
+    if (vector.result_proof === "INVALID") {
+      assert.throws(generate);
+    } else {
+      assert.strictEqual(
+        generate().toString("hex"),
+        vector.result_proof.toLowerCase()
+      );
+    }
+  });
+
+  vectorTests("test_vectors_verify_proof.csv", (vector) => {
+    assert.strictEqual(
+      verifyDleqProof(
+        vector.point_A,
+        vector.point_B,
+        vector.point_C,
+        vector.proof,
+        { G: vector.point_G, m: vectorMessage(vector.message) }
+      ),
+      vector.result_success === "TRUE"
+    );
+  });
+});
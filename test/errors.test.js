@@ -0,0 +1,177 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  SilentPaymentPsbt,
+  ECPrivateInfo,
+  LabelManager,
+  Network,
+  parseAddress,
+  parseTransaction,
+  SilentPaymentError,
+  InvalidAddressError,
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+  IneligibleInputError,
+  InvalidFormatError,
+  InvalidArgumentError,
+  ChainSourceError,
+  ScanPool,
+  EsploraChainSource,
+  BitcoinScriptOutput,
+} = require("..");
+const { keys } = require("./helpers");
+
+function throwsError(fn, ErrorClass, code) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof ErrorClass, `${error.name}: ${error.message}`);
+    assert.ok(error instanceof SilentPaymentError);
+    assert.strictEqual(error.name, ErrorClass.name);
+    assert.strictEqual(error.code, code);
+    return true;
+  });
+}
+
+async function rejectsError(promise, ErrorClass, code) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ErrorClass, `${error.name}: ${error.message}`);
+    assert.strictEqual(error.code, code);
+    return true;
+  });
+}
+
+// Esplora API answering every request with the same body
+function esplora(body) {
+  return new EsploraChainSource({
+    url: "http://esplora.test",
+    fetch: async () => ({ ok: true, status: 200, text: async () => body }),
+  });
+}
+
+describe("Errors", () => {
+  it("default to the code of their class", () => {
+    const error = new InvalidKeyError("Bad key");
+
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.code, "INVALID_KEY");
+    assert.strictEqual(
+      new InvalidKeyError("Bad key", { code: "KEY_MISMATCH" }).code,
+      "KEY_MISMATCH"
+    );
+  });
+
+  it("are thrown for invalid addresses", () => {
+    const address = keys.toAddress();
+    const flipped = address.slice(0, -1) + (address.endsWith("q") ? "p" : "q");
+
+    throwsError(() => parseAddress(flipped), ChecksumError, "INVALID_CHECKSUM");
+    throwsError(
+      () => parseAddress(address, { network: Network.Testnet }),
+      NetworkMismatchError,
+      "NETWORK_MISMATCH"
+    );
+    throwsError(
+      () => parseAddress("sp1"),
+      InvalidAddressError,
+      "INVALID_FORMAT"
+    );
+    throwsError(
+      () => Network.fromHrp("xp"),
+      InvalidAddressError,
+      "INVALID_PREFIX"
+    );
+  });
+
+  it("are thrown for invalid keys, inputs and data", () => {
+    throwsError(
+      () => Network.from("litecoin"),
+      InvalidArgumentError,
+      "UNKNOWN_NETWORK"
+    );
+    throwsError(
+      () => new LabelManager(keys).add(-1),
+      InvalidArgumentError,
+      "INVALID_ARGUMENT"
+    );
+    throwsError(
+      () =>
+        new SilentPaymentBuilder({ vinOutpoints: [] }).createOutputs(
+          [new ECPrivateInfo("01", false)],
+          [SilentPaymentDestination.fromAddress(keys.toAddress(), 1)]
+        ),
+      IneligibleInputError,
+      "NO_INPUTS"
+    );
+    throwsError(
+      () => parseTransaction("0200"),
+      InvalidFormatError,
+      "INVALID_FORMAT"
+    );
+    throwsError(
+      () => SilentPaymentPsbt.fromHex("00"),
+      InvalidFormatError,
+      "INVALID_FORMAT"
+    );
+  });
+
+  it("are thrown when scanning without eligible inputs", () => {
+    const outputs = [new BitcoinScriptOutput("5120" + "11".repeat(32), 1000)];
+    const pubkey = keys.B_spend.encodeCompressed("hex");
+    const negated = (pubkey.startsWith("02") ? "03" : "02") + pubkey.slice(2);
+
+    throwsError(
+      () =>
+        new SilentPaymentBuilder({ vinOutpoints: [], pubkeys: [] }).scanOutputs(
+          keys,
+          outputs
+        ),
+      IneligibleInputError,
+      "NO_INPUTS"
+    );
+    throwsError(
+      () =>
+        new SilentPaymentBuilder({
+          vinOutpoints: [{ txid: "11".repeat(32), index: 0 }],
+          pubkeys: [pubkey, negated],
+        }).scanOutputs(keys, outputs),
+      IneligibleInputError,
+      "ZERO_INPUT_SUM"
+    );
+  });
+
+  it("are thrown by scan pools and chain sources", async () => {
+    const pool = new ScanPool(keys, { concurrency: 1 });
+    const job = {
+      receiverTweak: keys.B_scan.encodeCompressed("hex"),
+      outputs: [new BitcoinScriptOutput("5120" + "11".repeat(32), 1000)],
+    };
+
+    try {
+      // A TypeError in the worker
+      await rejectsError(
+        pool.scan([{ ...job, outputs: null }]),
+        SilentPaymentError,
+        "WORKER_ERROR"
+      );
+
+      const running = pool.scan([job]);
+      pool.workers.forEach((worker) => worker.terminate());
+      await rejectsError(running, SilentPaymentError, "WORKER_EXIT");
+    } finally {
+      await pool.close();
+    }
+
+    await rejectsError(
+      esplora("not a hash").getTip(),
+      ChainSourceError,
+      "INVALID_RESPONSE"
+    );
+    await rejectsError(
+      esplora("ab".repeat(32)).getTip(),
+      ChainSourceError,
+      "INVALID_RESPONSE"
+    );
+  });
+});
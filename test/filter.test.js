@@ -0,0 +1,155 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  KeyGeneration,
+  LabelManager,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BlockFilter,
+  getFilterScripts,
+  matchBlockFilter,
+  matchBlockFilters,
+  InvalidArgumentError,
+  InvalidFormatError,
+} = require("..");
+const { siphash24 } = require("../utils/filter");
+
+const { keys, INPUT_KEY, fakeHex, otherKeys } = require("./helpers");
+
+const labels = new LabelManager(keys, { count: 3 });
+
+// Testnet genesis block and its basic filter, from the BIP-158 test vectors
+const GENESIS_HASH =
+  "000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943";
+const GENESIS_FILTER = "019dfca8";
+const GENESIS_SCRIPT =
+  "4104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac";
+
+function someScript(label) {
+  return "5120" + fakeHex(label);
+}
+
+// Block with a few unrelated scripts and a transaction paying the address
+function blockPaying(address, label) {
+  const builder = new SilentPaymentBuilder({
+    vinOutpoints: [{ txid: fakeHex(`${label} txid`), index: 0 }],
+  });
+  const [output] = builder.createOutputList(
+    [new ECPrivateInfo(INPUT_KEY, false)],
+    [SilentPaymentDestination.fromAddress(address, 1000)]
+  );
+  const blockHash = fakeHex(`${label} block`);
+  const scripts = [
+    someScript(`${label} before`),
+    output.script,
+    someScript(`${label} after`),
+  ];
+
+  return {
+    blockHash,
+    filter: BlockFilter.build(blockHash, scripts).toHex(),
+    tweaks: [
+      builder.getReceiverTweak(),
+      "02" + "79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798",
+    ],
+  };
+}
+
+describe("Block filters", () => {
+  it("hashes with SipHash-2-4", () => {
+    const key = Buffer.from([...Array(16).keys()]);
+    const data = Buffer.from([...Array(15).keys()]);
+
+    assert.strictEqual(siphash24(key, data).toString(16), "a129ca6149be45e5");
+  });
+
+  it("matches the BIP-158 basic filter of the testnet genesis block", () => {
+    const filter = new BlockFilter(GENESIS_FILTER, GENESIS_HASH);
+
+    assert.strictEqual(filter.n, 1);
+    assert.ok(filter.match(GENESIS_SCRIPT));
+    assert.ok(!filter.match(someScript("not in the block")));
+    assert.strictEqual(
+      BlockFilter.build(GENESIS_HASH, [GENESIS_SCRIPT]).toHex(),
+      GENESIS_FILTER
+    );
+  });
+
+  it("matches the items it was built from", () => {
+    const blockHash = fakeHex("block");
+    const scripts = Array.from({ length: 200 }, (_, i) => someScript(i));
+    const filter = new BlockFilter(
+      BlockFilter.build(blockHash, scripts).toHex(),
+      blockHash
+    );
+
+    assert.strictEqual(filter.n, 200);
+    assert.ok(scripts.every((script) => filter.match(script)));
+    assert.ok(filter.matchAny([someScript("missing"), scripts[117]]));
+    assert.ok(
+      !filter.matchAny(
+        Array.from({ length: 20 }, (_, i) => someScript(`missing ${i}`))
+      )
+    );
+    assert.ok(!new BlockFilter("00", blockHash).match(scripts[0]));
+  });
+
+  it("flags the blocks paying the receiver", () => {
+    const blocks = [
+      blockPaying(otherKeys(0).toAddress(), 0),
+      blockPaying(keys.toAddress(), 1),
+      blockPaying(otherKeys(2).toAddress(), 2),
+      blockPaying(keys.toLabeledSilentPaymentAddress(2).toAddress(), 3),
+    ];
+
+    assert.deepStrictEqual(
+      matchBlockFilters(blocks, keys, { precomputedLabels: labels }),
+      [blocks[1], blocks[3]]
+    );
+    // Labeled payments are only found with the labels
+    assert.deepStrictEqual(matchBlockFilters(blocks, keys), [blocks[1]]);
+
+    // A watch-only scan key is enough, and tweak items from computeBlockTweaks work too
+    const { blockHash, filter, tweaks } = blocks[3];
+    assert.ok(
+      matchBlockFilter(
+        new BlockFilter(filter, blockHash),
+        null,
+        tweaks.map((tweak) => ({ txid: "00".repeat(32), tweak })),
+        KeyGeneration.fromScanKey(keys.toScanKey()),
+        { precomputedLabels: labels.precomputedLabels }
+      )
+    );
+    assert.ok(!matchBlockFilter(filter, blockHash, [], keys));
+  });
+
+  it("derives the first output of each tweak and label", () => {
+    const { tweaks } = blockPaying(keys.toAddress(), "tweaks");
+    const scripts = getFilterScripts(tweaks, keys, {
+      precomputedLabels: labels,
+    });
+    const labelCount = Object.keys(labels.precomputedLabels).length;
+
+    assert.strictEqual(scripts.length, tweaks.length * (1 + labelCount));
+    assert.ok(scripts.every((script) => script.length === 34));
+  });
+
+  it("rejects invalid filters, block hashes and tweaks", () => {
+    const blockHash = fakeHex("block");
+
+    assert.throws(
+      () => new BlockFilter("01", blockHash).match(someScript("script")),
+      InvalidFormatError
+    );
+    assert.throws(() => new BlockFilter("zz", blockHash), InvalidArgumentError);
+    assert.throws(
+      () => new BlockFilter(GENESIS_FILTER, "00"),
+      InvalidArgumentError
+    );
+    assert.throws(
+      () => getFilterScripts(["02" + "00".repeat(32)], keys),
+      InvalidArgumentError
+    );
+  });
+});
@@ -0,0 +1,137 @@
+// Fixtures shared by the tests. Nothing here is random, so a failing test
+// fails the same way on every run.
+const { createHash } = require("crypto");
+const {
+  KeyGeneration,
+  TransactionBuilder,
+  serializeTransaction,
+} = require("..");
+const { hash160 } = require("../utils/hash");
+const secp = require("../utils/secp256k1");
+
+// Receiver keys of the BIP-352 test vectors
+const SCAN_KEY =
+  "0f694e068028a717f8af6b9411f9a133dd3565258714cc226594b34db90c1f2c";
+const SPEND_KEY =
+  "9d6ad855ce3417ef84e836892e5a56392bfba05fa5d97ccea30e266f540e08b3";
+const PRIVATE_KEYS = { b_scan: SCAN_KEY, b_spend: SPEND_KEY };
+
+const keys = KeyGeneration.fromPrivateKeys(PRIVATE_KEYS);
+
+// Sender input key, its public key and P2WPKH script, and an outpoint it spends
+const INPUT_KEY =
+  "eadc78165ff1f8ea94ad7cfdc54990738a4c53f6e0507b42154201b8e5dff3b1";
+const INPUT_PUBKEY = secp.pointFromScalar(Buffer.from(INPUT_KEY, "hex"));
+const INPUT_SCRIPT = "0014" + hash160(INPUT_PUBKEY).toString("hex");
+const OUTPOINT = {
+  txid: "f4184fc596403b9d638783cf57adfe4c75c605f6356fbc91338530e9831e9e16",
+  index: 0,
+};
+
+/**
+ * 32 bytes standing in for random bytes, the same for the same label
+ * @param label Anything with a string form
+ * @returns 32 byte Buffer
+ */
+
+function fakeBytes(label) {
+  return createHash("sha256").update(String(label)).digest();
+}
+
+function fakeHex(label) {
+  return fakeBytes(label).toString("hex");
+}
+
+/**
+ * Keys of a receiver other than keys
+ * @param label Picks the receiver
+ * @returns KeyGeneration
+ */
+
+function otherKeys(label) {
+  return KeyGeneration.fromPrivateKeys({
+    b_scan: fakeHex(`${label} scan`),
+    b_spend: fakeHex(`${label} spend`),
+  });
+}
+
+/**
+ * Signed transaction spending 10000 sats of INPUT_SCRIPT to an address
+ * @param address Address paid
+ * @param txid Transaction id of the output spent
+ * @param index Index of the output spent
+ * @param amount Amount paid
+ * @param outputs Outputs before the payment, as passed to TransactionBuilder.addOutput
+ * @returns Result of TransactionBuilder.build
+ */
+
+function pay(
+  address,
+  { txid = "11".repeat(32), index = 1, amount = 9000, outputs = [] } = {}
+) {
+  const builder = new TransactionBuilder().addInput({
+    txid,
+    index,
+    value: 10000,
+    script: INPUT_SCRIPT,
+    privateKey: INPUT_KEY,
+  });
+  for (const output of outputs) builder.addOutput(output);
+
+  return builder.addOutput({ address, amount }).build();
+}
+
+function coinbase(height = 1) {
+  return serializeTransaction({
+    version: 1,
+    inputs: [
+      {
+        txid: "00".repeat(32),
+        index: 0xffffffff,
+        scriptSig: Buffer.from([0x01, height]),
+        sequence: 0xffffffff,
+      },
+    ],
+    outputs: [{ value: 5000000000, script: Buffer.from("51", "hex") }],
+    locktime: 0,
+  });
+}
+
+/**
+ * Raw block with a zero header apart from the previous block hash
+ * @param transactions Raw transactions, as hex or Buffers
+ * @param prevHash Hash of the previous block
+ * @returns Block bytes
+ */
+
+function makeBlock(transactions, prevHash = "00".repeat(32)) {
+  const header = Buffer.alloc(80);
+  Buffer.from(prevHash, "hex").reverse().copy(header, 4);
+
+  return Buffer.concat([
+    header,
+    Buffer.from([transactions.length]),
+    ...transactions.map((transaction) =>
+      typeof transaction === "string"
+        ? Buffer.from(transaction, "hex")
+        : transaction
+    ),
+  ]);
+}
+
+module.exports = {
+  SCAN_KEY,
+  SPEND_KEY,
+  PRIVATE_KEYS,
+  keys,
+  INPUT_KEY,
+  INPUT_PUBKEY,
+  INPUT_SCRIPT,
+  OUTPOINT,
+  fakeBytes,
+  fakeHex,
+  otherKeys,
+  pay,
+  coinbase,
+  makeBlock,
+};
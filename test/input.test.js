@@ -0,0 +1,218 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { createHash } = require("crypto");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const {
+  TransactionInput,
+  getPublicKeyFromInput,
+  getWitnessVersion,
+} = require("../utils/input");
+
+const INPUT_KEY =
+  "eadc78165ff1f8ea94ad7cfdc54990738a4c53f6e0507b42154201b8e5dff3b1";
+const OTHER_KEY =
+  "93f5ed907ad5b2bdbbdcb5d9116ebc0a4e1f92f910d5260237fa45a9408aad16";
+
+// BIP-341 NUMS point
+const NUMS_H =
+  "50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0";
+
+const key = ec.keyFromPrivate(INPUT_KEY).getPublic();
+const PUBKEY = Buffer.from(key.encodeCompressed("array"));
+const UNCOMPRESSED = Buffer.from(key.encode("array", false));
+const X_ONLY = PUBKEY.subarray(1);
+const SIGNATURE = Buffer.alloc(71, 0x30);
+
+function hash160(data) {
+  const sha = createHash("sha256").update(data).digest();
+  return createHash("ripemd160").update(sha).digest();
+}
+
+function push(data) {
+  return Buffer.concat([Buffer.from([data.length]), data]);
+}
+
+function p2pkh(pubkey) {
+  return Buffer.concat([
+    Buffer.from("76a914", "hex"),
+    hash160(pubkey),
+    Buffer.from("88ac", "hex"),
+  ]);
+}
+
+function p2tr(xOnly) {
+  return Buffer.concat([Buffer.from("5120", "hex"), xOnly]);
+}
+
+function publicKey(input) {
+  return getPublicKeyFromInput(
+    new TransactionInput({ txid: "00".repeat(32), index: 0, ...input })
+  );
+}
+
+describe("Input public keys", () => {
+  it("reads P2PKH scriptSigs, including malleated ones", () => {
+    assert.strictEqual(
+      publicKey({
+        scriptSig: Buffer.concat([push(SIGNATURE), push(PUBKEY)]),
+        prevoutScript: p2pkh(PUBKEY),
+      }),
+      PUBKEY.toString("hex")
+    );
+
+    // Another key before the signature and extra opcodes after the public key
+    const decoy = Buffer.from(
+      ec.keyFromPrivate(OTHER_KEY).getPublic().encodeCompressed("array")
+    );
+    assert.strictEqual(
+      publicKey({
+        scriptSig: Buffer.concat([
+          push(decoy),
+          push(SIGNATURE),
+          push(PUBKEY),
+          Buffer.from("7575", "hex"),
+        ]),
+        prevoutScript: p2pkh(PUBKEY),
+      }),
+      PUBKEY.toString("hex")
+    );
+
+    // No key hashing to the prevout
+    assert.strictEqual(
+      publicKey({
+        scriptSig: Buffer.concat([push(SIGNATURE), push(decoy)]),
+        prevoutScript: p2pkh(PUBKEY),
+      }),
+      null
+    );
+  });
+
+  it("reads P2SH-P2WPKH and P2WPKH witnesses", () => {
+    const redeemScript = Buffer.concat([
+      Buffer.from("0014", "hex"),
+      hash160(PUBKEY),
+    ]);
+
+    assert.strictEqual(
+      publicKey({
+        scriptSig: push(redeemScript),
+        witness: [SIGNATURE, PUBKEY],
+        prevoutScript: Buffer.concat([
+          Buffer.from("a914", "hex"),
+          hash160(redeemScript),
+          Buffer.from("87", "hex"),
+        ]),
+      }),
+      PUBKEY.toString("hex")
+    );
+
+    assert.strictEqual(
+      publicKey({ witness: [SIGNATURE, PUBKEY], prevoutScript: redeemScript }),
+      PUBKEY.toString("hex")
+    );
+
+    // Other P2SH scripts are not eligible
+    const multisig = Buffer.concat([
+      Buffer.from([0x51]),
+      push(PUBKEY),
+      Buffer.from("51ae", "hex"),
+    ]);
+    assert.strictEqual(
+      publicKey({
+        scriptSig: Buffer.concat([
+          Buffer.from([0x00]),
+          push(SIGNATURE),
+          push(multisig),
+        ]),
+        prevoutScript: Buffer.concat([
+          Buffer.from("a914", "hex"),
+          hash160(multisig),
+          Buffer.from("87", "hex"),
+        ]),
+      }),
+      null
+    );
+  });
+
+  it("rejects uncompressed keys", () => {
+    assert.strictEqual(
+      publicKey({
+        scriptSig: Buffer.concat([push(SIGNATURE), push(UNCOMPRESSED)]),
+        prevoutScript: p2pkh(UNCOMPRESSED),
+      }),
+      null
+    );
+    assert.strictEqual(
+      publicKey({
+        witness: [SIGNATURE, UNCOMPRESSED],
+        prevoutScript: Buffer.concat([
+          Buffer.from("0014", "hex"),
+          hash160(UNCOMPRESSED),
+        ]),
+      }),
+      null
+    );
+  });
+
+  it("reads taproot key path and script path spends", () => {
+    const schnorr = Buffer.alloc(64, 1);
+    const annex = Buffer.from("50aabb", "hex");
+    const expected = "02" + X_ONLY.toString("hex");
+
+    assert.strictEqual(
+      publicKey({ witness: [schnorr], prevoutScript: p2tr(X_ONLY) }),
+      expected
+    );
+    // The annex is dropped before telling key path from script path
+    assert.strictEqual(
+      publicKey({ witness: [schnorr, annex], prevoutScript: p2tr(X_ONLY) }),
+      expected
+    );
+
+    const leafScript = Buffer.concat([push(X_ONLY), Buffer.from("ac", "hex")]);
+    const controlBlock = (internalKey) =>
+      Buffer.concat([Buffer.from([0xc0]), internalKey]);
+
+    assert.strictEqual(
+      publicKey({
+        witness: [schnorr, leafScript, controlBlock(X_ONLY)],
+        prevoutScript: p2tr(X_ONLY),
+      }),
+      expected
+    );
+  });
+
+  it("skips taproot script path spends with the NUMS internal key", () => {
+    const nums = Buffer.from(NUMS_H, "hex");
+    const witness = [
+      Buffer.alloc(64, 1),
+      Buffer.concat([push(X_ONLY), Buffer.from("ac", "hex")]),
+      Buffer.concat([Buffer.from([0xc1]), nums]),
+    ];
+
+    assert.strictEqual(
+      publicKey({ witness, prevoutScript: p2tr(X_ONLY) }),
+      null
+    );
+    assert.strictEqual(
+      publicKey({
+        witness: [...witness, Buffer.from("50", "hex")],
+        prevoutScript: p2tr(X_ONLY),
+      }),
+      null
+    );
+  });
+
+  it("ignores other output types", () => {
+    const p2wsh = Buffer.concat([Buffer.from("0020", "hex"), Buffer.alloc(32)]);
+
+    assert.strictEqual(
+      publicKey({ witness: [SIGNATURE, PUBKEY], prevoutScript: p2wsh }),
+      null
+    );
+    assert.strictEqual(getWitnessVersion(p2wsh), 0);
+    assert.strictEqual(getWitnessVersion(p2tr(X_ONLY)), 1);
+    assert.strictEqual(getWitnessVersion(p2pkh(PUBKEY)), null);
+  });
+});
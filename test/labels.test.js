@@ -0,0 +1,185 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const {
+  LabelManager,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BitcoinScriptOutput,
+} = require("..");
+const { keys, INPUT_KEY, OUTPOINT } = require("./helpers");
+
+function sendTo(address) {
+  const result = new SilentPaymentBuilder({
+    vinOutpoints: [OUTPOINT],
+  }).createOutputs(
+    [new ECPrivateInfo(INPUT_KEY, false)],
+    [SilentPaymentDestination.fromAddress(address, 1000)]
+  );
+
+  return Object.values(result)[0][0].address.pubkey.toString("hex");
+}
+
+function scan(output, labels) {
+  return new SilentPaymentBuilder({
+    vinOutpoints: [OUTPOINT],
+    pubkeys: [ec.keyFromPrivate(INPUT_KEY).getPublic().encodeCompressed("hex")],
+  }).scanOutputs(
+    keys.b_scan,
+    keys.B_spend,
+    [new BitcoinScriptOutput("5120" + output, 1000)],
+    labels.precomputedLabels
+  );
+}
+
+describe("LabelManager", () => {
+  it("always includes the change label", () => {
+    const labels = new LabelManager(keys, { count: 0 });
+
+    assert.strictEqual(Object.keys(labels.precomputedLabels).length, 1);
+
+    const found = scan(
+      sendTo(keys.toLabeledSilentPaymentAddress(0).toAddress()),
+      labels
+    );
+    assert.deepStrictEqual(labels.resolve(Object.values(found)[0]), {
+      m: 0,
+      name: "change",
+    });
+  });
+
+  it("derives the same labels from a Uint8Array scan key", () => {
+    const { generateLabel } = require("../utils/label");
+    const b_scan = new Uint8Array(keys.b_scan.toArrayLike(Buffer, "be", 32));
+
+    assert.deepStrictEqual(
+      Buffer.from(generateLabel(3, b_scan)),
+      Buffer.from(generateLabel(3, keys.b_scan))
+    );
+  });
+
+  it("precomputes a range of labels", () => {
+    const labels = new LabelManager(keys, { count: 5 });
+    assert.strictEqual(Object.keys(labels.precomputedLabels).length, 5);
+
+    const found = scan(
+      sendTo(keys.toLabeledSilentPaymentAddress(4).toAddress()),
+      labels
+    );
+    assert.strictEqual(labels.resolve(Object.values(found)[0]).m, 4);
+  });
+
+  it("gives the label number when scanning with the manager", () => {
+    const labels = new LabelManager(keys, { count: 5 });
+    const output = sendTo(keys.toLabeledSilentPaymentAddress(3).toAddress());
+
+    const [match] = Object.values(scan(output, labels));
+    assert.strictEqual(match.label, null);
+
+    const [labeled] = Object.values(
+      new SilentPaymentBuilder({
+        vinOutpoints: [OUTPOINT],
+        pubkeys: [
+          ec.keyFromPrivate(INPUT_KEY).getPublic().encodeCompressed("hex"),
+        ],
+      }).scanOutputs(
+        keys,
+        [new BitcoinScriptOutput("5120" + output, 1000)],
+        labels
+      )
+    );
+    assert.strictEqual(labeled.label, 3);
+    assert.strictEqual(labeled.k, 0);
+    assert.strictEqual(labeled.labelTweak, match.labelTweak);
+    assert.deepStrictEqual(labels.resolve(3), { m: 3, name: null });
+  });
+
+  it("names labels and returns their address", () => {
+    const labels = new LabelManager(keys);
+    const address = labels.add(1001337, "donations");
+
+    assert.strictEqual(
+      address.toAddress(),
+      keys.toLabeledSilentPaymentAddress(1001337).toAddress()
+    );
+
+    const found = scan(sendTo(address.toAddress()), labels);
+    assert.deepStrictEqual(labels.resolve(Object.values(found)[0]), {
+      m: 1001337,
+      name: "donations",
+    });
+  });
+
+  it("grows the table past the gap limit", () => {
+    const labels = new LabelManager(keys, { count: 3, gapLimit: 3 });
+    assert.strictEqual(Object.keys(labels.precomputedLabels).length, 3);
+
+    const found = scan(
+      sendTo(keys.toLabeledSilentPaymentAddress(2).toAddress()),
+      labels
+    );
+    const [output] = Object.keys(found);
+
+    assert.deepStrictEqual(labels.markUsed(found), {
+      [output]: { m: 2, name: null },
+    });
+    assert.strictEqual(Object.keys(labels.precomputedLabels).length, 6);
+    assert.ok(labels.labels.has(5));
+  });
+
+  it("marks labels used while scanning with a LabelManager", () => {
+    const GAP = 3;
+    // Labels 0..GAP, GAP + 1 is only added once label GAP is found
+    const labels = new LabelManager(keys, { count: GAP + 1, gapLimit: GAP });
+    assert.ok(!labels.labels.has(GAP + 1));
+
+    // The payment to label GAP gets k = 0 and the one to GAP + 1 gets k = 1
+    const result = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT],
+    }).createOutputs(
+      [new ECPrivateInfo(INPUT_KEY, false)],
+      [GAP, GAP + 1].map((m) =>
+        SilentPaymentDestination.fromAddress(
+          keys.toLabeledSilentPaymentAddress(m).toAddress(),
+          1000
+        )
+      )
+    );
+    const outputs = Object.values(result)
+      .flat()
+      .map((output) => output.address.pubkey.toString("hex"));
+
+    const found = new SilentPaymentBuilder({
+      vinOutpoints: [OUTPOINT],
+      pubkeys: [
+        ec.keyFromPrivate(INPUT_KEY).getPublic().encodeCompressed("hex"),
+      ],
+    }).scanOutputs(
+      keys,
+      outputs
+        .reverse()
+        .map((output) => new BitcoinScriptOutput("5120" + output, 1000)),
+      labels
+    );
+
+    assert.deepStrictEqual(
+      Object.values(found)
+        .map((output) => [output.k, output.label])
+        .sort(),
+      [
+        [0, GAP],
+        [1, GAP + 1],
+      ]
+    );
+    assert.strictEqual(labels.highestUsed, GAP + 1);
+    assert.ok(labels.labels.has(GAP + 1 + GAP));
+  });
+
+  it("rejects invalid label numbers", () => {
+    const labels = new LabelManager(keys);
+    assert.throws(() => labels.add(-1), /Invalid label/);
+    assert.throws(() => labels.add(2 ** 32), /Invalid label/);
+  });
+});
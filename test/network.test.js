@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  KeyGeneration,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  Network,
+} = require("..");
+const { toOutputScript } = require("../utils/address");
+const { PRIVATE_KEYS } = require("./helpers");
+
+const MNEMONIC =
+  "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+describe("Network", () => {
+  it("accepts network objects and legacy names", () => {
+    assert.strictEqual(Network.from("regtest"), Network.Regtest);
+    assert.strictEqual(Network.Mainnet, "mainnet");
+    assert.strictEqual(Network.Testnet, "testnet");
+    assert.throws(() => Network.from("litecoin"), /Unknown network/);
+    assert.throws(() => Network.params("toString"), /Unknown network/);
+    assert.strictEqual(Network.params(Network.Regtest).segwitHrp, "bcrt");
+    assert.ok(Object.isFrozen(Network.params(Network.Mainnet)));
+
+    const keys = KeyGeneration.fromPrivateKeys({
+      ...PRIVATE_KEYS,
+      network: "testnet",
+    });
+    assert.strictEqual(keys.network, Network.Testnet);
+    assert.ok(keys.network === "testnet");
+    assert.ok(keys.toAddress().startsWith("tsp1q"));
+  });
+
+  it("encodes and decodes regtest addresses", () => {
+    const keys = KeyGeneration.fromPrivateKeys({
+      ...PRIVATE_KEYS,
+      network: Network.Regtest,
+    });
+    const address = keys.toAddress();
+    assert.ok(address.startsWith("sprt1q"));
+
+    const decoded = SilentPaymentDestination.fromAddress(address, 1000);
+    assert.strictEqual(decoded.network, Network.Regtest);
+    assert.strictEqual(decoded.toAddress(), address);
+
+    const outputs = new SilentPaymentBuilder({
+      vinOutpoints: [
+        {
+          txid: "f4184fc596403b9d638783cf57adfe4c75c605f6356fbc91338530e9831e9e16",
+          index: 0,
+        },
+      ],
+    }).createOutputs(
+      [new ECPrivateInfo(PRIVATE_KEYS.b_scan, false)],
+      [decoded]
+    );
+    assert.ok(outputs[address][0].address.address.startsWith("bcrt1p"));
+    assert.ok(
+      toOutputScript(outputs[address][0].address.address, "regtest")
+        .toString("hex")
+        .startsWith("5120")
+    );
+  });
+
+  it("derives keys with the coin type of the network", () => {
+    const mainnet = KeyGeneration.fromMnemonic(MNEMONIC);
+    const testnet = KeyGeneration.fromMnemonic(MNEMONIC, { hrp: "tsp" });
+    const signet = KeyGeneration.fromMnemonic(MNEMONIC, {
+      network: Network.Signet,
+    });
+    const regtest = KeyGeneration.fromMnemonic(MNEMONIC, {
+      network: "regtest",
+    });
+
+    assert.strictEqual(mainnet.network, Network.Mainnet);
+    assert.strictEqual(testnet.network, Network.Testnet);
+    assert.notStrictEqual(
+      mainnet.b_scan.toString(16),
+      testnet.b_scan.toString(16)
+    );
+    assert.strictEqual(signet.toAddress(), testnet.toAddress());
+    assert.strictEqual(
+      regtest.b_spend.toString(16),
+      testnet.b_spend.toString(16)
+    );
+    assert.ok(regtest.toAddress().startsWith("sprt1q"));
+  });
+});
@@ -0,0 +1,224 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const { BIP32Factory } = require("bip32");
+const ecc = require("tiny-secp256k1");
+const { ellipticBip32Ecc } = require("../utils/secp256k1");
+
+const MNEMONIC =
+  "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+// Runs the library with the buffer package in place of Node's Buffer and
+// without Node's crypto module, like a browser bundle. Dependencies keep their
+// Node builds, their browser builds do not need these either. Files of the
+// library can be swapped like a bundler does with the fields of package.json.
+const SANDBOX = `
+const Module = require("module");
+const load = Module._load;
+const npmBuffer = require.resolve("buffer/");
+const blocked = JSON.parse(process.env.BLOCKED);
+const replaced = JSON.parse(process.env.REPLACED);
+const requested = [];
+
+Module._load = function (request, parent, isMain) {
+  const ours = parent && !parent.filename.includes("node_modules");
+  requested.push(request);
+  if (ours && request.startsWith(".")) {
+    const file = Module._resolveFilename(request, parent);
+    if (replaced[file]) return load.call(this, replaced[file], parent, isMain);
+  }
+  if (ours && request === "buffer") {
+    return load.call(this, npmBuffer, parent, isMain);
+  }
+  if (ours && /^(node:)?crypto$/.test(request)) {
+    throw new Error(request + " required by " + parent.filename);
+  }
+  if (blocked.includes(request)) throw new Error("Cannot load " + request);
+  return load.apply(this, arguments);
+};
+
+const silent = require(process.env.ROOT);
+const keys = silent.KeyGeneration.fromMnemonic(process.env.MNEMONIC);
+const input = silent.KeyGeneration.fromMnemonic(process.env.MNEMONIC, {
+  account: 1,
+});
+
+const secp = require(process.env.ROOT + "/utils/secp256k1");
+const { hash160 } = require(process.env.ROOT + "/utils/hash");
+const inputKey = secp.toScalar(input.b_spend);
+const prevouts = ["0014" + hash160(secp.pointFromScalar(inputKey)).toString("hex")];
+
+const { hex } = new silent.TransactionBuilder()
+  .addInput({
+    txid: "11".repeat(32),
+    index: 0,
+    value: 10000,
+    script: prevouts[0],
+    privateKey: inputKey.toString("hex"),
+  })
+  .addOutput({ address: keys.toAddress(), amount: 9000 })
+  .build({ shuffleOutputs: true });
+`;
+
+function runSandbox(blocked, script, replaced = {}) {
+  return JSON.parse(
+    execFileSync(process.execPath, ["-e", SANDBOX + script], {
+      env: {
+        ...process.env,
+        ROOT: path.join(__dirname, ".."),
+        MNEMONIC,
+        BLOCKED: JSON.stringify(blocked),
+        REPLACED: JSON.stringify(replaced),
+      },
+      encoding: "utf8",
+    })
+  );
+}
+
+describe("Portability", () => {
+  it("derives the same HD keys with elliptic as with tiny-secp256k1", () => {
+    const tiny = BIP32Factory(ecc).fromBase58(
+      "xprv9s21ZrQH143K3GJpoapnV8SFfukcVBSfeCficPSGfubmSFDxo1kuHnLisriDvSnRRuL2Qrg5ggqHKNVpxR86QEC8w35uxmGoggxtQTPvfUu"
+    );
+    const elliptic = BIP32Factory(ellipticBip32Ecc).fromBase58(tiny.toBase58());
+    const child = "m/352'/0'/0'/1'/0";
+
+    assert.strictEqual(
+      elliptic.derivePath(child).toBase58(),
+      tiny.derivePath(child).toBase58()
+    );
+
+    const hash = Buffer.alloc(32, 7);
+    const signature = elliptic.derivePath(child).sign(hash);
+    assert.deepStrictEqual(
+      Buffer.from(signature),
+      Buffer.from(tiny.derivePath(child).sign(hash))
+    );
+    assert.ok(tiny.derivePath(child).verify(hash, signature));
+  });
+
+  it("never uses Node's Buffer global or crypto module", () => {
+    const root = path.join(__dirname, "..");
+    const files = ["classes", "utils"].flatMap((dir) =>
+      fs.readdirSync(path.join(root, dir)).map((file) => path.join(dir, file))
+    );
+
+    for (const file of files) {
+      // Buffer in doc comments does not need the import
+      const source = fs
+        .readFileSync(path.join(root, file), "utf8")
+        .replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, "");
+
+      assert.ok(!/require\("(node:)?crypto"\)/.test(source), file);
+      if (/\bBuffer\b/.test(source)) {
+        assert.ok(
+          source.includes('const { Buffer } = require("buffer");'),
+          file
+        );
+      }
+    }
+  });
+
+  for (const [name, blocked] of [
+    ["with tiny-secp256k1", []],
+    ["without WebAssembly", ["tiny-secp256k1"]],
+  ]) {
+    it(`sends, scans and spends like in a browser ${name}`, () => {
+      const result = runSandbox(
+        blocked,
+        `
+const found = silent.scanTransaction(hex, prevouts, keys);
+const output = silent.SilentPaymentScanningOutput.fromJSON(
+  JSON.stringify(found[0].output)
+);
+
+console.log(
+  JSON.stringify({
+    backend: silent.getCryptoBackend().name,
+    address: keys.toAddress(),
+    found: found.length,
+    amount: output.amount.toString(),
+    isUint8Array: output.output.address.pubkey instanceof Uint8Array,
+  })
+);
+`
+      );
+
+      const { KeyGeneration } = require("..");
+      assert.deepStrictEqual(result, {
+        backend: blocked.length ? "elliptic" : "tiny-secp256k1",
+        address: KeyGeneration.fromMnemonic(MNEMONIC).toAddress(),
+        found: 1,
+        amount: "9000",
+        isUint8Array: true,
+      });
+    });
+  }
+
+  it("takes raw transactions as plain Uint8Arrays", () => {
+    const result = runSandbox(
+      [],
+      `
+const raw = new Uint8Array(hex.length / 2);
+raw.set(Buffer.from(hex, "hex"));
+const txid = silent.parseTransaction(hex).txid;
+const provider = new silent.MemoryPrevoutProvider().addTransaction(raw);
+
+console.log(
+  JSON.stringify({
+    isBuffer: Buffer.isBuffer(raw),
+    txid: silent.parseTransaction(raw).txid === txid,
+    tweak:
+      silent.computeTransactionTweak(raw, prevouts) ===
+      silent.computeTransactionTweak(hex, prevouts),
+    found: silent.scanTransaction(raw, prevouts, keys).length,
+    provided: provider.outputs.size,
+  })
+);
+`
+    );
+
+    assert.deepStrictEqual(result, {
+      isBuffer: false,
+      txid: true,
+      tweak: true,
+      found: 1,
+      provided: 1,
+    });
+  });
+
+  it("leaves out tiny-secp256k1 for React Native", () => {
+    const root = path.join(__dirname, "..");
+    const replaced = {};
+    for (const [from, to] of Object.entries(
+      require("../package.json")["react-native"]
+    )) {
+      if (from.startsWith("./")) {
+        replaced[path.join(root, from)] = path.join(root, to);
+      }
+    }
+
+    const result = runSandbox(
+      [],
+      `
+console.log(
+  JSON.stringify({
+    backend: silent.getCryptoBackend().name,
+    tinySecp256k1: requested.includes("tiny-secp256k1"),
+    found: silent.scanTransaction(hex, prevouts, keys).length,
+  })
+);
+`,
+      replaced
+    );
+
+    assert.ok(Object.keys(replaced).length > 0);
+    assert.deepStrictEqual(result, {
+      backend: "elliptic",
+      tinySecp256k1: false,
+      found: 1,
+    });
+  });
+});
@@ -0,0 +1,259 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const {
+  KeyGeneration,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  SilentPaymentPsbt,
+  ECPrivateInfo,
+  generateDleqProof,
+  IneligibleInputError,
+} = require("..");
+const { hash160, NUMS_H } = require("../utils/input");
+const { keys: alice, INPUT_KEY: WPKH_KEY } = require("./helpers");
+
+const TAPROOT_KEY =
+  "93f5ed907ad5b2bdbbdcb5d9116ebc0a4e1f92f910d5260237fa45a9408aad16";
+const AUX_RAND = Buffer.alloc(32, 1);
+
+const bob = KeyGeneration.fromPrivateKeys({
+  b_scan: "11b7a82e06ca2648d5fded2366478078ec4fc9dc1d8ff487518226f229d368a7",
+  b_spend: "b8f87388cbb41934c50daca018901b00070a5ff6cc25a7e9e716a9d5b9e4d664",
+});
+
+const wpkhPubkey = Buffer.from(
+  ec.keyFromPrivate(WPKH_KEY).getPublic().encodeCompressed()
+);
+const taprootX = ec
+  .keyFromPrivate(TAPROOT_KEY)
+  .getPublic()
+  .getX()
+  .toArrayLike(Buffer, "be", 32);
+
+const INPUTS = [
+  {
+    txid: "f4184fc596403b9d638783cf57adfe4c75c605f6356fbc91338530e9831e9e16",
+    index: 0,
+    witnessUtxo: {
+      script: Buffer.concat([Buffer.from("0014", "hex"), hash160(wpkhPubkey)]),
+      value: 100000,
+    },
+    bip32Derivation: [{ pubkey: wpkhPubkey, path: [0x80000054, 0, 0] }],
+  },
+  {
+    txid: "a1075db55d416d3ca199f55b6084e2115b9345e16c5cf302fc80e9d5fbf5d48d",
+    index: 3,
+    witnessUtxo: {
+      script: Buffer.concat([Buffer.from("5120", "hex"), taprootX]),
+      value: 50000,
+    },
+  },
+];
+
+const OUTPUTS = [
+  { amount: 1000, silentPaymentAddress: alice.toAddress() },
+  { amount: 2000, script: "0014" + "00".repeat(20) },
+  { amount: 3000, silentPaymentAddress: bob.toAddress() },
+  {
+    amount: 4000,
+    silentPaymentAddress: alice.toLabeledSilentPaymentAddress(5).toAddress(),
+    label: 5,
+  },
+];
+
+function createPsbt() {
+  return SilentPaymentPsbt.create({ inputs: INPUTS, outputs: OUTPUTS });
+}
+
+function sign(psbt) {
+  psbt.addInputEcdhShares(0, WPKH_KEY, { auxRand: AUX_RAND });
+  psbt.addInputEcdhShares(1, TAPROOT_KEY, { auxRand: AUX_RAND });
+  return psbt;
+}
+
+describe("SilentPaymentPsbt", () => {
+  it("computes the same outputs as createOutputs", () => {
+    // Signers only see the serialized PSBT
+    let psbt = createPsbt();
+    psbt = SilentPaymentPsbt.fromBase64(psbt.toBase64());
+    psbt.addInputEcdhShares(0, WPKH_KEY, { auxRand: AUX_RAND });
+    psbt = SilentPaymentPsbt.fromBase64(psbt.toBase64());
+    psbt.addInputEcdhShares(1, TAPROOT_KEY, { auxRand: AUX_RAND });
+    psbt = SilentPaymentPsbt.fromBase64(psbt.toBase64());
+
+    const scripts = psbt.computeOutputScripts();
+
+    const expected = new SilentPaymentBuilder({
+      vinOutpoints: INPUTS.map(({ txid, index }) => ({ txid, index })),
+    }).createOutputs(
+      [
+        new ECPrivateInfo(WPKH_KEY, false),
+        new ECPrivateInfo(TAPROOT_KEY, true),
+      ],
+      OUTPUTS.filter((output) => output.silentPaymentAddress).map((output) =>
+        SilentPaymentDestination.fromAddress(
+          output.silentPaymentAddress,
+          output.amount
+        )
+      )
+    );
+    const expectedScripts = Object.values(expected)
+      .flat()
+      .map((output) => "5120" + output.address.pubkey.toString("hex"));
+
+    assert.deepStrictEqual(Object.keys(scripts), ["0", "2", "3"]);
+    assert.deepStrictEqual(
+      Object.values(scripts).sort(),
+      expectedScripts.sort()
+    );
+    assert.strictEqual(psbt.getOutputScript(2).toString("hex"), scripts[2]);
+    assert.strictEqual(
+      psbt.getOutputScript(1).toString("hex"),
+      OUTPUTS[1].script
+    );
+  });
+
+  it("round trips the silent payment fields", () => {
+    const psbt = SilentPaymentPsbt.fromHex(sign(createPsbt()).toHex());
+
+    assert.deepStrictEqual(psbt.getOutputSilentPayment(3), {
+      B_scan: alice.B_scan.encodeCompressed("hex"),
+      B_spend: alice
+        .toLabeledSilentPaymentAddress(5)
+        .B_spend.encodeCompressed("hex"),
+      label: 5,
+    });
+    assert.strictEqual(psbt.getOutputSilentPayment(1), null);
+    assert.deepStrictEqual(psbt.getScanKeys(), [
+      alice.B_scan.encodeCompressed("hex"),
+      bob.B_scan.encodeCompressed("hex"),
+    ]);
+    assert.strictEqual(psbt.getInputEcdhShares(1).length, 2);
+    assert.strictEqual(psbt.getInputPublicKey(0), wpkhPubkey.toString("hex"));
+    assert.strictEqual(psbt.toHex(), sign(createPsbt()).toHex());
+  });
+
+  it("accepts global ECDH shares", () => {
+    const psbt = createPsbt();
+    const taproot = ec.keyFromPrivate(TAPROOT_KEY);
+    const taprootScalar = taproot.getPublic().getY().isOdd()
+      ? ec.curve.n.sub(taproot.getPrivate())
+      : taproot.getPrivate();
+    const a_sum = ec
+      .keyFromPrivate(WPKH_KEY)
+      .getPrivate()
+      .add(taprootScalar)
+      .umod(ec.curve.n);
+
+    for (const scanKey of psbt.getScanKeys()) {
+      const B_scan = ec.keyFromPublic(scanKey, "hex").getPublic();
+      psbt.setGlobalEcdhShare(
+        scanKey,
+        B_scan.mul(a_sum).encodeCompressed("hex"),
+        generateDleqProof(a_sum, B_scan, AUX_RAND)
+      );
+    }
+
+    assert.deepStrictEqual(
+      psbt.computeOutputScripts(),
+      sign(createPsbt()).computeOutputScripts()
+    );
+  });
+
+  it("requires a share from every eligible input", () => {
+    const psbt = createPsbt();
+    psbt.addInputEcdhShares(0, WPKH_KEY, { auxRand: AUX_RAND });
+
+    assert.throws(
+      () => psbt.computeOutputScripts(),
+      /Missing ECDH share for input 1/
+    );
+  });
+
+  it("rejects missing or invalid DLEQ proofs", () => {
+    const psbt = sign(createPsbt());
+    const [share] = psbt.getInputEcdhShares(0);
+
+    psbt.setInputEcdhShare(0, share.scanKey, share.share, "00".repeat(64));
+    assert.throws(() => psbt.computeOutputScripts(), /Invalid DLEQ proof/);
+
+    const unproven = createPsbt();
+    for (const { scanKey, share } of sign(createPsbt()).getInputEcdhShares(0)) {
+      unproven.setInputEcdhShare(0, scanKey, share);
+    }
+    unproven.addInputEcdhShares(1, TAPROOT_KEY, { auxRand: AUX_RAND });
+
+    assert.throws(() => unproven.computeOutputScripts(), /Missing DLEQ proof/);
+    assert.doesNotThrow(() =>
+      unproven.computeOutputScripts({ requireDleq: false })
+    );
+  });
+
+  it("rejects keys that do not match the input", () => {
+    assert.throws(
+      () => createPsbt().addInputEcdhShares(0, TAPROOT_KEY),
+      /does not match input 0/
+    );
+  });
+
+  it("rejects inputs spending segwit version > 1 outputs", () => {
+    const psbt = SilentPaymentPsbt.create({
+      inputs: [
+        INPUTS[0],
+        {
+          ...INPUTS[1],
+          witnessUtxo: { script: "5220" + "11".repeat(32), value: 1000 },
+        },
+      ],
+      outputs: OUTPUTS,
+    });
+    psbt.addInputEcdhShares(0, WPKH_KEY, { auxRand: AUX_RAND });
+
+    assert.throws(() => psbt.computeOutputScripts(), /segwit version > 1/);
+  });
+
+  it("skips taproot inputs with the NUMS internal key", () => {
+    const withInternalKey = (tapInternalKey) =>
+      SilentPaymentPsbt.fromHex(
+        SilentPaymentPsbt.create({
+          inputs: [INPUTS[0], { ...INPUTS[1], tapInternalKey }],
+          outputs: OUTPUTS,
+        }).toHex()
+      );
+
+    const nums = withInternalKey(NUMS_H);
+    assert.strictEqual(nums.getInputPublicKey(1), null);
+    assert.throws(
+      () => nums.addInputEcdhShares(1, TAPROOT_KEY),
+      IneligibleInputError
+    );
+
+    // Only the P2WPKH input contributes
+    nums.addInputEcdhShares(0, WPKH_KEY, { auxRand: AUX_RAND });
+    const scripts = nums.computeOutputScripts();
+    assert.deepStrictEqual(Object.keys(scripts), ["0", "2", "3"]);
+
+    assert.strictEqual(
+      withInternalKey(taprootX).getInputPublicKey(1),
+      "02" + taprootX.toString("hex")
+    );
+  });
+
+  it("creates an empty PSBT without options", () => {
+    const psbt = SilentPaymentPsbt.create();
+
+    assert.strictEqual(psbt.inputs.length, 0);
+    assert.strictEqual(psbt.outputs.length, 0);
+    assert.strictEqual(
+      SilentPaymentPsbt.fromHex(psbt.toHex()).toHex(),
+      psbt.toHex()
+    );
+  });
+
+  it("rejects version 0 PSBTs", () => {
+    const v0 = Buffer.from("70736274ff01000a0200000000000000000000", "hex");
+    assert.throws(() => SilentPaymentPsbt.fromBuffer(v0), /version 2/);
+  });
+});
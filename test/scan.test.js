@@ -0,0 +1,256 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { createHash } = require("crypto");
+const {
+  InvalidArgumentError,
+  InvalidFormatError,
+  MemoryPrevoutProvider,
+  parseTransaction,
+  serializeTransaction,
+  scanTransaction,
+  scanBlock,
+} = require("..");
+const {
+  keys,
+  INPUT_SCRIPT,
+  otherKeys,
+  pay,
+  coinbase,
+  makeBlock,
+} = require("./helpers");
+
+const other = otherKeys("other");
+
+// A change output first, so the payment is output 1
+const CHANGE = { script: "0014" + "22".repeat(20), amount: 500 };
+
+// Coinbase transaction of the mainnet genesis block
+const GENESIS_COINBASE =
+  "01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000";
+const GENESIS_COINBASE_TXID =
+  "4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b";
+
+function hash256(data) {
+  const once = createHash("sha256").update(data).digest();
+  return createHash("sha256").update(once).digest();
+}
+
+describe("parseTransaction", () => {
+  it("parses legacy transactions", () => {
+    const transaction = parseTransaction(GENESIS_COINBASE);
+
+    assert.strictEqual(transaction.txid, GENESIS_COINBASE_TXID);
+    assert.strictEqual(transaction.version, 1);
+    assert.strictEqual(transaction.hasWitness, false);
+    assert.strictEqual(transaction.inputs.length, 1);
+    assert.strictEqual(transaction.inputs[0].txid, "00".repeat(32));
+    assert.strictEqual(transaction.inputs[0].index, 0xffffffff);
+    assert.deepStrictEqual(transaction.inputs[0].witness, []);
+    assert.strictEqual(transaction.outputs[0].value, BigInt(5000000000));
+    assert.strictEqual(transaction.outputs[0].script.length, 67);
+    assert.strictEqual(
+      serializeTransaction(transaction).toString("hex"),
+      GENESIS_COINBASE
+    );
+  });
+
+  it("parses segwit transactions", () => {
+    const { hex, txid } = pay(keys.toAddress(), { outputs: [CHANGE] });
+    const transaction = parseTransaction(hex);
+
+    assert.strictEqual(transaction.hasWitness, true);
+    assert.strictEqual(transaction.inputs[0].txid, "11".repeat(32));
+    assert.strictEqual(transaction.inputs[0].index, 1);
+    assert.strictEqual(transaction.inputs[0].witness.length, 2);
+    assert.strictEqual(transaction.inputs[0].witness[1].length, 33);
+    assert.deepStrictEqual(
+      transaction.outputs.map((output) => output.value),
+      [BigInt(500), BigInt(9000)]
+    );
+    assert.strictEqual(serializeTransaction(transaction).toString("hex"), hex);
+
+    // The txid leaves the witness out
+    const stripped = serializeTransaction({
+      ...transaction,
+      inputs: transaction.inputs.map((input) => ({ ...input, witness: [] })),
+    });
+    assert.strictEqual(
+      transaction.txid,
+      hash256(stripped).reverse().toString("hex")
+    );
+    assert.strictEqual(transaction.txid, txid);
+  });
+
+  it("rejects truncated and trailing data", () => {
+    assert.throws(
+      () => parseTransaction(GENESIS_COINBASE.slice(0, -2)),
+      InvalidFormatError
+    );
+    assert.throws(
+      () => parseTransaction(GENESIS_COINBASE + "00"),
+      InvalidFormatError
+    );
+  });
+});
+
+describe("scanTransaction", () => {
+  it("finds the outputs paying the keys with their outpoints", () => {
+    const { hex, txid } = pay(keys.toAddress(), { outputs: [CHANGE] });
+    const found = scanTransaction(hex, [INPUT_SCRIPT], keys);
+
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(found[0].txid, txid);
+    assert.strictEqual(found[0].vout, 1);
+    assert.strictEqual(found[0].outpoint, `${txid}:1`);
+    assert.strictEqual(found[0].output.amount, BigInt(9000));
+    assert.strictEqual(found[0].output.k, 0);
+
+    // Prevouts can be given as outputs with a script field too
+    assert.strictEqual(
+      scanTransaction(Buffer.from(hex, "hex"), [{ script: INPUT_SCRIPT }], keys)
+        .length,
+      1
+    );
+  });
+
+  it("finds nothing in transactions paying someone else", () => {
+    assert.deepStrictEqual(
+      scanTransaction(
+        pay(other.toAddress(), { outputs: [CHANGE] }).hex,
+        [INPUT_SCRIPT],
+        keys
+      ),
+      []
+    );
+    assert.deepStrictEqual(scanTransaction(GENESIS_COINBASE, ["51"], keys), []);
+  });
+
+  it("needs a prevout for each input", () => {
+    const { hex } = pay(keys.toAddress(), { outputs: [CHANGE] });
+
+    for (const prevouts of [[], [INPUT_SCRIPT, INPUT_SCRIPT], [null]]) {
+      assert.throws(
+        () => scanTransaction(hex, prevouts, keys),
+        (error) => {
+          assert.ok(error instanceof InvalidArgumentError);
+          assert.strictEqual(error.code, "MISSING_PREVOUT");
+          return true;
+        }
+      );
+    }
+  });
+});
+
+describe("scanBlock", () => {
+  // Funds the input key within the block, so the second payment spends an
+  // output the provider does not know about
+  const funding = serializeTransaction({
+    version: 2,
+    inputs: [{ txid: "33".repeat(32), index: 0, sequence: 0xffffffff }],
+    outputs: [{ value: 10000, script: Buffer.from(INPUT_SCRIPT, "hex") }],
+    locktime: 0,
+  });
+  const fundingTxid = parseTransaction(funding).txid;
+
+  const external = pay(keys.toAddress(), { outputs: [CHANGE] });
+  const internal = pay(keys.toAddress(), {
+    txid: fundingTxid,
+    index: 0,
+    outputs: [CHANGE],
+  });
+  const elsewhere = pay(other.toAddress(), {
+    txid: "44".repeat(32),
+    index: 0,
+    outputs: [CHANGE],
+  });
+  const block = makeBlock([
+    coinbase(),
+    funding,
+    external.hex,
+    internal.hex,
+    elsewhere.hex,
+  ]);
+
+  const provider = new MemoryPrevoutProvider()
+    .add("11".repeat(32), 1, INPUT_SCRIPT, 10000)
+    .add("44".repeat(32), 0, INPUT_SCRIPT, 10000);
+
+  it("finds the payments using a prevout provider", async () => {
+    const found = await scanBlock(block, provider, keys);
+
+    assert.deepStrictEqual(
+      found.map(({ outpoint }) => outpoint),
+      [`${external.txid}:1`, `${internal.txid}:1`]
+    );
+    assert.ok(found.every(({ output }) => output.amount === BigInt(9000)));
+
+    const fromHex = await scanBlock(block.toString("hex"), provider, keys);
+    assert.strictEqual(fromHex.length, 2);
+  });
+
+  it("finds only the payments to the keys", async () => {
+    const found = await scanBlock(block, provider, other);
+    assert.deepStrictEqual(
+      found.map(({ outpoint }) => outpoint),
+      [`${elsewhere.txid}:1`]
+    );
+
+    assert.deepStrictEqual(
+      await scanBlock(block, provider, otherKeys("unrelated")),
+      []
+    );
+  });
+
+  it("looks up the prevouts of the whole block at once", async () => {
+    const calls = [];
+    const counting = {
+      getPrevouts(outpoints) {
+        calls.push(outpoints);
+        return provider.getPrevouts(outpoints);
+      },
+    };
+
+    assert.strictEqual((await scanBlock(block, counting, keys)).length, 2);
+    // The funding output spent within the block is not looked up
+    assert.deepStrictEqual(calls, [
+      [
+        { txid: "11".repeat(32), index: 1 },
+        { txid: "44".repeat(32), index: 0 },
+      ],
+    ]);
+  });
+
+  it("rejects when the provider misses a prevout", async () => {
+    await assert.rejects(
+      scanBlock(block, new MemoryPrevoutProvider(), keys),
+      (error) => {
+        assert.ok(error instanceof InvalidArgumentError);
+        assert.strictEqual(error.code, "MISSING_PREVOUT");
+        return true;
+      }
+    );
+  });
+});
+
+describe("MemoryPrevoutProvider", () => {
+  it("looks up added outputs and whole transactions", async () => {
+    const { hex, txid } = pay(keys.toAddress(), { outputs: [CHANGE] });
+    const provider = new MemoryPrevoutProvider()
+      .add("55".repeat(32), 2, "51", 1000)
+      .addTransaction(hex);
+
+    const [single, output] = await provider.getPrevouts([
+      { txid: "55".repeat(32), index: 2 },
+      { txid, index: 1 },
+    ]);
+    assert.strictEqual(single.script.toString("hex"), "51");
+    assert.strictEqual(single.value, BigInt(1000));
+    assert.strictEqual(output.value, BigInt(9000));
+    assert.strictEqual(output.script.length, 34);
+
+    await assert.rejects(
+      provider.getPrevouts([{ txid, index: 2 }]),
+      (error) => error.code === "MISSING_PREVOUT"
+    );
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  KeyGeneration,
+  ScanKey,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BitcoinScriptOutput,
+  LabelManager,
+  Network,
+} = require("..");
+const { PRIVATE_KEYS, INPUT_KEY, OUTPOINT } = require("./helpers");
+
+const keys = KeyGeneration.fromPrivateKeys({
+  ...PRIVATE_KEYS,
+  network: Network.Signet,
+});
+
+function send(address) {
+  const builder = new SilentPaymentBuilder({ vinOutpoints: [OUTPOINT] });
+  const result = builder.createOutputs(
+    [new ECPrivateInfo(INPUT_KEY, false)],
+    [SilentPaymentDestination.fromAddress(address, 1000)]
+  );
+
+  return {
+    builder,
+    output: new BitcoinScriptOutput(
+      "5120" + Object.values(result)[0][0].address.pubkey.toString("hex"),
+      1000
+    ),
+  };
+}
+
+describe("Scan-only keys", () => {
+  it("round trips through JSON without the spend private key", () => {
+    const exported = keys.toScanKey().toString();
+    assert.ok(!exported.includes(keys.b_spend.toString(16, 64)));
+
+    const imported = ScanKey.fromJSON(exported);
+    assert.strictEqual(imported.network, Network.Signet);
+    assert.ok(imported.B_spend.eq(keys.B_spend));
+    assert.strictEqual(
+      imported.b_scan.toString(16, 64),
+      keys.b_scan.toString(16, 64)
+    );
+    assert.throws(
+      () => ScanKey.fromJSON({ ...imported.toJSON(), version: 1 }),
+      /Unsupported scan key version/
+    );
+  });
+
+  it("produces the same addresses and labels as the full keys", () => {
+    const watchOnly = KeyGeneration.fromScanKey(keys.toScanKey());
+
+    assert.strictEqual(watchOnly.isWatchOnly, true);
+    assert.strictEqual(keys.isWatchOnly, false);
+    assert.strictEqual(watchOnly.toAddress(), keys.toAddress());
+    assert.strictEqual(
+      watchOnly.toLabeledSilentPaymentAddress(4).toAddress(),
+      keys.toLabeledSilentPaymentAddress(4).toAddress()
+    );
+    assert.deepStrictEqual(
+      new LabelManager(watchOnly, { count: 3 }).precomputedLabels,
+      new LabelManager(keys, { count: 3 }).precomputedLabels
+    );
+  });
+
+  it("scans but refuses to spend", () => {
+    const watchOnly = ScanKey.fromJSON(
+      keys.toScanKey().toJSON()
+    ).toKeyGeneration();
+    const { builder, output } = send(keys.toAddress());
+
+    const found = builder.scanOutputs(watchOnly, [output]);
+    const match = Object.values(found)[0];
+    assert.ok(match);
+
+    assert.throws(
+      () => builder.spendOutputs(watchOnly, { output: match }),
+      /watch-only/
+    );
+    assert.throws(
+      () =>
+        builder.spendOutputs(watchOnly.b_scan, watchOnly.b_spend, {
+          output: match,
+        }),
+      /watch-only/
+    );
+
+    // The full keys spend the same match
+    assert.strictEqual(
+      builder.spendOutputs(keys, { output: match }),
+      builder.spendOutputs(keys.b_scan, keys.b_spend, { output: match })
+    );
+  });
+});
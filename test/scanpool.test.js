@@ -0,0 +1,201 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert");
+const {
+  LabelManager,
+  ScanPool,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BitcoinScriptOutput,
+  InvalidArgumentError,
+} = require("..");
+const { keys, INPUT_KEY, fakeHex, otherKeys } = require("./helpers");
+
+const labels = new LabelManager(keys, { count: 3 });
+
+// Transactions paying nobody, the receiver, or the receiver on label 2
+function makeJob(i) {
+  const vinOutpoints = [{ txid: fakeHex(`job ${i} input`), index: i }];
+  const builder = new SilentPaymentBuilder({ vinOutpoints });
+  const receiver = [keys, keys.toLabeledSilentPaymentAddress(2), otherKeys(i)][
+    i % 3
+  ];
+
+  const outputs = builder
+    .createOutputList(
+      [new ECPrivateInfo(INPUT_KEY, false)],
+      [SilentPaymentDestination.fromAddress(receiver.toAddress(), 1000 + i)]
+    )
+    .map((output) => new BitcoinScriptOutput(output.script, output.amount));
+
+  return {
+    txid: fakeHex(`job ${i}`),
+    vinOutpoints,
+    pubkeys: [builder.A_sum],
+    outputs: [
+      new BitcoinScriptOutput("0014" + "00".repeat(20), 500),
+      ...outputs,
+    ],
+  };
+}
+
+const jobs = Array.from({ length: 9 }, (_, i) => makeJob(i));
+const pools = [];
+
+function createPool(options) {
+  const pool = new ScanPool(keys, {
+    concurrency: 2,
+    batchSize: 2,
+    labels,
+    ...options,
+  });
+  pools.push(pool);
+  return pool;
+}
+
+after(() => Promise.all(pools.map((pool) => pool.close())));
+
+describe("ScanPool", () => {
+  it("returns the matches of scanOutputs in job order", async () => {
+    const results = await createPool().scan(jobs);
+
+    assert.strictEqual(results.length, jobs.length);
+    results.forEach((matches, i) => {
+      const { txid, outputs, ...options } = jobs[i];
+      const expected = new SilentPaymentBuilder(options).scanOutputs(
+        keys,
+        outputs,
+        labels
+      );
+
+      assert.deepStrictEqual(Object.keys(matches), Object.keys(expected));
+      for (const [outputPubkey, match] of Object.entries(matches)) {
+        assert.strictEqual(match.tweak, expected[outputPubkey].tweak);
+        assert.strictEqual(match.label, i % 3 === 1 ? 2 : null);
+        assert.strictEqual(match.amount, BigInt(1000 + i));
+        assert.strictEqual(match.outpoint, `${txid}:1`);
+      }
+    });
+    assert.deepStrictEqual(
+      results.map((matches) => Object.keys(matches).length),
+      [1, 1, 0, 1, 1, 0, 1, 1, 0]
+    );
+  });
+
+  it("scans with the tweak data of a light client", async () => {
+    const tweakJobs = jobs.map(({ txid, vinOutpoints, pubkeys, outputs }) => ({
+      txid,
+      receiverTweak: new SilentPaymentBuilder({
+        vinOutpoints,
+        pubkeys,
+      }).getReceiverTweak(),
+      outputs,
+    }));
+
+    const pool = createPool({ labels: labels.precomputedLabels });
+    const [fromTweaks, fromInputs] = [
+      await pool.scan(tweakJobs),
+      await pool.scan(jobs),
+    ];
+
+    assert.deepStrictEqual(
+      fromTweaks.map((matches) => Object.keys(matches)),
+      fromInputs.map((matches) => Object.keys(matches))
+    );
+    // Only a LabelManager gives the label number
+    assert.strictEqual(
+      fromTweaks[1][Object.keys(fromTweaks[1])[0]].label,
+      null
+    );
+  });
+
+  it("grows the labels of a LabelManager past the gap limit", async () => {
+    // Labels 0 to 2 to start with. Finding label 2 adds labels 3 and 4
+    const manager = new LabelManager(keys, { count: 3, gapLimit: 2 });
+    const labelJobs = [2, 4].map((m, i) => {
+      const vinOutpoints = [{ txid: "33".repeat(32), index: i }];
+      const builder = new SilentPaymentBuilder({ vinOutpoints });
+      const [output] = builder.createOutputList(
+        [new ECPrivateInfo(INPUT_KEY, false)],
+        [
+          SilentPaymentDestination.fromAddress(
+            keys.toLabeledSilentPaymentAddress(m).toAddress(),
+            1000
+          ),
+        ]
+      );
+
+      return {
+        vinOutpoints,
+        pubkeys: [builder.A_sum],
+        outputs: [new BitcoinScriptOutput(output.script, output.amount)],
+      };
+    });
+
+    const results = await createPool({
+      concurrency: 1,
+      batchSize: 1,
+      labels: manager,
+    }).scan(labelJobs);
+
+    assert.deepStrictEqual(
+      results.map((matches) =>
+        Object.values(matches).map(({ label }) => label)
+      ),
+      [[2], [4]]
+    );
+    assert.ok(manager.resolve(6) !== null);
+  });
+
+  it("reports progress", async () => {
+    const progress = [];
+    await createPool().scan(jobs, { onProgress: (p) => progress.push(p) });
+
+    assert.strictEqual(progress.length, 5);
+    assert.deepStrictEqual(progress[progress.length - 1], {
+      done: 9,
+      total: 9,
+    });
+    assert.ok(
+      progress.every((p, i) => i === 0 || p.done > progress[i - 1].done)
+    );
+  });
+
+  it("can be cancelled", async () => {
+    const pool = createPool({ batchSize: 1 });
+    const controller = new AbortController();
+
+    await assert.rejects(
+      pool.scan(jobs, {
+        signal: controller.signal,
+        onProgress: ({ done }) => {
+          if (done === 2) controller.abort();
+        },
+      }),
+      { name: "AbortError" }
+    );
+    await assert.rejects(pool.scan(jobs, { signal: controller.signal }), {
+      name: "AbortError",
+    });
+
+    // The pool keeps working after a cancelled scan
+    assert.strictEqual((await pool.scan(jobs)).length, jobs.length);
+  });
+
+  it("rejects invalid options and failed jobs", async () => {
+    assert.throws(
+      () => new ScanPool(keys, { concurrency: 0 }),
+      InvalidArgumentError
+    );
+
+    const pool = createPool();
+    const running = pool.scan(jobs);
+    await assert.rejects(pool.scan(jobs), InvalidArgumentError);
+    await running;
+
+    await assert.rejects(
+      pool.scan([{ receiverTweak: "02" + "00".repeat(32), outputs: [] }])
+    );
+    assert.deepStrictEqual(await pool.scan([]), []);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  LabelManager,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BitcoinScriptOutput,
+  setCryptoBackend,
+  getCryptoBackend,
+  ellipticBackend,
+  tinySecp256k1Backend,
+  InvalidArgumentError,
+} = require("..");
+const { keys, INPUT_KEY, OUTPOINT, fakeBytes } = require("./helpers");
+
+const N = Buffer.from(
+  "fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141",
+  "hex"
+);
+
+function withBackend(backend, fn) {
+  const previous = getCryptoBackend();
+  setCryptoBackend(backend);
+  try {
+    return fn();
+  } finally {
+    setCryptoBackend(previous);
+  }
+}
+
+function sendAndScan() {
+  const builder = new SilentPaymentBuilder({ vinOutpoints: [OUTPOINT] });
+  const outputs = builder.createOutputList(
+    [new ECPrivateInfo(INPUT_KEY, true)],
+    [
+      SilentPaymentDestination.fromAddress(keys.toAddress(), 1000),
+      SilentPaymentDestination.fromAddress(
+        keys.toLabeledSilentPaymentAddress(2).toAddress(),
+        2000
+      ),
+    ]
+  );
+
+  const found = new SilentPaymentBuilder({
+    vinOutpoints: [OUTPOINT],
+    pubkeys: [builder.A_sum],
+  }).scanOutputs(
+    keys,
+    outputs.map((output) => new BitcoinScriptOutput(output.script, 1000)),
+    new LabelManager(keys, { count: 3 })
+  );
+
+  return { outputs, found: JSON.parse(JSON.stringify(found)) };
+}
+
+describe("secp256k1 backends", () => {
+  it("defaults to tiny-secp256k1", () => {
+    assert.strictEqual(getCryptoBackend(), tinySecp256k1Backend);
+    assert.strictEqual(getCryptoBackend().name, "tiny-secp256k1");
+  });
+
+  it("give the same results", () => {
+    const d = fakeBytes("d");
+    const tweak = fakeBytes("tweak");
+    const P = tinySecp256k1Backend.pointFromScalar(d);
+    const Q = tinySecp256k1Backend.pointFromScalar(tweak);
+    const negated = tinySecp256k1Backend.privateNegate(d);
+    const signature = tinySecp256k1Backend.sign(tweak, d);
+
+    for (const [method, args] of [
+      ["pointFromScalar", [d]],
+      ["pointAdd", [P, Q]],
+      ["pointAddScalar", [P, tweak]],
+      ["pointMultiply", [P, tweak]],
+      ["privateAdd", [d, tweak]],
+      ["privateNegate", [d]],
+      ["sign", [tweak, d]],
+      ["sign", [tweak, d, Q.subarray(1)]],
+      ["verify", [tweak, P, signature]],
+      ["verify", [tweak, Q, signature]],
+      ["recover", [tweak, signature, 0]],
+      ["recover", [tweak, signature, 1]],
+      ["signSchnorr", [tweak, d, Q.subarray(1)]],
+      ["isPrivate", [N]],
+      ["isPoint", [Buffer.concat([Buffer.from([0x02]), N])]],
+    ]) {
+      assert.deepStrictEqual(
+        ellipticBackend[method](...args),
+        tinySecp256k1Backend[method](...args),
+        method
+      );
+    }
+
+    // Infinity and zero
+    assert.strictEqual(
+      ellipticBackend.pointAdd(
+        P,
+        tinySecp256k1Backend.pointFromScalar(negated)
+      ),
+      null
+    );
+    assert.strictEqual(tinySecp256k1Backend.privateAdd(d, negated), null);
+    assert.strictEqual(ellipticBackend.privateAdd(d, negated), null);
+  });
+
+  it("encode ECDSA signatures as DER", () => {
+    const { toDER } = require("../utils/secp256k1");
+    const ec = new (require("elliptic").ec)("secp256k1");
+
+    for (let i = 0; i < 16; i++) {
+      const d = Buffer.alloc(32, i + 1);
+      const hash = Buffer.alloc(32, 0x80 + i);
+      assert.deepStrictEqual(
+        toDER(tinySecp256k1Backend.sign(hash, d)),
+        Buffer.from(
+          ec.keyFromPrivate(d).sign(hash, { canonical: true }).toDER()
+        )
+      );
+    }
+
+    const small = Buffer.alloc(64);
+    small[31] = 0x01;
+    small[63] = 0x80;
+    assert.strictEqual(toDER(small).toString("hex"), "300702010102020080");
+  });
+
+  it("send and scan the same outputs", () => {
+    const tiny = sendAndScan();
+    const elliptic = withBackend("elliptic", sendAndScan);
+
+    assert.deepStrictEqual(elliptic, tiny);
+    assert.strictEqual(Object.keys(tiny.found).length, 2);
+    assert.deepStrictEqual(
+      Object.values(tiny.found).map((match) => match.label),
+      [null, 2]
+    );
+  });
+
+  it("can be replaced", () => {
+    const calls = [];
+    const counting = Object.fromEntries(
+      Object.entries(tinySecp256k1Backend).map(([name, method]) => [
+        name,
+        typeof method === "function"
+          ? (...args) => {
+              calls.push(name);
+              return method(...args);
+            }
+          : method,
+      ])
+    );
+
+    withBackend(counting, sendAndScan);
+    assert.ok(calls.includes("pointMultiply"));
+    assert.ok(calls.includes("pointAddScalar"));
+
+    assert.throws(
+      () => setCryptoBackend({ pointAdd() {} }),
+      InvalidArgumentError
+    );
+    assert.strictEqual(getCryptoBackend(), tinySecp256k1Backend);
+  });
+});
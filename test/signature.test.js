@@ -0,0 +1,159 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const BN = require("bn.js");
+const EC = require("elliptic").ec;
+const {
+  KeyGeneration,
+  Network,
+  setCryptoBackend,
+  getCryptoBackend,
+} = require("..");
+const { messageHash } = require("../utils/signature");
+
+const ec = new EC("secp256k1");
+const signer = ec.keyFromPrivate(
+  "0101010101010101010101010101010101010101010101010101010101010101",
+  "hex"
+);
+const privateKey = Buffer.from(signer.getPrivate().toArray("be", 32));
+const publicKey = signer.getPublic("hex");
+
+// Compact signature as returned by signmessage
+function signMessage(message, key = signer) {
+  const signature = key.sign(messageHash(message), { canonical: true });
+  return Buffer.concat([
+    Buffer.from([27 + 4 + signature.recoveryParam]),
+    Buffer.from(signature.r.toArray("be", 32)),
+    Buffer.from(signature.s.toArray("be", 32)),
+  ]).toString("base64");
+}
+
+describe("Signature-based keys", () => {
+  it("hashes messages like signmessage", () => {
+    assert.strictEqual(
+      messageHash("Hello World").toString("hex"),
+      "a7af0baad5ae99b97fc69b3a0d1abcf3ef17f131cc4776e1bc11933ec8550f49"
+    );
+  });
+
+  it("derives the same keys from the same signature", () => {
+    const message = KeyGeneration.signatureMessage();
+    const signature = signMessage(message);
+
+    const keys = KeyGeneration.fromSignature(signature, { privateKey });
+    const again = KeyGeneration.fromSignature(signature, {
+      confirmation: signMessage(message),
+    });
+
+    assert.strictEqual(keys.toAddress(), again.toAddress());
+    assert.ok(keys.toAddress().startsWith("sp1q"));
+    assert.ok(!keys.b_scan.eq(keys.b_spend));
+  });
+
+  it("separates networks and accounts", () => {
+    const sign = (options) =>
+      KeyGeneration.fromSignature(
+        signMessage(KeyGeneration.signatureMessage(options)),
+        { ...options, privateKey }
+      ).toAddress();
+
+    const addresses = new Set([
+      sign({}),
+      sign({ account: 1 }),
+      sign({ network: Network.Testnet }),
+    ]);
+    assert.strictEqual(addresses.size, 3);
+
+    // A signature over another account's message is rejected
+    assert.throws(
+      () =>
+        KeyGeneration.fromSignature(
+          signMessage(KeyGeneration.signatureMessage({ account: 1 })),
+          { privateKey }
+        ),
+      /Invalid signature/
+    );
+  });
+
+  it("accepts 64 byte signatures with the public key", () => {
+    const message = KeyGeneration.signatureMessage();
+    const raw = Buffer.from(signMessage(message), "base64").subarray(1);
+
+    assert.throws(
+      () => KeyGeneration.fromSignature(raw, {}),
+      /public key is needed/
+    );
+    assert.throws(
+      () => KeyGeneration.fromSignature(raw, { confirmation: raw }),
+      /public key is needed/
+    );
+    assert.strictEqual(
+      KeyGeneration.fromSignature(raw.toString("hex"), {
+        publicKey,
+        privateKey,
+      }).toAddress(),
+      KeyGeneration.fromSignature(signMessage(message), {
+        privateKey,
+      }).toAddress()
+    );
+  });
+
+  it("derives the same keys with the elliptic backend", () => {
+    const message = KeyGeneration.signatureMessage();
+    const derive = () =>
+      [
+        KeyGeneration.fromSignature(signMessage(message), { privateKey }),
+        KeyGeneration.fromSignature(signMessage(message), {
+          confirmation: signMessage(message),
+        }),
+      ].map((keys) => keys.toAddress());
+
+    const tiny = derive();
+    const previous = getCryptoBackend();
+    setCryptoBackend("elliptic");
+    try {
+      assert.deepStrictEqual(derive(), tiny);
+    } finally {
+      setCryptoBackend(previous);
+    }
+  });
+
+  it("rejects non-deterministic and malformed signatures", () => {
+    const message = KeyGeneration.signatureMessage();
+    const hash = messageHash(message);
+    const random = signer.sign(hash, {
+      canonical: true,
+      // Any nonce other than the RFC6979 one
+      k: () => new BN(7),
+    });
+    const randomSignature = Buffer.concat([
+      Buffer.from(random.r.toArray("be", 32)),
+      Buffer.from(random.s.toArray("be", 32)),
+    ]);
+
+    assert.throws(
+      () =>
+        KeyGeneration.fromSignature(randomSignature, { publicKey, privateKey }),
+      /not deterministic/
+    );
+    assert.throws(
+      () =>
+        KeyGeneration.fromSignature(signMessage(message), {
+          confirmation: randomSignature,
+        }),
+      /not deterministic/
+    );
+    assert.throws(
+      () => KeyGeneration.fromSignature(signMessage(message)),
+      /Cannot check that the signature is deterministic/
+    );
+    assert.throws(
+      () => KeyGeneration.fromSignature(Buffer.alloc(64), { publicKey }),
+      /r and s must be/
+    );
+    assert.throws(
+      () => KeyGeneration.fromSignature(Buffer.alloc(40), { publicKey }),
+      /Invalid signature length/
+    );
+  });
+});
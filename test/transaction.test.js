@@ -0,0 +1,350 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const ecc = require("tiny-secp256k1");
+const {
+  SilentPaymentBuilder,
+  TransactionBuilder,
+  parseTransaction,
+  serializeTransaction,
+  scanTransaction,
+  SilentPaymentScanningOutput,
+} = require("..");
+const { toOutputScript } = require("../utils/address");
+const {
+  taprootSigMsg,
+  taprootSighash,
+  segwitV0Sighash,
+} = require("../utils/sighash");
+const { hash160 } = require("../utils/input");
+const { toTweakedTaprootKey } = require("../utils/utils");
+const secp = require("../utils/secp256k1");
+const { InvalidArgumentError } = require("../utils/errors");
+const BIP341_VECTORS = require("./vectors/bip341/key_path_spending.json");
+const { P2trAddress } = require("../utils/taproot");
+const ScanningOutput = require("../utils/output");
+const { keys: receiver, INPUT_KEY: SP_KEY } = require("./helpers");
+
+// Native P2WPKH example from BIP-143
+const BIP143_TX =
+  "0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffffef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a9148280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa815988ac11000000";
+
+const BIP86_KEY =
+  "93f5ed907ad5b2bdbbdcb5d9116ebc0a4e1f92f910d5260237fa45a9408aad16";
+const WPKH_KEY =
+  "0378e95685b74565fa56751b84a32dfd18545d10d691641b8372e32164fad66a";
+const TXID = "a1075db55d416d3ca199f55b6084e2115b9345e16c5cf302fc80e9d5fbf5d48d";
+
+function xOnly(privateKey) {
+  return Buffer.from(ecc.xOnlyPointFromScalar(Buffer.from(privateKey, "hex")));
+}
+
+const wpkhPubkey = Buffer.from(
+  ec.keyFromPrivate(WPKH_KEY).getPublic().encodeCompressed()
+);
+const PREVOUTS = [
+  { script: Buffer.concat([Buffer.from("5120", "hex"), xOnly(SP_KEY)]) },
+  {
+    script: Buffer.concat([
+      Buffer.from("5120", "hex"),
+      xOnly(toTweakedTaprootKey(BIP86_KEY).toString("hex")),
+    ]),
+  },
+  { script: Buffer.concat([Buffer.from("0014", "hex"), hash160(wpkhPubkey)]) },
+].map((prevout, i) => ({ ...prevout, value: BigInt(100000 * (i + 1)) }));
+
+function build(options) {
+  const builder = new TransactionBuilder();
+  [SP_KEY, BIP86_KEY, WPKH_KEY].forEach((privateKey, i) =>
+    builder.addInput({ txid: TXID, index: i, privateKey, ...PREVOUTS[i] })
+  );
+
+  return builder
+    .addOutput({ address: receiver.toAddress(), amount: 1000 })
+    .addOutput({
+      address: "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4",
+      amount: 2000,
+    })
+    .addOutput({ address: receiver.toAddress(), amount: 3000 })
+    .build(options);
+}
+
+describe("TransactionBuilder", () => {
+  it("computes BIP-143 sighashes", () => {
+    const transaction = parseTransaction(BIP143_TX);
+
+    assert.strictEqual(
+      segwitV0Sighash(
+        transaction,
+        1,
+        Buffer.from("1d0f172a0ecb48aee1be1f2687d2963ae33f71a1", "hex"),
+        600000000
+      ).toString("hex"),
+      "c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670"
+    );
+    assert.strictEqual(
+      serializeTransaction(transaction).toString("hex"),
+      BIP143_TX
+    );
+  });
+
+  it("computes BIP-341 key path sighashes", () => {
+    for (const {
+      given,
+      intermediary,
+      inputSpending,
+    } of BIP341_VECTORS.keyPathSpending) {
+      const transaction = parseTransaction(given.rawUnsignedTx);
+      const prevouts = given.utxosSpent.map((utxo) => ({
+        script: Buffer.from(utxo.scriptPubKey, "hex"),
+        value: BigInt(utxo.amountSats),
+      }));
+
+      for (const spend of inputSpending) {
+        const { txinIndex, internalPrivkey, merkleRoot, hashType } =
+          spend.given;
+        const sigMsg = taprootSigMsg(
+          transaction,
+          txinIndex,
+          prevouts,
+          hashType
+        );
+        const sigHash = taprootSighash(
+          transaction,
+          txinIndex,
+          prevouts,
+          hashType
+        );
+        assert.strictEqual(sigMsg.toString("hex"), spend.intermediary.sigMsg);
+        assert.strictEqual(sigHash.toString("hex"), spend.intermediary.sigHash);
+
+        // The hashes in the message are the ones listed as used
+        for (const name of spend.intermediary.precomputedUsed) {
+          assert.ok(sigMsg.includes(Buffer.from(intermediary[name], "hex")));
+        }
+
+        assert.strictEqual(merkleRoot, null);
+        const tweaked = toTweakedTaprootKey(internalPrivkey);
+        assert.strictEqual(
+          tweaked.toString("hex"),
+          spend.intermediary.tweakedPrivkey
+        );
+
+        const signature = secp.signSchnorr(sigHash, tweaked, Buffer.alloc(32));
+        assert.deepStrictEqual(spend.expected.witness, [
+          Buffer.concat([
+            signature,
+            Buffer.from(hashType ? [hashType] : []),
+          ]).toString("hex"),
+        ]);
+      }
+    }
+  });
+
+  it("rejects invalid taproot sighash types", () => {
+    const { given } = BIP341_VECTORS.keyPathSpending[0];
+    const transaction = parseTransaction(given.rawUnsignedTx);
+    const prevouts = given.utxosSpent.map((utxo) => ({
+      script: Buffer.from(utxo.scriptPubKey, "hex"),
+      value: BigInt(utxo.amountSats),
+    }));
+
+    for (const hashType of [0x04, 0x80, 0x84]) {
+      assert.throws(
+        () => taprootSighash(transaction, 0, prevouts, hashType),
+        InvalidArgumentError
+      );
+    }
+    // SIGHASH_SINGLE needs an output at the index of the input
+    assert.throws(
+      () => taprootSighash(transaction, 2, prevouts, 0x03),
+      InvalidArgumentError
+    );
+  });
+
+  it("signs taproot and P2WPKH inputs", () => {
+    const { txid, hex, transaction } = build();
+    const parsed = parseTransaction(hex);
+
+    assert.strictEqual(parsed.txid, txid);
+    assert.deepStrictEqual(
+      parsed.outputs.map((output) => output.value),
+      [1000n, 2000n, 3000n]
+    );
+
+    for (const i of [0, 1]) {
+      assert.ok(
+        ecc.verifySchnorr(
+          taprootSighash(transaction, i, PREVOUTS),
+          PREVOUTS[i].script.subarray(2),
+          parsed.inputs[i].witness[0]
+        )
+      );
+    }
+
+    const [der, pubkey] = parsed.inputs[2].witness;
+    const sighash = segwitV0Sighash(
+      transaction,
+      2,
+      hash160(pubkey),
+      PREVOUTS[2].value
+    );
+    assert.strictEqual(der[der.length - 1], 0x01);
+    assert.ok(ec.keyFromPublic(pubkey).verify(sighash, der.subarray(0, -1)));
+  });
+
+  it("pays silent payment outputs the receiver finds", () => {
+    const { hex } = build();
+    const found = scanTransaction(hex, PREVOUTS, receiver);
+
+    assert.deepStrictEqual(
+      found.map((match) => match.vout),
+      [0, 2]
+    );
+
+    // The receiver can spend what it found
+    const builder = new SilentPaymentBuilder({
+      inputs: parseTransaction(hex).inputs.map((input, i) => ({
+        ...input,
+        prevoutScript: PREVOUTS[i].script,
+      })),
+    });
+    const privateKey = builder.spendOutputs(receiver.b_scan, receiver.b_spend, {
+      output: found[1].output,
+    });
+
+    const spend = new TransactionBuilder()
+      .addInput({
+        txid: found[1].txid,
+        index: found[1].vout,
+        value: 3000,
+        script: parseTransaction(hex).outputs[2].script,
+        privateKey,
+      })
+      .addOutput({ address: receiver.toAddress(), amount: 2500 })
+      .build();
+    assert.strictEqual(parseTransaction(spend.hex).inputs.length, 1);
+  });
+
+  it("returns scan results that survive JSON", () => {
+    const { hex } = build();
+    const [first, second] = scanTransaction(hex, PREVOUTS, receiver);
+    const output = parseTransaction(hex).outputs[2];
+
+    assert.strictEqual(second.output.outpoint, `${second.txid}:2`);
+    assert.strictEqual(second.output.vout, 2);
+    assert.strictEqual(second.output.amount, 3000n);
+    assert.strictEqual(second.output.script, output.script.toString("hex"));
+    assert.deepStrictEqual([first.output.k, second.output.k], [0, 1]);
+    assert.strictEqual(second.output.label, null);
+
+    const stored = JSON.stringify(second.output);
+    const restored = SilentPaymentScanningOutput.fromJSON(stored);
+
+    assert.strictEqual(JSON.parse(stored).amount, "3000");
+    assert.deepStrictEqual(restored.toJSON(), second.output.toJSON());
+    assert.strictEqual(restored.amount, 3000n);
+
+    const builder = new SilentPaymentBuilder({
+      inputs: parseTransaction(hex).inputs.map((input, i) => ({
+        ...input,
+        prevoutScript: PREVOUTS[i].script,
+      })),
+    });
+    assert.strictEqual(
+      builder.spendOutputs(receiver, { output: restored }),
+      builder.spendOutputs(receiver, { output: second.output })
+    );
+  });
+
+  it("keeps the positional scan result constructor", () => {
+    const { SilentPaymentOutput } = ScanningOutput;
+    const output = new SilentPaymentOutput(
+      new P2trAddress("bc1p...", Buffer.alloc(32, 1)),
+      1000
+    );
+
+    assert.strictEqual(ScanningOutput, SilentPaymentScanningOutput);
+    assert.strictEqual(
+      ScanningOutput.SilentPaymentScanningOutput,
+      SilentPaymentScanningOutput
+    );
+
+    // Label tweak as third argument, as before label numbers
+    const legacy = new ScanningOutput(output, "aa".repeat(32), "bb".repeat(32));
+    assert.strictEqual(legacy.label, "bb".repeat(32));
+    assert.strictEqual(legacy.labelTweak, "bb".repeat(32));
+    assert.strictEqual(legacy.amount, 1000n);
+    assert.strictEqual(legacy.outpoint, null);
+
+    const full = new ScanningOutput(
+      output,
+      "aa".repeat(32),
+      3,
+      1,
+      "bb".repeat(32),
+      1000n,
+      "cc".repeat(32),
+      2
+    );
+    assert.strictEqual(full.label, 3);
+    assert.strictEqual(full.k, 1);
+    assert.strictEqual(full.labelTweak, "bb".repeat(32));
+    assert.strictEqual(full.outpoint, `${"cc".repeat(32)}:2`);
+  });
+
+  it("rejects keys that do not match the input", () => {
+    assert.throws(
+      () =>
+        new TransactionBuilder().addInput({
+          txid: TXID,
+          index: 0,
+          privateKey: BIP86_KEY,
+          ...PREVOUTS[0],
+        }),
+      /does not match input/
+    );
+  });
+
+  it("converts addresses to output scripts", () => {
+    assert.strictEqual(
+      toOutputScript(
+        "bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0"
+      ).toString("hex"),
+      "512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798"
+    );
+    assert.strictEqual(
+      toOutputScript("1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2").toString("hex"),
+      "76a91477bff20c60e522dfaa3350c39b030a5d004e839a88ac"
+    );
+    assert.strictEqual(
+      toOutputScript("3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy").toString("hex"),
+      "a914b472a266d0bd89c13706a4132ccfb16f7c3b9fcb87"
+    );
+    assert.throws(
+      () =>
+        toOutputScript("tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx", "mainnet"),
+      /not a mainnet address/
+    );
+  });
+
+  it("shuffles outputs on request", () => {
+    const outputs = (transaction) =>
+      transaction.outputs
+        .map(({ value, script }) => `${value}:${script.toString("hex")}`)
+        .sort();
+
+    const ordered = build();
+    const shuffled = build({ shuffleOutputs: true });
+
+    assert.deepStrictEqual(
+      ordered.transaction.outputs.map(({ value }) => value),
+      [1000n, 2000n, 3000n]
+    );
+    assert.deepStrictEqual(
+      outputs(shuffled.transaction),
+      outputs(ordered.transaction)
+    );
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  TransactionBuilder,
+  MemoryPrevoutProvider,
+  parseTransaction,
+  serializeTransaction,
+  computeTransactionTweak,
+  computeBlockTweaks,
+} = require("..");
+const { taggedHash } = require("../utils/hash");
+const secp = require("../utils/secp256k1");
+const {
+  keys,
+  INPUT_KEY,
+  INPUT_PUBKEY,
+  INPUT_SCRIPT,
+  pay,
+  coinbase,
+  makeBlock,
+} = require("./helpers");
+
+// input_hash·A for a single input spending txid:index
+function expectedTweak(txid, index) {
+  const outpoint = Buffer.alloc(36);
+  Buffer.from(txid, "hex").reverse().copy(outpoint);
+  outpoint.writeUInt32LE(index, 32);
+
+  const inputHash = taggedHash(
+    Buffer.concat([outpoint, INPUT_PUBKEY]),
+    "BIP0352/Inputs"
+  );
+  return secp.pointMultiply(INPUT_PUBKEY, inputHash).toString("hex");
+}
+
+describe("computeTransactionTweak", () => {
+  it("returns input_hash·A", () => {
+    const { hex } = pay(keys.toAddress());
+    const tweak = expectedTweak("11".repeat(32), 1);
+
+    assert.strictEqual(computeTransactionTweak(hex, [INPUT_SCRIPT]), tweak);
+    assert.strictEqual(
+      computeTransactionTweak(parseTransaction(hex), [
+        { script: INPUT_SCRIPT },
+      ]),
+      tweak
+    );
+  });
+
+  it("returns null for ineligible transactions", () => {
+    const { hex } = pay(keys.toAddress());
+
+    // Spending a P2WSH output, which has no usable public key
+    assert.strictEqual(
+      computeTransactionTweak(hex, ["0020" + "00".repeat(32)]),
+      null
+    );
+
+    const noTaproot = new TransactionBuilder()
+      .addInput({
+        txid: "11".repeat(32),
+        index: 1,
+        value: 10000,
+        script: INPUT_SCRIPT,
+        privateKey: INPUT_KEY,
+      })
+      .addOutput({ script: "0014" + "22".repeat(20), amount: 9000 })
+      .build();
+    assert.strictEqual(
+      computeTransactionTweak(noTaproot.hex, [INPUT_SCRIPT]),
+      null
+    );
+  });
+
+  it("skips transactions with only dust taproot outputs", () => {
+    const { hex } = pay(keys.toAddress(), { amount: 500 });
+
+    assert.strictEqual(
+      computeTransactionTweak(hex, [INPUT_SCRIPT], { dustLimit: 1000 }),
+      null
+    );
+    assert.strictEqual(
+      computeTransactionTweak(hex, [INPUT_SCRIPT], { dustLimit: 500 }),
+      expectedTweak("11".repeat(32), 1)
+    );
+  });
+});
+
+describe("computeBlockTweaks", () => {
+  const funding = serializeTransaction({
+    version: 2,
+    inputs: [{ txid: "33".repeat(32), index: 0, sequence: 0xffffffff }],
+    outputs: [{ value: 10000, script: Buffer.from(INPUT_SCRIPT, "hex") }],
+    locktime: 0,
+  });
+  const fundingTxid = parseTransaction(funding).txid;
+
+  const external = pay(keys.toAddress());
+  const internal = pay(keys.toAddress(), { txid: fundingTxid, index: 0 });
+  const dust = pay(keys.toAddress(), {
+    txid: "44".repeat(32),
+    index: 0,
+    amount: 500,
+  });
+  const block = makeBlock([
+    coinbase(),
+    funding,
+    external.hex,
+    internal.hex,
+    dust.hex,
+  ]);
+
+  const provider = new MemoryPrevoutProvider()
+    .add("11".repeat(32), 1, INPUT_SCRIPT, 10000)
+    .add("44".repeat(32), 0, INPUT_SCRIPT, 10000);
+
+  it("returns the tweak of each eligible transaction in block order", async () => {
+    assert.deepStrictEqual(await computeBlockTweaks(block, provider), [
+      { txid: external.txid, tweak: expectedTweak("11".repeat(32), 1) },
+      { txid: internal.txid, tweak: expectedTweak(fundingTxid, 0) },
+      { txid: dust.txid, tweak: expectedTweak("44".repeat(32), 0) },
+    ]);
+  });
+
+  it("looks up the prevouts of the whole block at once", async () => {
+    let calls = 0;
+    const counting = {
+      getPrevouts(outpoints) {
+        calls++;
+        return provider.getPrevouts(outpoints);
+      },
+    };
+
+    assert.strictEqual((await computeBlockTweaks(block, counting)).length, 3);
+    assert.strictEqual(calls, 1);
+  });
+
+  it("leaves out transactions below the dust limit", async () => {
+    const tweaks = await computeBlockTweaks(block.toString("hex"), provider, {
+      dustLimit: 1000,
+    });
+
+    assert.deepStrictEqual(
+      tweaks.map(({ txid }) => txid),
+      [external.txid, internal.txid]
+    );
+  });
+});
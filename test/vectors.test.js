@@ -0,0 +1,200 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { createHash } = require("crypto");
+const BN = require("bn.js");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const ecc = require("tiny-secp256k1");
+const {
+  KeyGeneration,
+  SilentPaymentBuilder,
+  SilentPaymentDestination,
+  ECPrivateInfo,
+  BitcoinScriptOutput,
+  TransactionInput,
+  SilentPaymentError,
+} = require("..");
+const { isP2TR } = require("../utils/input");
+const { generateLabel } = require("../utils/label");
+const { ByteReader } = require("../utils/transaction");
+const secp = require("../utils/secp256k1");
+const vectors = require("./vectors/send_and_receive_test_vectors.json");
+
+// Message and aux randomness the BIP-352 reference uses for the signatures
+const MESSAGE = createHash("sha256").update("message").digest();
+const AUX_RAND = createHash("sha256").update("random auxiliary data").digest();
+
+function deserializeWitness(hex) {
+  if (!hex) return [];
+
+  const reader = new ByteReader(Buffer.from(hex, "hex"));
+  const items = [];
+  const count = reader.readVarInt();
+  for (let i = 0; i < count; i++) items.push(reader.readVarSlice());
+  return items;
+}
+
+function toTransactionInput(vin) {
+  return new TransactionInput({
+    txid: vin.txid,
+    index: vin.vout,
+    scriptSig: vin.scriptSig,
+    witness: deserializeWitness(vin.txinwitness),
+    prevoutScript: vin.prevout.scriptPubKey.hex,
+  });
+}
+
+function sameSet(actual, expected) {
+  return (
+    actual.length === expected.length &&
+    [...actual].sort().every((item, i) => item === [...expected].sort()[i])
+  );
+}
+
+function labelTable(keys, labels) {
+  const table = {};
+  for (const m of labels) {
+    const label = Buffer.from(generateLabel(m, keys.b_scan));
+    const labelPoint = ec.g.mul(new BN(label)).encodeCompressed("hex");
+    table[labelPoint] = label.toString("hex");
+  }
+  return table;
+}
+
+function checkSending({ given, expected }) {
+  const inputs = given.vin.map(toTransactionInput);
+
+  const privateKeys = [];
+  given.vin.forEach((vin, i) => {
+    if (inputs[i].getPublicKey() === null) return;
+    privateKeys.push(
+      new ECPrivateInfo(vin.private_key, isP2TR(inputs[i].prevoutScript))
+    );
+  });
+
+  // Vectors where no output can be created: no eligible input, input keys
+  // summing to zero or more than K_max outputs to a recipient
+  const noOutputs = expected.outputs.every((set) => set.length === 0);
+  if (privateKeys.length === 0) {
+    assert.ok(noOutputs);
+    return;
+  }
+
+  const destinations = given.recipients.map((recipient) =>
+    Array.isArray(recipient)
+      ? SilentPaymentDestination.fromAddress(recipient[0], recipient[1])
+      : SilentPaymentDestination.fromAddress(recipient, 0)
+  );
+
+  let result;
+  try {
+    result = new SilentPaymentBuilder({
+      vinOutpoints: inputs.map((input) => input.outpoint),
+    }).createOutputs(privateKeys, destinations);
+  } catch (error) {
+    if (noOutputs && error instanceof SilentPaymentError) return;
+    throw error;
+  }
+
+  const outputs = Object.values(result)
+    .flat()
+    .map((output) => output.address.pubkey.toString("hex"));
+
+  // Any of the expected output sets is valid, in any order
+  assert.ok(
+    expected.outputs.some((set) => sameSet(outputs, set)),
+    `unexpected outputs ${outputs}`
+  );
+  if (expected.n_outputs !== undefined) {
+    assert.strictEqual(outputs.length, expected.n_outputs);
+  }
+}
+
+function checkReceiving({ given, expected }) {
+  const keys = KeyGeneration.fromPrivateKeys({
+    b_scan: given.key_material.scan_priv_key,
+    b_spend: given.key_material.spend_priv_key,
+  });
+
+  const addresses = [
+    keys.toAddress(),
+    ...given.labels.map((m) =>
+      keys.toLabeledSilentPaymentAddress(m).toAddress()
+    ),
+  ];
+  assert.ok(sameSet(addresses, expected.addresses));
+
+  const builder = new SilentPaymentBuilder({
+    inputs: given.vin.map(toTransactionInput),
+  });
+
+  if (builder.A_sum === null) {
+    assert.strictEqual(expected.outputs.length, 0);
+    return;
+  }
+
+  if (expected.tweak) {
+    assert.strictEqual(builder.getReceiverTweak(), expected.tweak);
+  }
+  if (expected.shared_secret) {
+    // b_scan·input_hash·A_sum
+    const sharedSecret = secp.pointMultiply(
+      Buffer.from(builder.getReceiverTweak(), "hex"),
+      secp.toScalar(keys.b_scan)
+    );
+    assert.strictEqual(sharedSecret.toString("hex"), expected.shared_secret);
+  }
+
+  const found = builder.scanOutputs(
+    keys.b_scan,
+    keys.B_spend,
+    given.outputs.map((output) => new BitcoinScriptOutput("5120" + output, 0)),
+    labelTable(keys, given.labels)
+  );
+
+  assert.ok(
+    sameSet(
+      Object.keys(found),
+      expected.outputs.map((output) => output.pub_key)
+    )
+  );
+  if (expected.n_outputs !== undefined) {
+    assert.strictEqual(Object.keys(found).length, expected.n_outputs);
+  }
+
+  for (const output of expected.outputs) {
+    const match = found[output.pub_key];
+    assert.strictEqual(match.tweak, output.priv_key_tweak);
+
+    const privateKey = keys.b_spend
+      .add(new BN(match.tweak, 16))
+      .umod(ec.curve.n)
+      .toArrayLike(Buffer, "be", 32);
+    const pubkey = Buffer.from(output.pub_key, "hex");
+
+    assert.deepStrictEqual(
+      Buffer.from(ecc.xOnlyPointFromScalar(privateKey)),
+      pubkey
+    );
+
+    const signature = Buffer.from(
+      ecc.signSchnorr(MESSAGE, privateKey, AUX_RAND)
+    );
+    assert.ok(ecc.verifySchnorr(MESSAGE, pubkey, signature));
+    if (output.signature) {
+      assert.strictEqual(signature.toString("hex"), output.signature);
+    }
+  }
+}
+
+for (const vector of vectors) {
+  describe(vector.comment, () => {
+    vector.sending.forEach((sending, i) => {
+      it(`sending #${i}`, () => checkSending(sending));
+    });
+
+    vector.receiving.forEach((receiving, i) => {
+      it(`receiving #${i}`, () => checkReceiving(receiving));
+    });
+  });
+}
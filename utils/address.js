@@ -0,0 +1,284 @@
+const { Buffer } = require("buffer");
+const { sha256 } = require("./hash");
+const { decodeBech32, convertFromBase32 } = require("./bech32");
+const Network = require("./network");
+const secp = require("./secp256k1");
+const {
+  SilentPaymentError,
+  InvalidAddressError,
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+} = require("./errors");
+
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Silent payment addresses lift the 90 character limit of bech32m (BIP-352)
+const MAX_ADDRESS_LENGTH = 1023;
+const SP_KEYS_LENGTH = 66;
+const SP_MAX_VERSION = 30;
+
+// Error codes of parseAddress and validateAddress, the code property of the errors
+const AddressError = {
+  INVALID_FORMAT: "INVALID_FORMAT",
+  INVALID_CHECKSUM: "INVALID_CHECKSUM",
+  INVALID_PREFIX: "INVALID_PREFIX",
+  NETWORK_MISMATCH: "NETWORK_MISMATCH",
+  INVALID_LENGTH: "INVALID_LENGTH",
+  INVALID_KEY: "INVALID_KEY",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+};
+
+/**
+ * Parse a silent payment address following the BIP-352 encoding rules. Versions 1 to 30
+ * are read for forward compatibility: only their first 66 bytes are used.
+ * @param address Silent payment address
+ * @param network Optional network name the address must be valid on
+ * @returns Object with network, version, B_scan and B_spend (elliptic points).
+ * Throws an InvalidAddressError, ChecksumError, NetworkMismatchError or InvalidKeyError
+ * with a code from AddressError if the address is invalid
+ */
+
+function parseAddress(address, { network = null } = {}) {
+  if (typeof address !== "string" || address.length > MAX_ADDRESS_LENGTH) {
+    throw addressError(AddressError.INVALID_LENGTH, "Address is too long");
+  }
+
+  let hrp;
+  let words;
+  try {
+    [hrp, words] = decodeBech32(address);
+  } catch (e) {
+    if (e instanceof ChecksumError) {
+      throw addressError(AddressError.INVALID_CHECKSUM, "Invalid checksum", e);
+    }
+    throw addressError(AddressError.INVALID_FORMAT, e.message, e);
+  }
+
+  const addressNetwork = Network.all.find(
+    (known) => Network.params(known).hrp === hrp
+  );
+  if (!addressNetwork) {
+    throw addressError(AddressError.INVALID_PREFIX, `Invalid prefix: ${hrp}`);
+  }
+  if (network !== null && !Network.isCompatible(addressNetwork, network)) {
+    throw addressError(
+      AddressError.NETWORK_MISMATCH,
+      `Address is for ${addressNetwork}, expected ${Network.from(network)}`
+    );
+  }
+
+  if (words.length === 0) {
+    throw addressError(AddressError.INVALID_LENGTH, "Missing version");
+  }
+
+  const version = words[0];
+  if (version > SP_MAX_VERSION) {
+    throw addressError(
+      AddressError.UNSUPPORTED_VERSION,
+      `Unsupported version: ${version}`
+    );
+  }
+
+  // Padding must be under 5 bits and all zeros
+  const data = words.slice(1);
+  const padding = (data.length * 5) % 8;
+  if (
+    padding >= 5 ||
+    (data.length > 0 && data[data.length - 1] & ((1 << padding) - 1))
+  ) {
+    throw addressError(AddressError.INVALID_FORMAT, "Invalid padding");
+  }
+
+  const bytes = Buffer.from(convertFromBase32(data));
+  if (
+    bytes.length < SP_KEYS_LENGTH ||
+    (version === 0 && bytes.length !== SP_KEYS_LENGTH)
+  ) {
+    throw addressError(
+      AddressError.INVALID_LENGTH,
+      `Invalid data length: ${bytes.length} bytes`
+    );
+  }
+
+  return {
+    network: addressNetwork,
+    version,
+    B_scan: parsePoint(bytes.subarray(0, 33), "scan"),
+    B_spend: parsePoint(bytes.subarray(33, 66), "spend"),
+  };
+}
+
+/**
+ * Check a silent payment address without throwing
+ * @param address Silent payment address
+ * @param network Optional network name the address must be valid on
+ * @returns { valid: true, network, version } or { valid: false, code, message }
+ */
+
+function validateAddress(address, { network = null } = {}) {
+  try {
+    const parsed = parseAddress(address, { network });
+    return { valid: true, network: parsed.network, version: parsed.version };
+  } catch (e) {
+    if (!(e instanceof SilentPaymentError)) throw e;
+    return { valid: false, code: e.code, message: e.message };
+  }
+}
+
+function parsePoint(bytes, name) {
+  if (bytes[0] !== 0x02 && bytes[0] !== 0x03) {
+    throw addressError(
+      AddressError.INVALID_KEY,
+      `The ${name} key is not a compressed public key`
+    );
+  }
+
+  let point = null;
+  try {
+    point = secp.toEllipticPoint(bytes);
+  } catch (e) {
+    point = null;
+  }
+  if (point === null) {
+    throw addressError(
+      AddressError.INVALID_KEY,
+      `The ${name} key is not on the curve`
+    );
+  }
+  return point;
+}
+
+// Checksum, network and key errors have their own classes, the others are InvalidAddressError
+function addressError(code, message, cause) {
+  const ErrorClass =
+    {
+      [AddressError.INVALID_CHECKSUM]: ChecksumError,
+      [AddressError.NETWORK_MISMATCH]: NetworkMismatchError,
+      [AddressError.INVALID_KEY]: InvalidKeyError,
+    }[code] || InvalidAddressError;
+
+  return new ErrorClass(message, { code, cause });
+}
+
+/**
+ * Get the output script paying to a Bitcoin address
+ * @param address Base58 (P2PKH, P2SH) or segwit address
+ * @param network Network name the address must belong to
+ * @returns Output script as Buffer
+ */
+
+function toOutputScript(address, network = Network.Mainnet) {
+  network = Network.from(network);
+  const params = Network.params(network);
+
+  const hrp = address.toLowerCase().slice(0, address.lastIndexOf("1"));
+  if (Network.all.some((known) => Network.params(known).segwitHrp === hrp)) {
+    if (hrp !== params.segwitHrp) {
+      throw new NetworkMismatchError(
+        `Address ${address} is not a ${network} address`
+      );
+    }
+    return segwitScript(address);
+  }
+
+  const payload = decodeBase58Check(address);
+  const hash = payload.subarray(1);
+  if (hash.length !== 20)
+    throw new InvalidAddressError(`Invalid address: ${address}`);
+
+  if (payload[0] === params.pubKeyHash) {
+    return Buffer.concat([
+      Buffer.from("76a914", "hex"),
+      hash,
+      Buffer.from("88ac", "hex"),
+    ]);
+  }
+  if (payload[0] === params.scriptHash) {
+    return Buffer.concat([
+      Buffer.from("a914", "hex"),
+      hash,
+      Buffer.from("87", "hex"),
+    ]);
+  }
+
+  throw new NetworkMismatchError(
+    `Address ${address} is not a ${network} address`
+  );
+}
+
+function segwitScript(address) {
+  let encoding = "bech32m";
+  let words;
+  try {
+    words = decodeBech32(address)[1];
+  } catch (e) {
+    encoding = "bech32";
+    try {
+      words = decodeBech32(address, undefined, undefined, encoding)[1];
+    } catch (e) {
+      if (e instanceof ChecksumError) throw e;
+      throw new InvalidAddressError(`Invalid address: ${address}`, {
+        code: AddressError.INVALID_FORMAT,
+        cause: e,
+      });
+    }
+  }
+
+  const version = words[0];
+  const program = Buffer.from(convertFromBase32(words.slice(1)));
+
+  // Version 0 programs use bech32, later versions bech32m (BIP-350)
+  if (
+    version > 16 ||
+    (version === 0) !== (encoding === "bech32") ||
+    program.length < 2 ||
+    program.length > 40 ||
+    (version === 0 && program.length !== 20 && program.length !== 32)
+  ) {
+    throw new InvalidAddressError(`Invalid address: ${address}`);
+  }
+
+  return Buffer.concat([
+    Buffer.from([version === 0 ? 0x00 : 0x50 + version, program.length]),
+    program,
+  ]);
+}
+
+function decodeBase58Check(address) {
+  let value = 0n;
+  for (const char of address) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1)
+      throw new InvalidAddressError(`Invalid address: ${address}`);
+    value = value * 58n + BigInt(digit);
+  }
+
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = "0" + hex;
+  const leadingZeros = address.match(/^1*/)[0].length;
+  const bytes = Buffer.concat([
+    Buffer.alloc(leadingZeros),
+    value === 0n ? Buffer.alloc(0) : Buffer.from(hex, "hex"),
+  ]);
+
+  if (bytes.length < 5)
+    throw new InvalidAddressError(`Invalid address: ${address}`);
+
+  const payload = bytes.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  if (!checksum.equals(bytes.subarray(-4))) {
+    throw new ChecksumError(`Invalid address checksum: ${address}`);
+  }
+
+  return payload;
+}
+
+module.exports = {
+  decodeBase58Check,
+  AddressError,
+  parseAddress,
+  validateAddress,
+  toOutputScript,
+};
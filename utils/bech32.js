@@ -1,3 +1,5 @@
+const { ChecksumError, InvalidFormatError } = require("./errors");
+
 // Bech32 character set for encoding
 const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
 
@@ -115,14 +117,16 @@ function decodeBech32(
   encoding = "bech32m"
 ) {
   if (_isStringMixed(bechStr)) {
-    throw new Error("Invalid bech32 format (string is mixed case)");
+    throw new InvalidFormatError(
+      "Invalid bech32 format (string is mixed case)"
+    );
   }
 
   bechStr = bechStr.toLowerCase();
 
   const sepPos = bechStr.lastIndexOf(sep);
   if (sepPos == -1) {
-    throw new Error("Invalid bech32 format (no separator found)");
+    throw new InvalidFormatError("Invalid bech32 format (no separator found)");
   }
 
   const hrp = bechStr.substring(0, sepPos);
@@ -132,7 +136,9 @@ function decodeBech32(
       .split("")
       .some((char) => char.charCodeAt(0) < 33 || char.charCodeAt(0) > 126)
   ) {
-    throw new Error(`Invalid bech32 format (HRP not valid: ${hrp})`);
+    throw new InvalidFormatError(
+      `Invalid bech32 format (HRP not valid: ${hrp})`
+    );
   }
 
   const dataPart = bechStr.substring(sepPos + 1);
@@ -141,13 +147,13 @@ function decodeBech32(
     dataPart.length < checksumLen + 1 ||
     dataPart.split("").some((char) => !CHARSET.includes(char))
   ) {
-    throw new Error("Invalid bech32 format (data part not valid)");
+    throw new InvalidFormatError("Invalid bech32 format (data part not valid)");
   }
 
   const intData = dataPart.split("").map((char) => CHARSET.indexOf(char));
 
   if (!veriCheckSum(hrp, intData, encoding)) {
-    throw new Error("Invalid bech32 checksum");
+    throw new ChecksumError("Invalid bech32 checksum");
   }
 
   return [hrp, Array.from(intData.slice(0, intData.length - checksumLen))];
@@ -0,0 +1,338 @@
+const { Buffer } = require("buffer");
+const BitcoinScriptOutput = require("./scriptOutput");
+const { parseTransaction } = require("./transaction");
+const { ChainSourceError, InvalidArgumentError } = require("./errors");
+
+/**
+ * Base class of the chain sources, which fetch what scanning needs from a node or a
+ * block explorer. A chain source is any object with these async methods:
+ *
+ * - getTip() resolving to the { height, hash } of the best block
+ * - getBlockHash(height) resolving to the hash of the block at that height, as hex
+ * - getBlock(hash) resolving to the raw block as a Buffer
+ * - getPrevouts(outpoints) resolving each { txid, index } to the output it spends,
+ *   like a prevout provider
+ *
+ * Subclasses implement getTransaction(txid) and get getPrevouts from it.
+ */
+
+class ChainSource {
+  /**
+   * @param concurrency Number of transactions fetched at a time by getPrevouts
+   */
+
+  constructor({ concurrency = 8 } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new InvalidArgumentError(`Invalid concurrency: ${concurrency}`);
+    }
+    this.concurrency = concurrency;
+  }
+
+  /**
+   * Fetch a raw transaction. Implemented by the subclasses
+   * @param txid Transaction id as hex
+   * @returns Raw transaction as a Buffer
+   */
+
+  async getTransaction(txid) {
+    throw new ChainSourceError(
+      `${this.constructor.name} does not implement getTransaction`,
+      { code: "NOT_IMPLEMENTED" }
+    );
+  }
+
+  /**
+   * Look up the outputs spent by a transaction
+   * @param outpoints Array of { txid, index }
+   * @returns Output for each outpoint. Use BitcoinScriptOutput
+   */
+
+  async getPrevouts(outpoints) {
+    const txids = [...new Set(outpoints.map(({ txid }) => txid))];
+    const rawTransactions = await this._getTransactions(txids);
+
+    const transactions = new Map();
+    txids.forEach((txid, i) => {
+      transactions.set(txid, parseTransaction(rawTransactions[i]));
+    });
+
+    return outpoints.map(({ txid, index }) => {
+      const output = transactions.get(txid).outputs[index];
+      if (!output) {
+        throw new InvalidArgumentError(`Unknown prevout: ${txid}:${index}`, {
+          code: "MISSING_PREVOUT",
+        });
+      }
+      return new BitcoinScriptOutput(output.script, output.value);
+    });
+  }
+
+  async _getTransactions(txids) {
+    const results = new Array(txids.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < txids.length) {
+        const i = next++;
+        results[i] = await this.getTransaction(txids[i]);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, txids.length) }, worker)
+    );
+    return results;
+  }
+}
+
+/**
+ * Chain source reading from a Bitcoin Core node over JSON-RPC. Fetching prevouts
+ * needs a node running with txindex=1.
+ */
+
+class BitcoinCoreChainSource extends ChainSource {
+  /**
+   * @param url RPC endpoint of the node
+   * @param username RPC user, or __cookie__ with the content of the .cookie file after the colon as password
+   * @param password RPC password
+   * @param fetch Optional fetch function, defaults to the global fetch
+   * @param concurrency Number of transactions fetched per JSON-RPC batch by getPrevouts.
+   * Batches are sent one after the other
+   */
+
+  constructor({
+    url = "http://127.0.0.1:8332",
+    username,
+    password,
+    fetch = globalThis.fetch,
+    ...options
+  } = {}) {
+    super(options);
+    this.url = url;
+    this.fetch = requireFetch(fetch);
+    this.headers = { "Content-Type": "application/json" };
+    if (username != null) {
+      this.headers.Authorization =
+        "Basic " +
+        Buffer.from(`${username}:${password || ""}`, "utf8").toString("base64");
+    }
+    this.nextId = 0;
+  }
+
+  async getTip() {
+    const { blocks, bestblockhash } = await this.call("getblockchaininfo");
+    return { height: blocks, hash: bestblockhash };
+  }
+
+  async getBlockHash(height) {
+    return this.call("getblockhash", [checkHeight(height)]);
+  }
+
+  async getBlock(hash) {
+    return Buffer.from(
+      await this.call("getblock", [checkHash(hash), 0]),
+      "hex"
+    );
+  }
+
+  async getTransaction(txid) {
+    const [transaction] = await this._getTransactions([txid]);
+    return transaction;
+  }
+
+  // Batch requests of up to concurrency transactions, so large blocks stay within
+  // the request limits of the node
+  async _getTransactions(txids) {
+    const results = [];
+
+    for (let start = 0; start < txids.length; start += this.concurrency) {
+      const chunk = txids.slice(start, start + this.concurrency);
+      const hexes = await this.batch(
+        chunk.map((txid) => ["getrawtransaction", [checkHash(txid), false]])
+      );
+      results.push(...hexes.map((hex) => Buffer.from(hex, "hex")));
+    }
+    return results;
+  }
+
+  /**
+   * Call an RPC method of the node
+   * @param method Method name
+   * @param params Method parameters
+   * @returns Result of the call
+   */
+
+  async call(method, params = []) {
+    const [result] = await this.batch([[method, params]], { single: true });
+    return result;
+  }
+
+  /**
+   * Call several RPC methods in one request
+   * @param calls Array of [method, params]
+   * @returns Result of each call, in order
+   */
+
+  async batch(calls, { single = false } = {}) {
+    const requests = calls.map(([method, params = []]) => ({
+      jsonrpc: "1.0",
+      id: this.nextId++,
+      method,
+      params,
+    }));
+
+    const response = await request(this.fetch, this.url, {
+      method: "POST",
+      headers: this.headers,
+      body: JSON.stringify(single ? requests[0] : requests),
+    });
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (e) {
+      throw httpError(this.url, response);
+    }
+
+    const replies = single ? [body] : body;
+    if (!Array.isArray(replies)) throw httpError(this.url, response);
+
+    const byId = new Map(replies.map((reply) => [reply && reply.id, reply]));
+    return requests.map(({ id, method }) => {
+      const reply = byId.get(id);
+      if (!reply) throw httpError(this.url, response);
+      if (reply.error) throw rpcError(method, reply.error);
+      return reply.result;
+    });
+  }
+}
+
+/**
+ * Chain source reading from an Esplora REST API, like the one of blockstream.info,
+ * mempool.space or a self-hosted electrs.
+ */
+
+class EsploraChainSource extends ChainSource {
+  /**
+   * @param url Base URL of the API, e.g. https://mempool.space/api
+   * @param fetch Optional fetch function, defaults to the global fetch
+   * @param concurrency Number of transactions fetched at a time by getPrevouts
+   */
+
+  constructor({ url, fetch = globalThis.fetch, ...options } = {}) {
+    super(options);
+    if (typeof url !== "string" || url.length === 0) {
+      throw new InvalidArgumentError("Missing Esplora URL");
+    }
+    this.url = url.replace(/\/+$/, "");
+    this.fetch = requireFetch(fetch);
+  }
+
+  async getTip() {
+    const hash = await this._text("/blocks/tip/hash");
+    if (!/^[0-9a-fA-F]{64}$/.test(hash)) {
+      throw invalidResponse(`${this.url}/blocks/tip/hash`);
+    }
+
+    const path = `/block/${hash}`;
+
+    let height;
+    try {
+      ({ height } = JSON.parse(await this._text(path)));
+    } catch (e) {
+      if (e instanceof ChainSourceError) throw e;
+      throw invalidResponse(this.url + path, e);
+    }
+    if (!Number.isInteger(height)) throw invalidResponse(this.url + path);
+    return { height, hash };
+  }
+
+  async getBlockHash(height) {
+    return this._text(`/block-height/${checkHeight(height)}`);
+  }
+
+  async getBlock(hash) {
+    const response = await this._get(`/block/${checkHash(hash)}/raw`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async getTransaction(txid) {
+    return Buffer.from(await this._text(`/tx/${checkHash(txid)}/hex`), "hex");
+  }
+
+  async _text(path) {
+    return (await (await this._get(path)).text()).trim();
+  }
+
+  async _get(path) {
+    const url = this.url + path;
+    const response = await request(this.fetch, url);
+
+    if (response.status === 404) {
+      throw new ChainSourceError(`Not found: ${url}`, { code: "NOT_FOUND" });
+    }
+    if (!response.ok) throw httpError(url, response);
+    return response;
+  }
+}
+
+async function request(fetch, url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (e) {
+    throw new ChainSourceError(`Request to ${url} failed: ${e.message}`, {
+      code: "HTTP_ERROR",
+      cause: e,
+    });
+  }
+}
+
+function httpError(url, response) {
+  return new ChainSourceError(
+    `Request to ${url} failed with status ${response.status}`,
+    { code: "HTTP_ERROR" }
+  );
+}
+
+function invalidResponse(url, cause) {
+  return new ChainSourceError(`Invalid response from ${url}`, {
+    code: "INVALID_RESPONSE",
+    cause,
+  });
+}
+
+// Block not found (-5) and height out of range (-8) mean the node does not have it
+function rpcError(method, { code, message }) {
+  return new ChainSourceError(`${method} failed: ${message} (${code})`, {
+    code: code === -5 || code === -8 ? "NOT_FOUND" : "RPC_ERROR",
+  });
+}
+
+function requireFetch(fetch) {
+  if (typeof fetch !== "function") {
+    throw new InvalidArgumentError("No fetch function available", {
+      code: "UNSUPPORTED_PLATFORM",
+    });
+  }
+  return fetch;
+}
+
+function checkHeight(height) {
+  if (!Number.isInteger(height) || height < 0) {
+    throw new InvalidArgumentError(`Invalid block height: ${height}`);
+  }
+  return height;
+}
+
+function checkHash(hash) {
+  if (typeof hash !== "string" || !/^[0-9a-fA-F]{64}$/.test(hash)) {
+    throw new InvalidArgumentError(`Invalid hash: ${hash}`);
+  }
+  return hash;
+}
+
+module.exports = {
+  ChainSource,
+  BitcoinCoreChainSource,
+  EsploraChainSource,
+};
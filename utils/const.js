@@ -1,2 +1,18 @@
 const TAPROOT_WITNESS_VERSION = 0x01;
-module.exports = { TAPROOT_WITNESS_VERSION };
+
+// Maximum number of outputs per scan key in a transaction (BIP-352)
+const K_MAX = 2323;
+
+// Error codes of SilentPaymentBuilder.createOutputs
+const SendError = {
+  NO_INPUTS: "NO_INPUTS",
+  INVALID_KEY: "INVALID_KEY",
+  INELIGIBLE_INPUT: "INELIGIBLE_INPUT",
+  INPUT_COUNT_MISMATCH: "INPUT_COUNT_MISMATCH",
+  INPUT_KEY_MISMATCH: "INPUT_KEY_MISMATCH",
+  ZERO_INPUT_SUM: "ZERO_INPUT_SUM",
+  TOO_MANY_OUTPUTS: "TOO_MANY_OUTPUTS",
+  NETWORK_MISMATCH: "NETWORK_MISMATCH",
+};
+
+module.exports = { TAPROOT_WITNESS_VERSION, K_MAX, SendError };
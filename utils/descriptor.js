@@ -0,0 +1,286 @@
+const { Buffer } = require("buffer");
+const BN = require("bn.js");
+const { BIP32Factory } = require("bip32");
+const secp = require("./secp256k1");
+const {
+  encodeBech32,
+  decodeBech32,
+  convertToBase32,
+  convertFromBase32,
+} = require("./bech32");
+const { decodeBase58Check } = require("./address");
+const Network = require("./network");
+const {
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+  InvalidFormatError,
+} = require("./errors");
+const bip32 = BIP32Factory(secp.bip32Ecc);
+
+// Descriptor checksum (BIP-380)
+const INPUT_CHARSET =
+  "0123456789()[],'/*abcdefgh@:$%{}" +
+  "IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~" +
+  'ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const CHECKSUM_GENERATOR = [
+  0xf5dee51989n,
+  0xa9fdca3312n,
+  0x1bab10e32dn,
+  0x3706b1677an,
+  0x644d626ffdn,
+];
+
+/**
+ * Compute the checksum of a descriptor
+ * @param descriptor Descriptor without checksum
+ * @returns 8 character checksum
+ */
+
+function descriptorChecksum(descriptor) {
+  const symbols = [];
+  let groups = [];
+
+  for (const char of descriptor) {
+    const value = INPUT_CHARSET.indexOf(char);
+    if (value === -1)
+      throw new InvalidFormatError(`Invalid descriptor character: ${char}`);
+
+    symbols.push(value & 31);
+    groups.push(value >> 5);
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups = [];
+    }
+  }
+  if (groups.length === 1) symbols.push(groups[0]);
+  if (groups.length === 2) symbols.push(groups[0] * 3 + groups[1]);
+
+  let chk = 1n;
+  for (const value of [...symbols, 0, 0, 0, 0, 0, 0, 0, 0]) {
+    const top = chk >> 35n;
+    chk = ((chk & 0x7ffffffffn) << 5n) ^ BigInt(value);
+    for (let i = 0; i < 5; i++) {
+      if ((top >> BigInt(i)) & 1n) chk ^= CHECKSUM_GENERATOR[i];
+    }
+  }
+  chk ^= 1n;
+
+  let checksum = "";
+  for (let i = 0; i < 8; i++) {
+    checksum += CHECKSUM_CHARSET[Number((chk >> BigInt(5 * (7 - i))) & 31n)];
+  }
+  return checksum;
+}
+
+/**
+ * Parse an sp() descriptor. Supports the single key form with an spscan or spspend
+ * encoded key, and the two key form sp(SCAN_KEY,SPEND_KEY), with optional key origins.
+ * @param descriptor Descriptor, with or without checksum
+ * @param requireChecksum Reject descriptors without checksum
+ * @returns Object with b_scan, b_spend (null for scan-only descriptors), B_spend, network and origin
+ */
+
+function parseDescriptor(descriptor, { requireChecksum = false } = {}) {
+  let body = descriptor.trim();
+
+  const hash = body.indexOf("#");
+  if (hash !== -1) {
+    const checksum = body.slice(hash + 1);
+    body = body.slice(0, hash);
+    if (checksum !== descriptorChecksum(body)) {
+      throw new ChecksumError("Invalid descriptor checksum");
+    }
+  } else if (requireChecksum) {
+    throw new ChecksumError("Missing descriptor checksum", {
+      code: "MISSING_CHECKSUM",
+    });
+  }
+
+  const match = body.match(/^sp\((.*)\)$/);
+  if (!match) throw new InvalidFormatError("Not an sp() descriptor");
+
+  const args = match[1].split(",");
+
+  if (args.length === 1) {
+    const { origin, key } = splitOrigin(args[0]);
+    return { ...decodeSilentPaymentKey(key), origin };
+  }
+
+  if (args.length === 2) {
+    const scan = parseKeyExpression(args[0]);
+    const spend = parseKeyExpression(args[1]);
+
+    if (scan.privateKey === null) {
+      throw new InvalidKeyError(
+        "The scan key of an sp() descriptor must be private"
+      );
+    }
+    if (spend.network !== null && scan.network !== spend.network) {
+      throw new NetworkMismatchError(
+        "Scan and spend keys are for different networks"
+      );
+    }
+
+    return {
+      b_scan: scan.privateKey,
+      b_spend: spend.privateKey,
+      B_spend: spend.publicKey,
+      network: scan.network,
+      origin: scan.origin,
+    };
+  }
+
+  throw new InvalidFormatError("sp() takes one or two keys");
+}
+
+/**
+ * Serialize keys as an sp() descriptor with checksum, using the single key form
+ * @param b_scan Scan private key (BN)
+ * @param b_spend Spend private key (BN), or null for a scan-only descriptor
+ * @param B_spend Spend public key (elliptic point)
+ * @param network Network name
+ * @param origin Optional key origin, { fingerprint, path } with path like "352h/0h/0h"
+ * @returns Descriptor
+ */
+
+function toDescriptor({ b_scan, b_spend = null, B_spend, network, origin }) {
+  network = Network.from(network);
+
+  const prefix = network === Network.Mainnet ? "" : "t";
+  const scanBytes = b_scan.toArrayLike(Buffer, "be", 32);
+  const [hrp, spendBytes] =
+    b_spend === null
+      ? [prefix + "spscan", Buffer.from(B_spend.encodeCompressed())]
+      : [prefix + "spspend", b_spend.toArrayLike(Buffer, "be", 32)];
+
+  const key = encodeBech32(hrp, [
+    0,
+    ...convertToBase32(Buffer.concat([scanBytes, spendBytes])),
+  ]);
+  const originText = origin ? `[${origin.fingerprint}/${origin.path}]` : "";
+  const body = `sp(${originText}${key})`;
+
+  return `${body}#${descriptorChecksum(body)}`;
+}
+
+function decodeSilentPaymentKey(key) {
+  const [hrp, words] = decodeBech32(key);
+
+  const match = hrp.match(/^(t?)sp(scan|spend)$/);
+  if (!match)
+    throw new InvalidFormatError(`Invalid silent payment key prefix: ${hrp}`, {
+      code: "INVALID_PREFIX",
+    });
+  if (words[0] !== 0)
+    throw new InvalidFormatError(`Unsupported key version: ${words[0]}`, {
+      code: "UNSUPPORTED_VERSION",
+    });
+
+  const network = match[1] ? Network.Testnet : Network.Mainnet;
+  const data = Buffer.from(convertFromBase32(words.slice(1)));
+  const b_scan = toPrivateKey(data.subarray(0, 32));
+
+  if (match[2] === "scan") {
+    if (data.length !== 65)
+      throw new InvalidFormatError("Invalid spscan key length");
+    return {
+      b_scan,
+      b_spend: null,
+      B_spend: secp.toEllipticPoint(data.subarray(32)),
+      network,
+    };
+  }
+
+  if (data.length !== 64)
+    throw new InvalidFormatError("Invalid spspend key length");
+  const b_spend = toPrivateKey(data.subarray(32));
+  return {
+    b_scan,
+    b_spend,
+    B_spend: secp.ellipticPublicKey(b_spend),
+    network,
+  };
+}
+
+function splitOrigin(expression) {
+  const match = expression.match(/^\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\](.+)$/);
+  if (!match) {
+    if (expression.includes("["))
+      throw new InvalidFormatError("Invalid key origin");
+    return { origin: null, key: expression };
+  }
+
+  return {
+    origin: { fingerprint: match[1].toLowerCase(), path: match[2].slice(1) },
+    key: match[3],
+  };
+}
+
+// Key expression of BIP-380: hex public key, WIF private key or extended key with a path
+function parseKeyExpression(expression) {
+  const { origin, key } = splitOrigin(expression);
+  const [base, ...path] = key.split("/");
+
+  if (/^[0-9a-fA-F]{66}$/.test(base) && path.length === 0) {
+    return {
+      origin,
+      privateKey: null,
+      publicKey: secp.toEllipticPoint(base),
+      network: null,
+    };
+  }
+
+  if (/^[xt](prv|pub)/.test(base)) {
+    const isTestnet = base[0] === "t";
+    let node = bip32.fromBase58(
+      base,
+      Network.params(isTestnet ? Network.Testnet : Network.Mainnet)
+    );
+    if (path.some((step) => step === "*" || step === "*'" || step === "*h")) {
+      throw new InvalidFormatError("Ranged sp() descriptors are not supported");
+    }
+    if (path.length > 0)
+      node = node.derivePath(path.join("/").replace(/h/g, "'"));
+
+    return {
+      origin,
+      privateKey: node.privateKey ? toPrivateKey(node.privateKey) : null,
+      publicKey: secp.toEllipticPoint(node.publicKey),
+      network: isTestnet ? Network.Testnet : Network.Mainnet,
+    };
+  }
+
+  if (path.length > 0)
+    throw new InvalidFormatError(`Invalid key expression: ${key}`);
+
+  const payload = decodeBase58Check(base);
+  if (payload[0] !== 0x80 && payload[0] !== 0xef) {
+    throw new InvalidFormatError(`Invalid key expression: ${key}`);
+  }
+  if (payload.length !== 34 || payload[33] !== 0x01) {
+    throw new InvalidKeyError("Only compressed WIF keys are supported");
+  }
+
+  const privateKey = toPrivateKey(payload.subarray(1, 33));
+  return {
+    origin,
+    privateKey,
+    publicKey: secp.ellipticPublicKey(privateKey),
+    network: payload[0] === 0x80 ? Network.Mainnet : Network.Testnet,
+  };
+}
+
+function toPrivateKey(bytes) {
+  if (!secp.isPrivate(Buffer.from(bytes))) {
+    throw new InvalidKeyError("Invalid private key");
+  }
+  return new BN(Buffer.from(bytes));
+}
+
+module.exports = {
+  descriptorChecksum,
+  parseDescriptor,
+  toDescriptor,
+};
@@ -0,0 +1,148 @@
+const { Buffer } = require("buffer");
+const BN = require("bn.js");
+const { taggedHash } = require("./utils");
+const secp = require("./secp256k1");
+const {
+  InvalidKeyError,
+  InvalidProofError,
+  InvalidArgumentError,
+} = require("./errors");
+
+const DLEQ_TAG_AUX = "BIP0374/aux";
+const DLEQ_TAG_NONCE = "BIP0374/nonce";
+const DLEQ_TAG_CHALLENGE = "BIP0374/challenge";
+
+// Compressed secp256k1 generator
+const GENERATOR = Buffer.from(
+  "0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798",
+  "hex"
+);
+
+/**
+ * Generate a DLEQ proof that C = a·B was computed with the same a as A = a·G.
+ * Check here for the spec: https://github.com/bitcoin/bips/blob/master/bip-0374.mediawiki
+ * @param a Secret scalar as hex, Buffer or BN
+ * @param B Public key point, elliptic point or compressed hex
+ * @param r 32 bytes of auxiliary randomness as hex or Buffer
+ * @param G Optional generator point, defaults to the secp256k1 generator
+ * @param m Optional 32 byte message to commit to
+ * @returns 64 byte proof e || s
+ */
+
+function generateDleqProof(a, B, r, { G = GENERATOR, m = null } = {}) {
+  const scalar = secp.toScalar(a);
+  if (scalar.length !== 32 || !secp.isPrivate(scalar)) {
+    throw new InvalidKeyError("Invalid secret scalar");
+  }
+
+  B = requirePoint(B, "B");
+  G = requirePoint(G, "G");
+
+  const A = multiply(G, scalar);
+  const C = multiply(B, scalar);
+  const message = toMessage(m);
+
+  const auxHash = taggedHash(toBytes(r, 32), DLEQ_TAG_AUX);
+  const t = Buffer.from(scalar.map((byte, i) => byte ^ auxHash[i]));
+
+  const rand = taggedHash(Buffer.concat([t, A, C, message]), DLEQ_TAG_NONCE);
+  const k = new BN(rand).umod(secp.CURVE_ORDER);
+  if (k.isZero()) throw new InvalidProofError("Invalid nonce");
+
+  const R1 = multiply(G, k);
+  const R2 = multiply(B, k);
+
+  const e = challenge(A, B, C, G, R1, R2, message);
+  const s = k.add(new BN(e).mul(new BN(scalar))).umod(secp.CURVE_ORDER);
+
+  const proof = Buffer.concat([e, s.toArrayLike(Buffer, "be", 32)]);
+
+  if (!verifyDleqProof(A, B, C, proof, { G, m })) {
+    throw new InvalidProofError("Generated an invalid proof");
+  }
+
+  return proof;
+}
+
+/**
+ * Verify a DLEQ proof that A = a·G and C = a·B share the same a
+ * @param A Public key of the secret, elliptic point or compressed hex
+ * @param B Public key point, elliptic point or compressed hex
+ * @param C Shared point, elliptic point or compressed hex
+ * @param proof 64 byte proof as hex or Buffer
+ * @param G Optional generator point, defaults to the secp256k1 generator
+ * @param m Optional 32 byte message the proof commits to
+ * @returns true if the proof is valid
+ */
+
+function verifyDleqProof(A, B, C, proof, { G = GENERATOR, m = null } = {}) {
+  let message;
+  try {
+    A = secp.toPoint(A);
+    B = secp.toPoint(B);
+    C = secp.toPoint(C);
+    G = secp.toPoint(G);
+    proof = toBytes(proof, 64);
+    message = toMessage(m);
+  } catch (e) {
+    return false;
+  }
+
+  const e = proof.subarray(0, 32);
+  const s = proof.subarray(32, 64);
+  if (new BN(s).cmp(secp.CURVE_ORDER) >= 0) return false;
+
+  const R1 = add(multiply(G, s), multiply(secp.pointNegate(A), e));
+  const R2 = add(multiply(B, s), multiply(secp.pointNegate(C), e));
+  if (R1 === null || R2 === null) return false;
+
+  return challenge(A, B, C, G, R1, R2, message).equals(e);
+}
+
+function challenge(A, B, C, G, R1, R2, message) {
+  return taggedHash(
+    Buffer.concat([A, B, C, G, R1, R2, message]),
+    DLEQ_TAG_CHALLENGE
+  );
+}
+
+// k·P with k reduced mod n, null at infinity
+function multiply(P, k) {
+  const scalar = new BN(k).umod(secp.CURVE_ORDER);
+  if (scalar.isZero()) return null;
+  return secp.pointMultiply(P, scalar.toArrayLike(Buffer, "be", 32));
+}
+
+// P + Q where null is the point at infinity
+function add(P, Q) {
+  if (P === null) return Q;
+  if (Q === null) return P;
+  return secp.pointAdd(P, Q);
+}
+
+function requirePoint(point, name) {
+  try {
+    return secp.toPoint(point);
+  } catch (e) {
+    throw new InvalidKeyError(`Invalid point ${name}`);
+  }
+}
+
+function toMessage(m) {
+  return m == null ? Buffer.alloc(0) : toBytes(m, 32);
+}
+
+function toBytes(value, length) {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, "hex");
+  if (bytes.length !== length) {
+    throw new InvalidArgumentError(
+      `Expected ${length} bytes, got ${bytes.length}`
+    );
+  }
+  return bytes;
+}
+
+module.exports = {
+  generateDleqProof,
+  verifyDleqProof,
+};
@@ -0,0 +1,79 @@
+/**
+ * Base class of the errors thrown by this package. The class tells what kind of input was
+ * rejected, code is a machine-readable string that can be more specific (e.g. ZERO_INPUT_SUM
+ * for an IneligibleInputError). Defaults to the code of the class.
+ */
+
+class SilentPaymentError extends Error {
+  static code = "SILENT_PAYMENT_ERROR";
+
+  constructor(message, { code, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.code;
+  }
+}
+
+// Malformed or unsupported silent payment or bitcoin address
+class InvalidAddressError extends SilentPaymentError {
+  static code = "INVALID_ADDRESS";
+}
+
+// Checksum mismatch in an address, key or descriptor
+class ChecksumError extends SilentPaymentError {
+  static code = "INVALID_CHECKSUM";
+}
+
+// Address, key or descriptor for another network
+class NetworkMismatchError extends SilentPaymentError {
+  static code = "NETWORK_MISMATCH";
+}
+
+// Key out of range, not on the curve, or not matching what it should sign
+class InvalidKeyError extends SilentPaymentError {
+  static code = "INVALID_KEY";
+}
+
+// Inputs that cannot be used to send or receive silent payments
+class IneligibleInputError extends SilentPaymentError {
+  static code = "INELIGIBLE_INPUT";
+}
+
+// Malformed, invalid or non-deterministic signature
+class InvalidSignatureError extends SilentPaymentError {
+  static code = "INVALID_SIGNATURE";
+}
+
+// Missing or invalid DLEQ proof
+class InvalidProofError extends SilentPaymentError {
+  static code = "INVALID_PROOF";
+}
+
+// Malformed serialized data: bech32 strings, transactions, blocks, PSBTs and descriptors
+class InvalidFormatError extends SilentPaymentError {
+  static code = "INVALID_FORMAT";
+}
+
+// Option or argument outside of what the function accepts
+class InvalidArgumentError extends SilentPaymentError {
+  static code = "INVALID_ARGUMENT";
+}
+
+// Failed request to a node or block explorer, or a block or transaction it does not have
+class ChainSourceError extends SilentPaymentError {
+  static code = "CHAIN_SOURCE_ERROR";
+}
+
+module.exports = {
+  SilentPaymentError,
+  InvalidAddressError,
+  ChecksumError,
+  NetworkMismatchError,
+  InvalidKeyError,
+  IneligibleInputError,
+  InvalidSignatureError,
+  InvalidProofError,
+  InvalidFormatError,
+  InvalidArgumentError,
+  ChainSourceError,
+};
@@ -0,0 +1,346 @@
+const { Buffer } = require("buffer");
+const LabelManager = require("../classes/LabelManager");
+const secp = require("./secp256k1");
+const { taggedHash } = require("./hash");
+const { ByteReader } = require("./transaction");
+const { toBytes, encodeVarint } = require("./utils");
+const { InvalidArgumentError, InvalidFormatError } = require("./errors");
+
+// Parameters of the BIP-158 basic filter
+const FILTER_P = 19;
+const FILTER_M = 784931;
+
+const MASK_64 = (BigInt(1) << BigInt(64)) - BigInt(1);
+
+/**
+ * BIP-158 Golomb-coded set filter of a block, as served by compact block filter
+ * peers (BIP-157), getblockfilter or light client servers. Check here for the format:
+ * https://github.com/bitcoin/bips/blob/master/bip-0158.mediawiki
+ */
+
+class BlockFilter {
+  /**
+   * @param filter Filter as hex or bytes: the item count followed by the Golomb-Rice coded set
+   * @param blockHash Hash of the block as hex, as shown by block explorers and RPC
+   * @param P Golomb-Rice parameter, 19 for the basic filter
+   * @param M Inverse false positive rate, 784931 for the basic filter
+   */
+
+  constructor(filter, blockHash, { P = FILTER_P, M = FILTER_M } = {}) {
+    const reader = new ByteReader(toBuffer(filter, "filter"));
+
+    this.n = reader.readVarInt();
+    this.data = reader.readSlice(reader.remaining);
+    this.key = filterKey(blockHash);
+    this.P = P;
+    this.M = M;
+  }
+
+  /**
+   * Build the filter of a set of items, like a full node does with the scripts of a block
+   * @param blockHash Hash of the block as hex
+   * @param items Items to put in the filter as hex or bytes, usually output scripts
+   * @returns BlockFilter
+   */
+
+  static build(blockHash, items, { P = FILTER_P, M = FILTER_M } = {}) {
+    const unique = [
+      ...new Set(items.map((item) => toBuffer(item, "item").toString("hex"))),
+    ];
+    const key = filterKey(blockHash);
+    const F = BigInt(unique.length) * BigInt(M);
+
+    const values = unique
+      .map((item) => hashToRange(Buffer.from(item, "hex"), F, key))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const writer = new BitWriter();
+    let last = BigInt(0);
+    for (const value of values) {
+      const delta = value - last;
+      last = value;
+
+      for (let q = delta >> BigInt(P); q > 0; q--) writer.writeBit(1);
+      writer.writeBit(0);
+      writer.writeBits(delta & ((BigInt(1) << BigInt(P)) - BigInt(1)), P);
+    }
+
+    const filter = Buffer.concat([encodeVarint(unique.length), writer.bytes()]);
+    return new BlockFilter(filter, blockHash, { P, M });
+  }
+
+  /**
+   * Check whether an item may be in the block. False positives happen about once in M
+   * @param item Item as hex or bytes, usually an output script
+   * @returns True if the item may be in the block, false if it is not
+   */
+
+  match(item) {
+    return this.matchAny([item]);
+  }
+
+  /**
+   * Check whether any of the items may be in the block
+   * @param items Items as hex or bytes, usually output scripts
+   * @returns True if one of the items may be in the block, false if none is
+   */
+
+  matchAny(items) {
+    if (this.n === 0 || items.length === 0) return false;
+
+    const F = BigInt(this.n) * BigInt(this.M);
+    const queries = items
+      .map((item) => hashToRange(toBuffer(item, "item"), F, this.key))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    // Both lists are sorted, so walk them together
+    const reader = new BitReader(this.data);
+    let value = BigInt(0);
+    let next = 0;
+
+    for (let i = 0; i < this.n; i++) {
+      value += this._readDelta(reader);
+
+      while (next < queries.length && queries[next] < value) next++;
+      if (next === queries.length) return false;
+      if (queries[next] === value) return true;
+    }
+
+    return false;
+  }
+
+  _readDelta(reader) {
+    let quotient = BigInt(0);
+    while (reader.readBit() === 1) quotient++;
+
+    return (quotient << BigInt(this.P)) | reader.readBits(this.P);
+  }
+
+  /**
+   * @returns The serialized filter as hex
+   */
+
+  toHex() {
+    return Buffer.concat([encodeVarint(this.n), this.data]).toString("hex");
+  }
+}
+
+/**
+ * Output scripts the receiver would find in a block paying them, for checking it against its
+ * filter: the first output (k = 0) of each transaction, unlabeled and with each label.
+ * Later outputs (k > 0) only exist next to the first one, so they are not needed to flag a block.
+ * @param tweaks Tweak data of the transactions of the block, as 33 byte compressed hex
+ * like computeBlockTweaks or a tweak index returns them. Items with a tweak field are accepted too
+ * @param keys Keys to scan with. Use KeyGeneration, ScanKey or any object with b_scan and B_spend
+ * @param precomputedLabels Optional labels to look for, a LabelManager or its precomputedLabels
+ * @returns Taproot output scripts as Buffers
+ */
+
+function getFilterScripts(tweaks, keys, { precomputedLabels = {} } = {}) {
+  const b_scan = secp.toScalar(keys.b_scan);
+  const B_spend = secp.toPoint(keys.B_spend);
+  if (precomputedLabels instanceof LabelManager) {
+    precomputedLabels = precomputedLabels.precomputedLabels;
+  }
+  const labelPoints = Object.keys(precomputedLabels || {}).map((label) =>
+    Buffer.from(label, "hex")
+  );
+
+  const scripts = [];
+
+  for (const item of tweaks) {
+    const tweak = item != null && item.tweak != null ? item.tweak : item;
+    const tweakPoint = toBuffer(tweak, "tweak");
+    if (tweakPoint.length !== 33 || !secp.isPoint(tweakPoint)) {
+      throw new InvalidArgumentError(`Invalid tweak: ${tweak}`);
+    }
+
+    const t_0 = taggedHash(
+      Buffer.concat([
+        secp.ecdh(tweakPoint, b_scan),
+        Buffer.from(toBytes(BigInt(0), 4), "array"),
+      ]),
+      "BIP0352/SharedSecret"
+    );
+    const P_0 = secp.pointAddScalar(B_spend, t_0);
+
+    for (const P of [P_0, ...labelPoints.map((L) => secp.pointAdd(P_0, L))]) {
+      if (P !== null) scripts.push(taprootScript(P));
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * Check whether a block may pay the receiver, from its BIP-158 filter and the tweak data
+ * of its transactions. Only blocks that match need to be downloaded and scanned.
+ * @param filter BlockFilter, or the filter as hex or bytes
+ * @param blockHash Hash of the block as hex. Not needed with a BlockFilter
+ * @param tweaks Tweak data of the transactions of the block. See getFilterScripts
+ * @param keys Keys to scan with. Use KeyGeneration, ScanKey or any object with b_scan and B_spend
+ * @param precomputedLabels Optional labels to look for, a LabelManager or its precomputedLabels
+ * @returns True if the block may contain a silent payment to the receiver
+ */
+
+function matchBlockFilter(
+  filter,
+  blockHash,
+  tweaks,
+  keys,
+  { precomputedLabels = {} } = {}
+) {
+  if (tweaks.length === 0) return false;
+  if (!(filter instanceof BlockFilter)) {
+    filter = new BlockFilter(filter, blockHash);
+  }
+
+  return filter.matchAny(getFilterScripts(tweaks, keys, { precomputedLabels }));
+}
+
+/**
+ * Find the blocks to download among many, e.g. when a light client catches up
+ * @param blocks One object per block with its blockHash, filter and tweaks
+ * @param keys Keys to scan with. Use KeyGeneration, ScanKey or any object with b_scan and B_spend
+ * @param precomputedLabels Optional labels to look for, a LabelManager or its precomputedLabels
+ * @returns The blocks whose filter matches, in the same order
+ */
+
+function matchBlockFilters(blocks, keys, { precomputedLabels = {} } = {}) {
+  return blocks.filter(({ blockHash, filter, tweaks }) =>
+    matchBlockFilter(filter, blockHash, tweaks, keys, { precomputedLabels })
+  );
+}
+
+/**
+ * SipHash-2-4 of data, as used by BIP-158 to hash filter items
+ * @param key 16 byte key
+ * @param data Bytes to hash
+ * @returns 64-bit hash as a BigInt
+ */
+
+function siphash24(key, data) {
+  const k0 = key.readBigUInt64LE(0);
+  const k1 = key.readBigUInt64LE(8);
+  const v = [
+    k0 ^ BigInt("0x736f6d6570736575"),
+    k1 ^ BigInt("0x646f72616e646f6d"),
+    k0 ^ BigInt("0x6c7967656e657261"),
+    k1 ^ BigInt("0x7465646279746573"),
+  ];
+
+  const padded = Buffer.alloc(Math.floor(data.length / 8) * 8 + 8);
+  data.copy(padded);
+  padded[padded.length - 1] = data.length & 0xff;
+
+  for (let offset = 0; offset < padded.length; offset += 8) {
+    const m = padded.readBigUInt64LE(offset);
+    v[3] ^= m;
+    sipRound(v);
+    sipRound(v);
+    v[0] ^= m;
+  }
+
+  v[2] ^= BigInt(0xff);
+  for (let i = 0; i < 4; i++) sipRound(v);
+
+  return v[0] ^ v[1] ^ v[2] ^ v[3];
+}
+
+function sipRound(v) {
+  v[0] = (v[0] + v[1]) & MASK_64;
+  v[1] = rotl(v[1], 13) ^ v[0];
+  v[0] = rotl(v[0], 32);
+  v[2] = (v[2] + v[3]) & MASK_64;
+  v[3] = rotl(v[3], 16) ^ v[2];
+  v[0] = (v[0] + v[3]) & MASK_64;
+  v[3] = rotl(v[3], 21) ^ v[0];
+  v[2] = (v[2] + v[1]) & MASK_64;
+  v[1] = rotl(v[1], 17) ^ v[2];
+  v[2] = rotl(v[2], 32);
+}
+
+function rotl(x, b) {
+  return ((x << BigInt(b)) | (x >> BigInt(64 - b))) & MASK_64;
+}
+
+// Maps an item uniformly to [0, F)
+function hashToRange(item, F, key) {
+  return (siphash24(key, item) * F) >> BigInt(64);
+}
+
+// The SipHash key is the first 16 bytes of the block hash in internal byte order
+function filterKey(blockHash) {
+  if (typeof blockHash !== "string" || !/^[0-9a-fA-F]{64}$/.test(blockHash)) {
+    throw new InvalidArgumentError(`Invalid block hash: ${blockHash}`);
+  }
+  return Buffer.from(blockHash, "hex").reverse().subarray(0, 16);
+}
+
+function taprootScript(point) {
+  return Buffer.concat([Buffer.from([0x51, 0x20]), secp.xOnly(point)]);
+}
+
+function toBuffer(value, name) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.length);
+  }
+  if (typeof value === "string" && /^([0-9a-fA-F]{2})*$/.test(value)) {
+    return Buffer.from(value, "hex");
+  }
+  throw new InvalidArgumentError(`Invalid ${name}: ${value}`);
+}
+
+class BitReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  readBit() {
+    const byte = this.offset >> 3;
+    if (byte >= this.buffer.length) {
+      throw new InvalidFormatError("Unexpected end of filter");
+    }
+    return (this.buffer[byte] >> (7 - (this.offset++ & 7))) & 1;
+  }
+
+  readBits(count) {
+    let value = BigInt(0);
+    for (let i = 0; i < count; i++) {
+      value = (value << BigInt(1)) | BigInt(this.readBit());
+    }
+    return value;
+  }
+}
+
+class BitWriter {
+  constructor() {
+    this.data = [];
+    this.length = 0;
+  }
+
+  writeBit(bit) {
+    if ((this.length & 7) === 0) this.data.push(0);
+    if (bit) this.data[this.data.length - 1] |= 0x80 >> (this.length & 7);
+    this.length++;
+  }
+
+  writeBits(value, count) {
+    for (let i = count - 1; i >= 0; i--) {
+      this.writeBit(Number((value >> BigInt(i)) & BigInt(1)));
+    }
+  }
+
+  bytes() {
+    return Buffer.from(this.data);
+  }
+}
+
+module.exports = {
+  BlockFilter,
+  getFilterScripts,
+  matchBlockFilter,
+  matchBlockFilters,
+  siphash24,
+};
@@ -0,0 +1,75 @@
+const { Buffer } = require("buffer");
+const { sha256: nobleSha256 } = require("@noble/hashes/sha256");
+const { ripemd160: nobleRipemd160 } = require("@noble/hashes/ripemd160");
+const { sha512 } = require("@noble/hashes/sha512");
+const { pbkdf2 } = require("@noble/hashes/pbkdf2");
+const { randomBytes: nobleRandomBytes } = require("@noble/hashes/utils");
+
+// Hashes and randomness without Node's crypto module, so the same code runs
+// in browsers and React Native. Randomness comes from crypto.getRandomValues.
+
+function sha256(data) {
+  return toBuffer(nobleSha256(data));
+}
+
+function sha256d(data) {
+  return sha256(sha256(data));
+}
+
+function ripemd160(data) {
+  return toBuffer(nobleRipemd160(data));
+}
+
+function hash160(data) {
+  return ripemd160(sha256(data));
+}
+
+function taggedHash(data, tag) {
+  const tagDigest = sha256(Buffer.from(tag, "utf8"));
+  return sha256(Buffer.concat([tagDigest, tagDigest, data]));
+}
+
+/**
+ * BIP-39 seed of a mnemonic, like bip39.mnemonicToSeedSync. The mnemonic is not checked
+ * @param mnemonic Mnemonic words
+ * @param password Optional passphrase
+ * @returns 64-byte seed
+ */
+
+function mnemonicToSeed(mnemonic, password = "") {
+  const seed = pbkdf2(
+    sha512,
+    Buffer.from(mnemonic.normalize("NFKD"), "utf8"),
+    Buffer.from("mnemonic" + (password || "").normalize("NFKD"), "utf8"),
+    { c: 2048, dkLen: 64 }
+  );
+  return toBuffer(seed);
+}
+
+function randomBytes(length) {
+  return toBuffer(nobleRandomBytes(length));
+}
+
+// Uniform integer in [0, max), rejecting the values that would bias it
+function randomInt(max) {
+  const limit = 0x100000000 - (0x100000000 % max);
+  let value;
+  do value = randomBytes(4).readUInt32BE(0);
+  while (value >= limit);
+  return value % max;
+}
+
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+}
+
+module.exports = {
+  sha256,
+  sha256d,
+  ripemd160,
+  hash160,
+  taggedHash,
+  mnemonicToSeed,
+  randomBytes,
+  randomInt,
+};
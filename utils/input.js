@@ -0,0 +1,180 @@
+const { Buffer } = require("buffer");
+const { hash160 } = require("./hash");
+const secp = require("./secp256k1");
+
+// BIP-341 NUMS point. Script path spends using it as internal key have no
+// usable key path, so they are skipped for silent payments.
+const NUMS_H =
+  "50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0";
+
+// First byte of the last witness item when it is an annex
+const ANNEX_TAG = 0x50;
+
+/**
+ * A transaction input together with the script of the output it spends.
+ * Used to derive the input public key following the BIP-352 input rules.
+ */
+
+class TransactionInput {
+  constructor({ txid, index, scriptSig = "", witness = [], prevoutScript }) {
+    this.txid = txid;
+    this.index = index;
+    this.scriptSig = toBuffer(scriptSig);
+    this.witness = witness.map(toBuffer);
+    this.prevoutScript = toBuffer(prevoutScript);
+  }
+
+  /**
+   * Outpoint spent by this input
+   * @returns Object with txid and index
+   */
+
+  get outpoint() {
+    return { txid: this.txid, index: this.index };
+  }
+
+  /**
+   * Public key eligible for silent payments
+   * @returns Compressed public key hex or null if the input is not eligible
+   */
+
+  getPublicKey() {
+    return getPublicKeyFromInput(this);
+  }
+}
+
+/**
+ * Get the public key of an input following the BIP-352 input rules.
+ * Check here for the rules: https://github.com/bitcoin/bips/blob/master/bip-0352.mediawiki#inputs-for-shared-secret-derivation
+ * @param input Input with its scriptSig, witness and the prevout script. Use TransactionInput
+ * @returns Compressed public key hex or null if the input is not eligible
+ */
+
+function getPublicKeyFromInput({ scriptSig, witness, prevoutScript }) {
+  scriptSig = toBuffer(scriptSig);
+  witness = (witness || []).map(toBuffer);
+  prevoutScript = toBuffer(prevoutScript);
+
+  if (isP2PKH(prevoutScript)) {
+    // The scriptSig may be malleated, so look for the last 33 bytes that hash
+    // to the expected public key hash.
+    const spkHash = prevoutScript.subarray(3, 23);
+
+    for (let i = scriptSig.length; i >= 33; i--) {
+      const pubkey = scriptSig.subarray(i - 33, i);
+
+      if (hash160(pubkey).equals(spkHash)) {
+        return toCompressedKey(pubkey);
+      }
+    }
+
+    return null;
+  }
+
+  if (isP2SH(prevoutScript)) {
+    const redeemScript = scriptSig.subarray(1);
+
+    if (isP2WPKH(redeemScript) && witness.length > 0) {
+      return toCompressedKey(witness[witness.length - 1]);
+    }
+
+    return null;
+  }
+
+  if (isP2WPKH(prevoutScript)) {
+    if (witness.length === 0) return null;
+    return toCompressedKey(witness[witness.length - 1]);
+  }
+
+  if (isP2TR(prevoutScript)) {
+    let stack = witness;
+    if (stack.length === 0) return null;
+
+    if (stack.length > 1 && stack[stack.length - 1][0] === ANNEX_TAG) {
+      stack = stack.slice(0, -1);
+    }
+
+    if (stack.length > 1) {
+      // Script path spend: control block is <control byte> <internal key> ...
+      const controlBlock = stack[stack.length - 1];
+      const internalKey = controlBlock.subarray(1, 33).toString("hex");
+
+      if (internalKey === NUMS_H) return null;
+    }
+
+    return toCompressedKey(
+      Buffer.concat([Buffer.from([0x02]), prevoutScript.subarray(2)])
+    );
+  }
+
+  return null;
+}
+
+function toCompressedKey(pubkey) {
+  if (pubkey.length !== 33 || (pubkey[0] !== 0x02 && pubkey[0] !== 0x03)) {
+    return null;
+  }
+
+  return secp.isPoint(pubkey) ? Buffer.from(pubkey).toString("hex") : null;
+}
+
+function isP2PKH(script) {
+  return (
+    script.length === 25 &&
+    script[0] === 0x76 &&
+    script[1] === 0xa9 &&
+    script[2] === 0x14 &&
+    script[23] === 0x88 &&
+    script[24] === 0xac
+  );
+}
+
+function isP2SH(script) {
+  return (
+    script.length === 23 &&
+    script[0] === 0xa9 &&
+    script[1] === 0x14 &&
+    script[22] === 0x87
+  );
+}
+
+function isP2WPKH(script) {
+  return script.length === 22 && script[0] === 0x00 && script[1] === 0x14;
+}
+
+function isP2TR(script) {
+  return script.length === 34 && script[0] === 0x51 && script[1] === 0x20;
+}
+
+/**
+ * Get the segwit version of an output script
+ * @param script Output script
+ * @returns Witness version or null if the script is not a witness program
+ */
+
+function getWitnessVersion(script) {
+  script = toBuffer(script);
+  if (script.length < 4 || script.length > 42) return null;
+  if (script[1] !== script.length - 2) return null;
+
+  if (script[0] === 0x00) return 0;
+  if (script[0] >= 0x51 && script[0] <= 0x60) return script[0] - 0x50;
+  return null;
+}
+
+function toBuffer(data) {
+  if (data == null) return Buffer.alloc(0);
+  return Buffer.isBuffer(data) ? data : Buffer.from(data, "hex");
+}
+
+module.exports = {
+  NUMS_H,
+  TransactionInput,
+  getPublicKeyFromInput,
+  isP2PKH,
+  isP2SH,
+  isP2WPKH,
+  isP2TR,
+  getWitnessVersion,
+  hash160,
+};
@@ -1,9 +1,129 @@
+const { InvalidArgumentError, InvalidAddressError } = require("./errors");
+
+// Parameters of each network: silent payment and segwit HRPs, the coin type used in
+// BIP-352 derivation paths, base58 address prefixes and the version bytes of WIF and
+// extended keys, in the format the bip32 package expects
+const PARAMS = {
+  mainnet: {
+    hrp: "sp",
+    segwitHrp: "bc",
+    coinType: 0,
+    pubKeyHash: 0x00,
+    scriptHash: 0x05,
+    wif: 0x80,
+    bip32: { public: 0x0488b21e, private: 0x0488ade4 },
+  },
+  testnet: {
+    hrp: "tsp",
+    segwitHrp: "tb",
+    coinType: 1,
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    wif: 0xef,
+    bip32: { public: 0x043587cf, private: 0x04358394 },
+  },
+  // Shares its address formats with testnet
+  signet: {
+    hrp: "tsp",
+    segwitHrp: "tb",
+    coinType: 1,
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    wif: 0xef,
+    bip32: { public: 0x043587cf, private: 0x04358394 },
+  },
+  regtest: {
+    hrp: "sprt",
+    segwitHrp: "bcrt",
+    coinType: 1,
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    wif: 0xef,
+    bip32: { public: 0x043587cf, private: 0x04358394 },
+  },
+};
+
+for (const [name, params] of Object.entries(PARAMS)) {
+  params.name = name;
+  Object.freeze(params.bip32);
+  Object.freeze(params);
+}
+
+/**
+ * Names of the Bitcoin networks. Use Network.params to get the HRPs, coin type
+ * and address prefixes of a network.
+ */
+
 class Network {
   // Bitcoin Mainnet
   static Mainnet = "mainnet";
 
   //Bitcoin Testnet
   static Testnet = "testnet";
+
+  // Bitcoin Signet
+  static Signet = "signet";
+
+  // Bitcoin Regtest
+  static Regtest = "regtest";
+
+  static get all() {
+    return [Network.Mainnet, Network.Testnet, Network.Signet, Network.Regtest];
+  }
+
+  /**
+   * Check a network name
+   * @param network "mainnet", "testnet", "signet" or "regtest"
+   * @returns The network name
+   */
+
+  static from(network) {
+    if (!Object.prototype.hasOwnProperty.call(PARAMS, network)) {
+      throw new InvalidArgumentError(`Unknown network: ${network}`, {
+        code: "UNKNOWN_NETWORK",
+      });
+    }
+    return network;
+  }
+
+  /**
+   * Get the parameters of a network
+   * @param network Network name
+   * @returns Frozen object with name, hrp, segwitHrp, coinType, pubKeyHash, scriptHash, wif and bip32
+   */
+
+  static params(network) {
+    return PARAMS[Network.from(network)];
+  }
+
+  /**
+   * Get the network of a silent payment HRP. Testnet and signet share "tsp", which maps to testnet.
+   * @param hrp "sp", "tsp" or "sprt"
+   * @returns The network name
+   */
+
+  static fromHrp(hrp) {
+    const found = Network.all.find((name) => PARAMS[name].hrp === hrp);
+    if (!found) {
+      throw new InvalidAddressError(`Invalid prefix: ${hrp}`, {
+        code: "INVALID_PREFIX",
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Whether addresses of one network are valid on another one
+   * @param network Network name
+   * @param other Network name
+   * @returns true if both networks use the same address formats
+   */
+
+  static isCompatible(network, other) {
+    const a = Network.params(network);
+    const b = Network.params(other);
+    return a.hrp === b.hrp && a.segwitHrp === b.segwitHrp;
+  }
 }
 
 module.exports = Network;
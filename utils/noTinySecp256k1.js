@@ -0,0 +1,2 @@
+// Stands in for tinySecp256k1.js where WebAssembly is missing, see package.json
+module.exports = null;
@@ -1,9 +1,115 @@
+const { Buffer } = require("buffer");
+const BN = require("bn.js");
+const { P2trAddress } = require("./taproot");
+
+class SilentPaymentOutput {
+  constructor(address, value) {
+    this.address = address;
+    this.value = value;
+  }
+}
+
+/**
+ * Output found while scanning, with everything needed to store it and spend it later
+ */
+
 class SilentPaymentScanningOutput {
-  constructor(output, tweak, label = null) {
+  /**
+   * @param output Matched output, SilentPaymentOutput with its taproot address and value
+   * @param tweak Tweak to add to the spend private key, as hex. Includes the label tweak
+   * @param label Label number m. Null for unlabeled outputs, or when scanning with a plain label table.
+   * A label tweak given here, as before label numbers, is kept as is and copied to labelTweak
+   * @param k Index of the output among the outputs to the scan key
+   * @param labelTweak Label tweak as hex, null for unlabeled outputs
+   * @param amount Amount in satoshis, defaults to the value of output
+   * @param txid Id of the transaction, when known
+   * @param vout Index of the output in the transaction, when known
+   */
+
+  constructor(
+    output,
+    tweak,
+    label = null,
+    k = null,
+    labelTweak = null,
+    amount = output.value,
+    txid = null,
+    vout = null
+  ) {
+    if (labelTweak === null && label !== null && typeof label !== "number") {
+      labelTweak = BN.isBN(label) ? label.toString(16, 64) : label;
+    }
+
     this.output = output;
     this.tweak = tweak;
+    this.k = k;
     this.label = label;
+    this.labelTweak = labelTweak;
+    this.amount = amount == null ? null : BigInt(amount);
+    this.txid = txid;
+    this.vout = vout;
+  }
+
+  /**
+   * Output script as hex
+   */
+
+  get script() {
+    return "5120" + this.output.address.pubkey.toString("hex");
+  }
+
+  /**
+   * Outpoint as txid:vout, null when the transaction is unknown
+   */
+
+  get outpoint() {
+    return this.txid === null || this.vout === null
+      ? null
+      : `${this.txid}:${this.vout}`;
+  }
+
+  toJSON() {
+    return {
+      txid: this.txid,
+      vout: this.vout,
+      k: this.k,
+      label: this.label,
+      labelTweak: this.labelTweak,
+      amount: this.amount === null ? null : this.amount.toString(),
+      address: this.output.address.address,
+      script: this.script,
+      tweak: this.tweak,
+    };
+  }
+
+  /**
+   * Rebuild a scanned output stored with toJSON
+   * @param json Object returned by toJSON, or its JSON string
+   * @returns SilentPaymentScanningOutput
+   */
+
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    const amount = data.amount === null ? null : BigInt(data.amount);
+
+    return new SilentPaymentScanningOutput(
+      new SilentPaymentOutput(
+        new P2trAddress(data.address, Buffer.from(data.script.slice(4), "hex")),
+        amount === null ? null : Number(amount)
+      ),
+      data.tweak,
+      data.label,
+      data.k,
+      data.labelTweak,
+      amount,
+      data.txid,
+      data.vout
+    );
   }
 }
 
+SilentPaymentScanningOutput.SilentPaymentScanningOutput =
+  SilentPaymentScanningOutput;
+SilentPaymentScanningOutput.SilentPaymentOutput = SilentPaymentOutput;
+
 module.exports = SilentPaymentScanningOutput;
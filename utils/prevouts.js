@@ -0,0 +1,77 @@
+const { Buffer } = require("buffer");
+const BitcoinScriptOutput = require("./scriptOutput");
+const { parseTransaction } = require("./transaction");
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * Prevout provider keeping outputs in memory. Useful for tests and for
+ * callers that already hold the spent outputs.
+ *
+ * A prevout provider is any object with an async getPrevouts(outpoints)
+ * method resolving each { txid, index } to the output it points to.
+ */
+
+class MemoryPrevoutProvider {
+  constructor() {
+    this.outputs = new Map();
+  }
+
+  /**
+   * Add a single output
+   * @param txid Transaction id of the output
+   * @param index Output index
+   * @param script Output script as hex, Buffer or Uint8Array
+   * @param value Output amount in satoshis
+   * @returns The provider
+   */
+
+  add(txid, index, script, value = BigInt(0)) {
+    const scriptBuffer =
+      typeof script === "string"
+        ? Buffer.from(script, "hex")
+        : Buffer.from(script);
+
+    this.outputs.set(
+      `${txid}:${index}`,
+      new BitcoinScriptOutput(scriptBuffer, BigInt(value))
+    );
+    return this;
+  }
+
+  /**
+   * Add every output of a transaction
+   * @param transaction Raw transaction or a transaction returned by parseTransaction
+   * @returns The provider
+   */
+
+  addTransaction(transaction) {
+    if (typeof transaction === "string" || transaction instanceof Uint8Array) {
+      transaction = parseTransaction(transaction);
+    }
+
+    transaction.outputs.forEach((output, index) => {
+      this.add(transaction.txid, index, output.script, output.value);
+    });
+    return this;
+  }
+
+  /**
+   * Look up the outputs spent by a transaction
+   * @param outpoints Array of { txid, index }
+   * @returns Output for each outpoint. Use BitcoinScriptOutput
+   */
+
+  async getPrevouts(outpoints) {
+    return outpoints.map(({ txid, index }) => {
+      const output = this.outputs.get(`${txid}:${index}`);
+      if (!output) {
+        throw new InvalidArgumentError(`Unknown prevout: ${txid}:${index}`, {
+          code: "MISSING_PREVOUT",
+        });
+      }
+      return output;
+    });
+  }
+}
+
+module.exports = MemoryPrevoutProvider;
@@ -0,0 +1,322 @@
+const SilentPaymentBuilder = require("../classes/CreateOutput");
+const BitcoinScriptOutput = require("./scriptOutput");
+const { parseTransaction, parseBlock } = require("./transaction");
+const {
+  TransactionInput,
+  getPublicKeyFromInput,
+  getWitnessVersion,
+  isP2TR,
+} = require("./input");
+const { InvalidArgumentError } = require("./errors");
+
+const COINBASE_TXID = "00".repeat(32);
+
+/**
+ * Check whether a transaction can contain silent payments and collect what is needed to scan it.
+ * Check here for the rules: https://github.com/bitcoin/bips/blob/master/bip-0352.mediawiki#scanning-silent-payment-eligible-transactions
+ * @param transaction Parsed transaction. See parseTransaction
+ * @param prevouts Script of the output spent by each input, in input order.
+ * Either the script or an object with a script field like BitcoinScriptOutput
+ * @returns Object with the transaction inputs or null if the transaction is not eligible
+ */
+
+function getEligibleInputs(transaction, prevouts) {
+  if (prevouts.length !== transaction.inputs.length) {
+    throw new InvalidArgumentError(
+      "Expected one prevout for each transaction input",
+      { code: "MISSING_PREVOUT" }
+    );
+  }
+
+  if (!transaction.outputs.some((output) => isP2TR(output.script))) {
+    return null;
+  }
+
+  const inputs = transaction.inputs.map(
+    (input, i) =>
+      new TransactionInput({
+        txid: input.txid,
+        index: input.index,
+        scriptSig: input.scriptSig,
+        witness: input.witness,
+        prevoutScript: prevoutScript(prevouts[i]),
+      })
+  );
+
+  // Spending an output with a future segwit version makes the transaction ineligible
+  if (inputs.some((input) => getWitnessVersion(input.prevoutScript) > 1)) {
+    return null;
+  }
+
+  if (!inputs.some((input) => getPublicKeyFromInput(input) !== null)) {
+    return null;
+  }
+
+  return inputs;
+}
+
+/**
+ * Scan a raw transaction for silent payments
+ * @param txHex Raw transaction as hex, Buffer or Uint8Array
+ * @param prevouts Script of the output spent by each input, in input order.
+ * Either the script or an object with a script field like BitcoinScriptOutput
+ * @param keys Keys to scan with. Use KeyGeneration or any object with b_scan and B_spend
+ * @param precomputedLabels Optional labels to differentiate silent payments if already precomputed.
+ * @returns Matched outputs with their outpoints
+ */
+
+function scanTransaction(
+  txHex,
+  prevouts,
+  keys,
+  { precomputedLabels = {}, network = keys.network } = {}
+) {
+  const transaction = parseTransaction(txHex);
+  return scanParsedTransaction(transaction, prevouts, keys, {
+    precomputedLabels,
+    network,
+  });
+}
+
+/**
+ * Scan a transaction for silent payments, fetching the outputs it spends
+ * @param transaction Raw transaction as hex, Buffer or Uint8Array, or its txid with a chain source
+ * @param source ChainSource, or any object with an async getPrevouts(outpoints) method
+ * @param keys Keys to scan with. Use KeyGeneration or any object with b_scan and B_spend
+ * @param precomputedLabels Optional labels to differentiate silent payments if already precomputed.
+ * @returns Promise of the matched outputs with their outpoints
+ */
+
+async function scanTransactionAsync(
+  transaction,
+  source,
+  keys,
+  { precomputedLabels = {}, network = keys.network } = {}
+) {
+  const fetched = await fetchPrevouts(transaction, source);
+  if (fetched === null) return [];
+
+  return scanParsedTransaction(fetched.transaction, fetched.prevouts, keys, {
+    precomputedLabels,
+    network,
+  });
+}
+
+function scanParsedTransaction(
+  transaction,
+  prevouts,
+  keys,
+  { precomputedLabels = {}, network = keys.network } = {}
+) {
+  const inputs = getEligibleInputs(transaction, prevouts);
+  if (inputs === null) return [];
+
+  const builder = new SilentPaymentBuilder({ inputs, network });
+  if (builder.A_sum === null) return [];
+
+  const outputs = transaction.outputs.map(
+    (output) => new BitcoinScriptOutput(output.script, output.value)
+  );
+
+  const matches = builder.scanOutputs(
+    keys.b_scan,
+    keys.B_spend,
+    outputs,
+    precomputedLabels
+  );
+
+  const result = [];
+
+  transaction.outputs.forEach((output, vout) => {
+    if (!isP2TR(output.script)) return;
+
+    const match = matches[output.script.subarray(2).toString("hex")];
+    if (!match) return;
+
+    match.txid = transaction.txid;
+    match.vout = vout;
+
+    result.push({
+      outpoint: `${transaction.txid}:${vout}`,
+      txid: transaction.txid,
+      vout: vout,
+      output: match,
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Scan every transaction of a block for silent payments.
+ * The coinbase and ineligible transactions are skipped.
+ * @param rawBlock Raw block as hex, Buffer or Uint8Array. Its hash or height works too with a chain source
+ * @param prevoutProvider ChainSource, or any object with an async getPrevouts(outpoints) method
+ * returning the output spent by each { txid, index }. Use MemoryPrevoutProvider for tests.
+ * It is called once, with every outpoint of the block to look up
+ * @param keys Keys to scan with. Use KeyGeneration or any object with b_scan and B_spend
+ * @param precomputedLabels Optional labels to differentiate silent payments if already precomputed.
+ * @returns Matched outputs of the whole block with their outpoints
+ */
+
+async function scanBlock(
+  rawBlock,
+  prevoutProvider,
+  keys,
+  { precomputedLabels = {}, network = keys.network } = {}
+) {
+  const block = parseBlock(await fetchBlock(rawBlock, prevoutProvider));
+
+  // The coinbase and transactions without taproot outputs cannot be silent payments
+  const transactions = block.transactions
+    .slice(1)
+    .filter((transaction) => transaction.outputs.some((o) => isP2TR(o.script)));
+  const prevouts = await resolvePrevouts(
+    transactions,
+    prevoutProvider,
+    getBlockOutputs(block)
+  );
+
+  return transactions.flatMap((transaction, i) =>
+    scanParsedTransaction(transaction, prevouts[i], keys, {
+      precomputedLabels,
+      network,
+    })
+  );
+}
+
+/**
+ * Look up the outputs spent by some transactions with a single getPrevouts call
+ * @param transactions Parsed transactions
+ * @param prevoutProvider ChainSource or prevout provider
+ * @param blockOutputs Optional outputs already known, keyed by "txid:index".
+ * Spends of these need no lookup
+ * @returns Promise of the prevouts of each transaction, in input order
+ */
+
+async function resolvePrevouts(
+  transactions,
+  prevoutProvider,
+  blockOutputs = new Map()
+) {
+  const missing = new Map();
+
+  for (const transaction of transactions) {
+    for (const { txid, index } of transaction.inputs) {
+      const outpoint = `${txid}:${index}`;
+      if (!blockOutputs.has(outpoint)) missing.set(outpoint, { txid, index });
+    }
+  }
+
+  const fetched = new Map();
+  if (missing.size > 0) {
+    const outputs = await prevoutProvider.getPrevouts([...missing.values()]);
+    [...missing.keys()].forEach((outpoint, i) => {
+      fetched.set(outpoint, outputs[i]);
+    });
+  }
+
+  return transactions.map((transaction) =>
+    transaction.inputs.map(({ txid, index }) => {
+      const outpoint = `${txid}:${index}`;
+      return blockOutputs.has(outpoint)
+        ? blockOutputs.get(outpoint)
+        : fetched.get(outpoint);
+    })
+  );
+}
+
+// Outputs created in a block, so spends within the block need no lookup
+function getBlockOutputs(block) {
+  const outputs = new Map();
+
+  for (const transaction of block.transactions) {
+    transaction.outputs.forEach((output, index) => {
+      outputs.set(`${transaction.txid}:${index}`, output);
+    });
+  }
+  return outputs;
+}
+
+/**
+ * Fetch a transaction and the outputs it spends
+ * @param transaction Raw transaction as hex, Buffer or Uint8Array, its txid, or a transaction returned by parseTransaction
+ * @param source ChainSource, or a prevout provider when the transaction is given
+ * @returns Promise of { transaction, prevouts }, or null for coinbase transactions and
+ * transactions without taproot outputs, which cannot be silent payments
+ */
+
+async function fetchPrevouts(transaction, source) {
+  if (!isPrevoutProvider(source)) {
+    throw new InvalidArgumentError(
+      "Expected a ChainSource or an object with a getPrevouts method"
+    );
+  }
+  if (isHash(transaction)) {
+    if (typeof source.getTransaction !== "function") {
+      throw new InvalidArgumentError(
+        "Fetching a transaction by txid needs a ChainSource"
+      );
+    }
+    transaction = await source.getTransaction(transaction);
+  }
+  if (typeof transaction === "string" || transaction instanceof Uint8Array) {
+    transaction = parseTransaction(transaction);
+  }
+
+  const [first] = transaction.inputs;
+  const isCoinbase =
+    transaction.inputs.length === 1 &&
+    first.txid === COINBASE_TXID &&
+    first.index === 0xffffffff;
+
+  if (isCoinbase || !transaction.outputs.some((o) => isP2TR(o.script))) {
+    return null;
+  }
+
+  const [prevouts] = await resolvePrevouts([transaction], source);
+  return { transaction, prevouts };
+}
+
+// Raw block, or the block at a hash or height of a chain source
+async function fetchBlock(block, source) {
+  if (typeof block !== "number" && !isHash(block)) return block;
+
+  if (source == null || typeof source.getBlock !== "function") {
+    throw new InvalidArgumentError(
+      "Fetching a block by hash or height needs a ChainSource"
+    );
+  }
+  const hash =
+    typeof block === "number" ? await source.getBlockHash(block) : block;
+  return source.getBlock(hash);
+}
+
+function isHash(value) {
+  return typeof value === "string" && /^[0-9a-fA-F]{64}$/.test(value);
+}
+
+function isPrevoutProvider(value) {
+  return value != null && typeof value.getPrevouts === "function";
+}
+
+function prevoutScript(prevout) {
+  if (prevout == null) {
+    throw new InvalidArgumentError("Missing prevout", {
+      code: "MISSING_PREVOUT",
+    });
+  }
+  return prevout.script != null ? prevout.script : prevout;
+}
+
+module.exports = {
+  getEligibleInputs,
+  scanTransaction,
+  scanTransactionAsync,
+  scanParsedTransaction,
+  scanBlock,
+  resolvePrevouts,
+  getBlockOutputs,
+  fetchPrevouts,
+  fetchBlock,
+};
@@ -0,0 +1,46 @@
+// Worker thread of ScanPool. Runs scanOutputs for each job of a batch.
+const { Buffer } = require("buffer");
+const { parentPort, workerData } = require("worker_threads");
+const SilentPaymentBuilder = require("../classes/CreateOutput");
+const secp = require("./secp256k1");
+
+if (workerData.backend) secp.setBackend(workerData.backend);
+
+const b_scan = Buffer.from(workerData.b_scan, "hex");
+const B_spend = Buffer.from(workerData.B_spend, "hex");
+let precomputedLabels = {};
+
+function scanJob({ outputs, txid, ...builderOptions }) {
+  const matches = new SilentPaymentBuilder({
+    ...builderOptions,
+    network: workerData.network,
+  }).scanOutputs(b_scan, B_spend, outputs, precomputedLabels);
+
+  const result = {};
+
+  for (const [outputPubkey, match] of Object.entries(matches)) {
+    if (txid != null) {
+      match.txid = txid;
+      match.vout = outputs.findIndex(
+        (output) =>
+          Buffer.from(output.script, "hex").subarray(2).toString("hex") ===
+          outputPubkey
+      );
+    }
+    result[outputPubkey] = match.toJSON();
+  }
+
+  return result;
+}
+
+parentPort.on("message", ({ jobs, labels }) => {
+  if (labels) precomputedLabels = labels;
+
+  try {
+    parentPort.postMessage({ results: jobs.map(scanJob) });
+  } catch (e) {
+    parentPort.postMessage({
+      error: { name: e.name, message: e.message, code: e.code },
+    });
+  }
+});
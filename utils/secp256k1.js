@@ -0,0 +1,420 @@
+const { Buffer } = require("buffer");
+const elliptic = require("elliptic");
+const ec = new elliptic.ec("secp256k1");
+const BN = require("bn.js");
+const { taggedHash } = require("./hash");
+const { InvalidArgumentError } = require("./errors");
+const tinySecp256k1 = require("./tinySecp256k1");
+
+// Order of the group, for scalar arithmetic outside the backend
+const CURVE_ORDER = ec.curve.n;
+
+// Methods a backend must implement. Keys and tweaks are 32-byte scalars,
+// points are SEC1 encoded and every point returned is compressed. ECDSA
+// signatures are 64-byte r || s, signed with RFC6979 nonces and a low S.
+const BACKEND_METHODS = [
+  "isPoint",
+  "isPrivate",
+  "pointCompress",
+  "pointFromScalar",
+  "pointAdd",
+  "pointAddScalar",
+  "pointMultiply",
+  "privateAdd",
+  "privateNegate",
+  "sign",
+  "verify",
+  "recover",
+  "signSchnorr",
+];
+
+/**
+ * Backend on libsecp256k1 compiled to WebAssembly. Constant-time for
+ * secret-key operations and the default when it loads.
+ */
+
+function createTinySecp256k1Backend(ecc) {
+  return {
+    name: "tiny-secp256k1",
+    isPoint: (p) => ecc.isPoint(p),
+    isPrivate: (d) => ecc.isPrivate(d),
+    pointCompress: (p) => toBuffer(ecc.pointCompress(p, true)),
+    pointFromScalar: (d) => toBuffer(ecc.pointFromScalar(d, true)),
+    pointAdd: (a, b) => toBuffer(ecc.pointAdd(a, b, true)),
+    pointAddScalar: (p, tweak) => toBuffer(ecc.pointAddScalar(p, tweak, true)),
+    pointMultiply: (p, tweak) => toBuffer(ecc.pointMultiply(p, tweak, true)),
+    privateAdd: (d, tweak) => toBuffer(ecc.privateAdd(d, tweak)),
+    privateNegate: (d) => toBuffer(ecc.privateNegate(d)),
+    sign: (hash, d, extraEntropy) => toBuffer(ecc.sign(hash, d, extraEntropy)),
+    verify: (hash, p, signature) => ecc.verify(hash, p, signature),
+    recover: (hash, signature, recovery) =>
+      toBuffer(ecc.recover(hash, signature, recovery, true)),
+    signSchnorr: (hash, d, auxRand) =>
+      toBuffer(ecc.signSchnorr(hash, d, auxRand)),
+  };
+}
+
+/**
+ * Backend on elliptic. Pure JavaScript, slower and not constant-time. Used
+ * when tiny-secp256k1 cannot be loaded.
+ */
+
+const ellipticBackend = {
+  name: "elliptic",
+  isPoint(p) {
+    return decodePoint(p) !== null;
+  },
+  isPrivate(d) {
+    if (d.length !== 32) return false;
+    const scalar = new BN(d);
+    return !scalar.isZero() && scalar.cmp(ec.curve.n) < 0;
+  },
+  pointCompress(p) {
+    return encodePoint(requirePoint(p));
+  },
+  pointFromScalar(d) {
+    return encodePoint(ec.g.mul(new BN(d)));
+  },
+  pointAdd(a, b) {
+    return encodePoint(requirePoint(a).add(requirePoint(b)));
+  },
+  pointAddScalar(p, tweak) {
+    return encodePoint(requirePoint(p).add(ec.g.mul(new BN(tweak))));
+  },
+  pointMultiply(p, tweak) {
+    return encodePoint(requirePoint(p).mul(new BN(tweak)));
+  },
+  privateAdd(d, tweak) {
+    const sum = new BN(d).add(new BN(tweak)).umod(ec.curve.n);
+    return sum.isZero() ? null : sum.toArrayLike(Buffer, "be", 32);
+  },
+  privateNegate(d) {
+    return ec.curve.n
+      .sub(new BN(d))
+      .umod(ec.curve.n)
+      .toArrayLike(Buffer, "be", 32);
+  },
+  sign(hash, d, extraEntropy) {
+    const signature = ec.sign(Buffer.from(hash), Buffer.from(d), {
+      canonical: true,
+      pers: extraEntropy && Buffer.from(extraEntropy),
+    });
+    return Buffer.concat([
+      signature.r.toArrayLike(Buffer, "be", 32),
+      signature.s.toArrayLike(Buffer, "be", 32),
+    ]);
+  },
+  // Accepts a high S, like tiny-secp256k1 when not strict
+  verify(hash, p, signature) {
+    const point = decodePoint(p);
+    return (
+      point !== null &&
+      ec.verify(Buffer.from(hash), splitSignature(signature), point)
+    );
+  },
+  recover(hash, signature, recovery) {
+    try {
+      return encodePoint(
+        ec.recoverPubKey(Buffer.from(hash), splitSignature(signature), recovery)
+      );
+    } catch (e) {
+      return null;
+    }
+  },
+  // BIP-340
+  signSchnorr(hash, d, auxRand) {
+    const n = ec.curve.n;
+    const P = ec.g.mul(new BN(d));
+    const secret = P.getY().isOdd() ? n.sub(new BN(d)) : new BN(d);
+    const Px = P.getX().toArrayLike(Buffer, "be", 32);
+
+    const auxHash = taggedHash(auxRand, "BIP0340/aux");
+    const t = secret
+      .toArrayLike(Buffer, "be", 32)
+      .map((byte, i) => byte ^ auxHash[i]);
+    const k0 = new BN(
+      taggedHash(Buffer.concat([t, Px, hash]), "BIP0340/nonce")
+    ).umod(n);
+    if (k0.isZero()) throw new InvalidArgumentError("Invalid nonce");
+
+    const R = ec.g.mul(k0);
+    const k = R.getY().isOdd() ? n.sub(k0) : k0;
+    const Rx = R.getX().toArrayLike(Buffer, "be", 32);
+    const e = new BN(
+      taggedHash(Buffer.concat([Rx, Px, hash]), "BIP0340/challenge")
+    ).umod(n);
+
+    return Buffer.concat([
+      Rx,
+      k.add(e.mul(secret)).umod(n).toArrayLike(Buffer, "be", 32),
+    ]);
+  },
+};
+
+function decodePoint(p) {
+  try {
+    const point = ec.keyFromPublic(Buffer.from(p)).getPublic();
+    return point.validate() ? point : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function splitSignature(signature) {
+  return {
+    r: new BN(signature.subarray(0, 32)),
+    s: new BN(signature.subarray(32, 64)),
+  };
+}
+
+function requirePoint(p) {
+  const point = decodePoint(p);
+  if (point === null) throw new InvalidArgumentError("Expected Point");
+  return point;
+}
+
+function encodePoint(point) {
+  return point.isInfinity() ? null : Buffer.from(point.encodeCompressed());
+}
+
+function toBuffer(bytes) {
+  return bytes == null ? null : Buffer.from(bytes);
+}
+
+const tinySecp256k1Backend =
+  tinySecp256k1 && createTinySecp256k1Backend(tinySecp256k1);
+
+/**
+ * Methods bip32 needs, on elliptic. Signatures are RFC6979 with low S, like libsecp256k1
+ */
+
+const ellipticBip32Ecc = {
+  isPoint: (p) => ellipticBackend.isPoint(p),
+  isPrivate: (d) => ellipticBackend.isPrivate(d),
+  pointFromScalar: (d) => ellipticBackend.pointFromScalar(d),
+  pointAddScalar: (p, tweak) => ellipticBackend.pointAddScalar(p, tweak),
+  privateAdd: (d, tweak) => ellipticBackend.privateAdd(d, tweak),
+  privateNegate: (d) => ellipticBackend.privateNegate(d),
+  sign: (hash, d, extraEntropy) => ellipticBackend.sign(hash, d, extraEntropy),
+  verify(hash, p, signature) {
+    const s = new BN(signature.subarray(32, 64));
+    if (s.cmp(ec.curve.n.shrn(1)) > 0) return false;
+    return ellipticBackend.verify(hash, p, signature);
+  },
+};
+
+// Library for bip32
+const bip32Ecc = tinySecp256k1 || ellipticBip32Ecc;
+
+let backend = tinySecp256k1Backend || ellipticBackend;
+
+/**
+ * Set the backend used for all curve math
+ * @param newBackend "tiny-secp256k1", "elliptic" or an object implementing the backend methods
+ * @returns The backend now in use
+ */
+
+function setBackend(newBackend) {
+  if (newBackend === "elliptic") newBackend = ellipticBackend;
+  else if (newBackend === "tiny-secp256k1") {
+    if (tinySecp256k1Backend === null) {
+      throw new InvalidArgumentError("tiny-secp256k1 could not be loaded");
+    }
+    newBackend = tinySecp256k1Backend;
+  }
+
+  const missing = BACKEND_METHODS.filter(
+    (method) => typeof newBackend?.[method] !== "function"
+  );
+  if (missing.length > 0) {
+    throw new InvalidArgumentError(`Backend is missing ${missing.join(", ")}`);
+  }
+
+  backend = newBackend;
+  return backend;
+}
+
+function getBackend() {
+  return backend;
+}
+
+function isPoint(p) {
+  return backend.isPoint(p);
+}
+
+function isPrivate(d) {
+  return backend.isPrivate(d);
+}
+
+function pointFromScalar(d) {
+  return backend.pointFromScalar(d);
+}
+
+// Null when the sum is the point at infinity
+function pointAdd(a, b) {
+  return backend.pointAdd(a, b);
+}
+
+// Tweak-add: p + tweak·G, null at infinity
+function pointAddScalar(p, tweak) {
+  return backend.pointAddScalar(p, tweak);
+}
+
+function pointMultiply(p, tweak) {
+  return backend.pointMultiply(p, tweak);
+}
+
+// BIP-352 shared secret: the full point d·P, not a hash of it
+function ecdh(p, d) {
+  return backend.pointMultiply(p, d);
+}
+
+// ECDSA signature as 64-byte r || s with a low S
+function sign(hash, d, extraEntropy) {
+  return backend.sign(hash, d, extraEntropy);
+}
+
+function verify(hash, p, signature) {
+  return backend.verify(hash, p, signature);
+}
+
+// Public key of a 64-byte r || s signature and its recovery id, null if there is none
+function recover(hash, signature, recovery) {
+  return backend.recover(hash, signature, recovery);
+}
+
+/**
+ * DER encoding of a 64-byte r || s signature, as in Bitcoin scripts
+ */
+
+function toDER(signature) {
+  const integer = (bytes) => {
+    let start = 0;
+    while (start < 31 && bytes[start] === 0) start++;
+    bytes = bytes.subarray(start);
+    if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    return Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+  };
+
+  const body = Buffer.concat([
+    integer(signature.subarray(0, 32)),
+    integer(signature.subarray(32, 64)),
+  ]);
+  return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+function signSchnorr(hash, d, auxRand) {
+  return backend.signSchnorr(hash, d, auxRand);
+}
+
+// Null when the sum is zero
+function privateAdd(d, tweak) {
+  return backend.privateAdd(d, tweak);
+}
+
+function privateNegate(d) {
+  return backend.privateNegate(d);
+}
+
+function xOnly(p) {
+  return Buffer.from(p.subarray(1, 33));
+}
+
+function hasEvenY(p) {
+  return p[0] === 0x02;
+}
+
+function pointNegate(p) {
+  const negated = Buffer.from(p);
+  negated[0] = hasEvenY(p) ? 0x03 : 0x02;
+  return negated;
+}
+
+// Point with this x and an even y, null if there is none
+function liftX(x) {
+  const point = Buffer.concat([Buffer.from([0x02]), Buffer.from(x)]);
+  return x.length === 32 && backend.isPoint(point) ? point : null;
+}
+
+/**
+ * Compressed point from a public key as hex, bytes or an elliptic point
+ */
+
+function toPoint(key) {
+  if (key != null && typeof key.encodeCompressed === "function") {
+    return Buffer.from(key.encodeCompressed());
+  }
+
+  const bytes = typeof key === "string" ? Buffer.from(key, "hex") : key;
+  if (bytes == null || !backend.isPoint(bytes)) {
+    throw new InvalidArgumentError("Invalid public key");
+  }
+  return backend.pointCompress(bytes);
+}
+
+/**
+ * Elliptic point from a public key as hex or bytes, for the APIs returning elliptic points
+ */
+
+function toEllipticPoint(key) {
+  return ec.keyFromPublic(toPoint(key)).getPublic();
+}
+
+/**
+ * Public key of a private key as an elliptic point
+ */
+
+function ellipticPublicKey(d) {
+  return toEllipticPoint(backend.pointFromScalar(toScalar(d)));
+}
+
+/**
+ * 32-byte scalar from a private key or tweak as hex, bytes, BN or bigint.
+ * Does not check the range, see isPrivate
+ */
+
+function toScalar(value) {
+  if (BN.isBN(value)) return value.toArrayLike(Buffer, "be", 32);
+  if (typeof value === "bigint") value = value.toString(16);
+  if (typeof value === "string") {
+    value = value.replace(/^0x/, "");
+    return Buffer.from(value.padStart(64, "0"), "hex");
+  }
+
+  const bytes = Buffer.from(value);
+  return bytes.length < 32
+    ? Buffer.concat([Buffer.alloc(32 - bytes.length), bytes])
+    : bytes;
+}
+
+module.exports = {
+  CURVE_ORDER,
+  ellipticBackend,
+  tinySecp256k1Backend,
+  bip32Ecc,
+  ellipticBip32Ecc,
+  setBackend,
+  getBackend,
+  isPoint,
+  isPrivate,
+  pointFromScalar,
+  pointAdd,
+  pointAddScalar,
+  pointMultiply,
+  ecdh,
+  privateAdd,
+  privateNegate,
+  sign,
+  verify,
+  recover,
+  toDER,
+  signSchnorr,
+  xOnly,
+  hasEvenY,
+  pointNegate,
+  liftX,
+  toPoint,
+  toEllipticPoint,
+  ellipticPublicKey,
+  toScalar,
+};
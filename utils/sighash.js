@@ -0,0 +1,183 @@
+const { Buffer } = require("buffer");
+const { sha256 } = require("./hash");
+const { taggedHash, encodeVarint } = require("./utils");
+const { hash256 } = require("./transaction");
+const { InvalidArgumentError } = require("./errors");
+
+const SIGHASH_DEFAULT = 0x00;
+const SIGHASH_ALL = 0x01;
+const SIGHASH_NONE = 0x02;
+const SIGHASH_SINGLE = 0x03;
+const SIGHASH_ANYONECANPAY = 0x80;
+
+/**
+ * Message signed for a taproot key path spend, with the epoch byte (BIP-341)
+ * @param transaction Transaction being signed, as passed to serializeTransaction
+ * @param index Index of the input being signed
+ * @param prevouts Output spent by each input, as { script, value }
+ * @param hashType SIGHASH_DEFAULT, or SIGHASH_ALL, SIGHASH_NONE or SIGHASH_SINGLE, optionally with SIGHASH_ANYONECANPAY
+ * @returns Message bytes
+ */
+
+function taprootSigMsg(
+  transaction,
+  index,
+  prevouts,
+  hashType = SIGHASH_DEFAULT
+) {
+  const { version, inputs, outputs, locktime } = transaction;
+  const outputType = hashType === SIGHASH_DEFAULT ? SIGHASH_ALL : hashType & 3;
+  const anyoneCanPay = (hashType & SIGHASH_ANYONECANPAY) !== 0;
+
+  if (
+    hashType !== SIGHASH_DEFAULT &&
+    (outputType === 0 || (hashType & ~(SIGHASH_ANYONECANPAY | 3)) !== 0)
+  ) {
+    throw new InvalidArgumentError(`Invalid sighash type: ${hashType}`);
+  }
+  if (outputType === SIGHASH_SINGLE && index >= outputs.length) {
+    throw new InvalidArgumentError(
+      `No output ${index} for SIGHASH_SINGLE input ${index}`
+    );
+  }
+
+  const parts = [
+    Buffer.from([0x00, hashType]), // epoch and hash type
+    int32(version),
+    uint32(locktime),
+  ];
+
+  if (!anyoneCanPay) {
+    parts.push(
+      sha256(Buffer.concat(inputs.map(serializeOutpoint))),
+      sha256(Buffer.concat(prevouts.map((prevout) => uint64(prevout.value)))),
+      sha256(
+        Buffer.concat(prevouts.map((prevout) => varSlice(prevout.script)))
+      ),
+      sha256(Buffer.concat(inputs.map((input) => uint32(input.sequence))))
+    );
+  }
+  if (outputType === SIGHASH_ALL) {
+    parts.push(sha256(Buffer.concat(outputs.map(serializeOutput))));
+  }
+
+  parts.push(Buffer.from([0x00])); // key path spend without annex
+
+  if (anyoneCanPay) {
+    const input = inputs[index];
+    parts.push(
+      serializeOutpoint(input),
+      uint64(prevouts[index].value),
+      varSlice(prevouts[index].script),
+      uint32(input.sequence)
+    );
+  } else {
+    parts.push(uint32(index));
+  }
+  if (outputType === SIGHASH_SINGLE) {
+    parts.push(sha256(serializeOutput(outputs[index])));
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Signature hash of a taproot key path spend (BIP-341)
+ * @param transaction Transaction being signed, as passed to serializeTransaction
+ * @param index Index of the input being signed
+ * @param prevouts Output spent by each input, as { script, value }
+ * @param hashType Sighash type, SIGHASH_DEFAULT when not given. See taprootSigMsg
+ * @returns 32 byte sighash
+ */
+
+function taprootSighash(
+  transaction,
+  index,
+  prevouts,
+  hashType = SIGHASH_DEFAULT
+) {
+  return taggedHash(
+    taprootSigMsg(transaction, index, prevouts, hashType),
+    "TapSighash"
+  );
+}
+
+/**
+ * Signature hash of a P2WPKH spend with SIGHASH_ALL (BIP-143)
+ * @param transaction Transaction being signed, as passed to serializeTransaction
+ * @param index Index of the input being signed
+ * @param keyHash 20 byte hash160 of the public key
+ * @param value Value of the output being spent in satoshis
+ * @returns 32 byte sighash
+ */
+
+function segwitV0Sighash(transaction, index, keyHash, value) {
+  const { version, inputs, outputs, locktime } = transaction;
+  const input = inputs[index];
+
+  const scriptCode = Buffer.concat([
+    Buffer.from("1976a914", "hex"),
+    keyHash,
+    Buffer.from("88ac", "hex"),
+  ]);
+
+  const preimage = Buffer.concat([
+    int32(version),
+    hash256(Buffer.concat(inputs.map(serializeOutpoint))),
+    hash256(Buffer.concat(inputs.map((input) => uint32(input.sequence)))),
+    serializeOutpoint(input),
+    scriptCode,
+    uint64(value),
+    uint32(input.sequence),
+    hash256(Buffer.concat(outputs.map(serializeOutput))),
+    uint32(locktime),
+    uint32(SIGHASH_ALL),
+  ]);
+
+  return hash256(preimage);
+}
+
+function serializeOutpoint(input) {
+  return Buffer.concat([
+    Buffer.from(input.txid, "hex").reverse(),
+    uint32(input.index),
+  ]);
+}
+
+function serializeOutput(output) {
+  return Buffer.concat([uint64(output.value), varSlice(output.script)]);
+}
+
+function varSlice(data) {
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, "hex");
+  return Buffer.concat([encodeVarint(bytes.length), bytes]);
+}
+
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function uint64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+module.exports = {
+  SIGHASH_DEFAULT,
+  SIGHASH_ALL,
+  SIGHASH_NONE,
+  SIGHASH_SINGLE,
+  SIGHASH_ANYONECANPAY,
+  taprootSigMsg,
+  taprootSighash,
+  segwitV0Sighash,
+};
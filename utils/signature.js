@@ -0,0 +1,185 @@
+const { Buffer } = require("buffer");
+const BN = require("bn.js");
+const secp = require("./secp256k1");
+const { sha256 } = require("./hash");
+const { taggedHash, encodeVarint } = require("./utils");
+const Network = require("./network");
+const {
+  InvalidArgumentError,
+  InvalidKeyError,
+  InvalidSignatureError,
+} = require("./errors");
+
+const SIGNATURE_TAG_SCAN = "SilentPayments/SignatureScan";
+const SIGNATURE_TAG_SPEND = "SilentPayments/SignatureSpend";
+const MESSAGE_MAGIC = "\x18Bitcoin Signed Message:\n";
+
+/**
+ * The message to sign for signature-based key derivation. Commits to the network and account,
+ * so the same signing key gives unrelated keys on each.
+ * @param network Network name
+ * @param account Account index
+ * @returns Message text
+ */
+
+function signatureMessage({ network = Network.Mainnet, account = 0 } = {}) {
+  network = Network.from(network);
+  if (!Number.isInteger(account) || account < 0 || account >= 0x80000000) {
+    throw new InvalidArgumentError(`Invalid account index: ${account}`);
+  }
+
+  return [
+    "Silent payments key derivation",
+    "Version: 0",
+    `Network: ${network}`,
+    `Account: ${account}`,
+    "",
+    "Only sign this message in a wallet you trust to hold your silent payment keys.",
+  ].join("\n");
+}
+
+/**
+ * Hash of a message as signed by Bitcoin wallets (signmessage)
+ * @param message Message text
+ * @returns 32 byte hash
+ */
+
+function messageHash(message) {
+  const text = Buffer.from(message, "utf8");
+  const data = Buffer.concat([
+    Buffer.from(MESSAGE_MAGIC, "utf8"),
+    encodeVarint(text.length),
+    text,
+  ]);
+  return sha256(sha256(data));
+}
+
+/**
+ * Derive scan and spend private keys from a deterministic ECDSA signature over signatureMessage.
+ * The signature is verified, and its nonce checked to be deterministic (RFC6979), either by
+ * signing again with the private key or by comparing with a second signature of the same message.
+ * @param signature 64 byte r || s or 65 byte compact signature (signmessage), as Buffer, hex or base64
+ * @param message Signed message
+ * @param publicKey Signing public key. Optional with the private key, or for compact signatures which recover it
+ * @param privateKey Signing private key, to recompute the RFC6979 signature
+ * @param confirmation Second signature over the same message
+ * @returns Object with b_scan and b_spend (BN)
+ */
+
+function deriveKeysFromSignature(
+  signature,
+  { message, publicKey, privateKey, confirmation }
+) {
+  const hash = messageHash(message);
+  const parsed = parseSignature(signature);
+
+  if (privateKey != null) privateKey = secp.toScalar(privateKey);
+
+  if (publicKey != null) {
+    publicKey = secp.toPoint(publicKey);
+  } else if (privateKey != null) {
+    publicKey = secp.pointFromScalar(privateKey);
+  } else if (parsed.recovery !== null) {
+    publicKey = secp.recover(hash, parsed.bytes, parsed.recovery);
+  } else {
+    throw new InvalidArgumentError(
+      "A public key is needed to verify a 64 byte signature"
+    );
+  }
+
+  if (publicKey === null || !secp.verify(hash, publicKey, parsed.bytes)) {
+    throw new InvalidSignatureError(
+      "Invalid signature for the key derivation message"
+    );
+  }
+
+  let expected;
+  if (privateKey != null) {
+    if (!secp.pointFromScalar(privateKey).equals(publicKey)) {
+      throw new InvalidKeyError(
+        "Private key does not match the signing public key",
+        { code: "KEY_MISMATCH" }
+      );
+    }
+    expected = parseSignature(secp.sign(hash, privateKey));
+  } else if (confirmation != null) {
+    expected = parseSignature(confirmation);
+  } else {
+    throw new InvalidArgumentError(
+      "Cannot check that the signature is deterministic (RFC6979): " +
+        "pass the signing privateKey or a confirmation signature of the same message"
+    );
+  }
+
+  const s = lowS(parsed.s);
+  if (!expected.r.eq(parsed.r) || !lowS(expected.s).eq(s)) {
+    throw new InvalidSignatureError(
+      "Signature is not deterministic (RFC6979)",
+      {
+        code: "NON_DETERMINISTIC_SIGNATURE",
+      }
+    );
+  }
+
+  const rs = Buffer.concat([
+    parsed.r.toArrayLike(Buffer, "be", 32),
+    s.toArrayLike(Buffer, "be", 32),
+  ]);
+
+  return {
+    b_scan: toScalar(taggedHash(rs, SIGNATURE_TAG_SCAN)),
+    b_spend: toScalar(taggedHash(rs, SIGNATURE_TAG_SPEND)),
+  };
+}
+
+function parseSignature(signature) {
+  let bytes = signature;
+  if (typeof signature === "string") {
+    bytes = /^[0-9a-fA-F]+$/.test(signature)
+      ? Buffer.from(signature, "hex")
+      : Buffer.from(signature, "base64");
+  }
+  bytes = Buffer.from(bytes);
+
+  let recovery = null;
+  if (bytes.length === 65) {
+    // signmessage header: 27 + recovery id, + 4 for compressed keys, BIP-137 adds segwit variants
+    if (bytes[0] < 27 || bytes[0] > 42) {
+      throw new InvalidSignatureError("Invalid signature header");
+    }
+    recovery = (bytes[0] - 27) & 3;
+    bytes = bytes.subarray(1);
+  }
+  if (bytes.length !== 64)
+    throw new InvalidSignatureError("Invalid signature length");
+
+  const r = new BN(bytes.subarray(0, 32));
+  const s = new BN(bytes.subarray(32));
+  for (const value of [r, s]) {
+    if (value.isZero() || value.cmp(secp.CURVE_ORDER) >= 0) {
+      throw new InvalidSignatureError(
+        "Invalid signature: r and s must be in [1, n - 1]"
+      );
+    }
+  }
+
+  return { r, s, recovery, bytes };
+}
+
+function lowS(s) {
+  return s.cmp(secp.CURVE_ORDER.shrn(1)) > 0 ? secp.CURVE_ORDER.sub(s) : s;
+}
+
+function toScalar(hash) {
+  const scalar = new BN(hash);
+  if (scalar.isZero() || scalar.cmp(secp.CURVE_ORDER) >= 0) {
+    throw new InvalidKeyError("Derived key is out of range");
+  }
+  return scalar;
+}
+
+module.exports = {
+  signatureMessage,
+  messageHash,
+  deriveKeysFromSignature,
+};
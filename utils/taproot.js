@@ -1,10 +1,10 @@
-const elliptic = require("elliptic");
-const ec = new elliptic.ec("secp256k1");
-const BN = require("bn.js");
-const { createHash } = require("crypto");
+const { Buffer } = require("buffer");
+const secp = require("./secp256k1");
 const { convertToBase32, encodeBech32 } = require("./bech32");
 const { TAPROOT_WITNESS_VERSION } = require("./const");
 const Network = require("./network");
+const { taggedHash, _getTagHashedMerkleRoot } = require("./utils");
+const { InvalidKeyError } = require("./errors");
 
 class P2trAddress {
   constructor(address, pubkey) {
@@ -26,7 +26,7 @@ function toTaprootAddress(
   const words = convertToBase32(Buffer.from(pubKey, "hex"));
   words.unshift(TAPROOT_WITNESS_VERSION);
 
-  const hrp = network == Network.Testnet ? "tb" : "bc";
+  const hrp = Network.params(network).segwitHrp;
   return P2trAddress.saveTaproot({
     address: encodeBech32(hrp, words),
     pubkey: Buffer.from(pubKey, "hex"),
@@ -34,69 +34,47 @@ function toTaprootAddress(
 }
 
 function toTapRotHex(pubKey, { script = null, tweak = true }) {
-  let point = ec.keyFromPublic(pubKey, "hex").getPublic();
+  let point = secp.toPoint(pubKey);
 
   if (tweak) {
     const scriptBytes = script?.map((e) => e.map((e) => Buffer.from(e, "hex")));
     point = P2TRUtils.tweakPublicKey(point, { script: scriptBytes });
   }
 
-  return point.getX().toString("hex").padStart(64, "0");
+  return secp.xOnly(point).toString("hex");
 }
 
 class P2TRUtils {
   static tweakPublicKey(pubPoint, { script = null }) {
     const h = this.calculateTweak(pubPoint, { script });
-    const n = ec.g.mul(new BN(h, 16));
-    const outPoint = this.liftX(pubPoint).add(n);
-
-    return outPoint;
+    return secp.pointAddScalar(this.liftX(pubPoint), Buffer.from(h, "hex"));
   }
 
   static liftX(pubKeyPoint) {
-    const p = ec.curve.p; // Prime for the secp256k1 curve
-    const x = pubKeyPoint.x;
-
-    // Check if x is valid
-    if (x.cmp(p) >= 0) {
-      throw new Error("Unable to compute LiftX point");
-    }
-
-    // Compute y^2 = (x^3 + 7) % p
-    const ySq = x.pow(new BN(3)).mod(p).add(new BN(7)).mod(p);
-
-    // Compute y = ySq ^ ((p + 1) / 4) % p
-    const y = ySq.pow(p.add(new BN(1)).div(new BN(4))).mod(p);
-
-    // Check if y^2 == ySq (i.e., the point is on the curve)
-    if (y.pow(new BN(2)).mod(p).cmp(ySq) !== 0) {
-      throw new Error("Unable to compute LiftX point");
+    // Point with this x and an even y
+    const point = secp.liftX(secp.xOnly(pubKeyPoint));
+    if (point === null) {
+      throw new InvalidKeyError("Unable to compute LiftX point");
     }
-
-    // Ensure y is the correct parity (even or odd)
-    const result = y.isEven() ? y : p.sub(y);
-
-    // Return the new point on the curve
-    return ec.curve.point(x, result);
+    return point;
   }
 
   static calculateTweak(pubPoint, { script = null }) {
-    const x = pubPoint.getX().toString("hex").padStart(64, "0");
-    let t = Buffer.from(x, "hex");
+    const x = secp.xOnly(pubPoint);
+    let t = x;
 
+    // BIP-341: t = hashTapTweak(x || merkle root)
     if (script) {
-      const h = createHash("sha256");
-      h.update(t);
-      for (const leaf of script) {
-        h.update(Buffer.concat(leaf));
-      }
-      t = h.digest();
+      const leaves = script.map((leaf) => Buffer.concat(leaf));
+      t = Buffer.concat([x, _getTagHashedMerkleRoot(leaves)]);
     }
 
-    return t.toString("hex");
+    return taggedHash(t, "TapTweak").toString("hex");
   }
 }
 
 module.exports = {
+  P2trAddress,
+  P2TRUtils,
   toTaprootAddress,
 };
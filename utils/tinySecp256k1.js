@@ -0,0 +1,11 @@
+// tiny-secp256k1, or null without WebAssembly. The react-native field of
+// package.json swaps this file for noTinySecp256k1.js, so bundlers never see
+// the WebAssembly import there
+let tinySecp256k1 = null;
+try {
+  tinySecp256k1 = require("tiny-secp256k1");
+} catch (e) {
+  // No WebAssembly, fall back to elliptic
+}
+
+module.exports = tinySecp256k1;
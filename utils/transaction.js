@@ -0,0 +1,291 @@
+const { Buffer } = require("buffer");
+const { sha256d: hash256 } = require("./hash");
+const { encodeVarint } = require("./utils");
+const { InvalidFormatError } = require("./errors");
+
+// Marker and flag bytes of the segwit serialization (BIP-144)
+const SEGWIT_MARKER = 0x00;
+const SEGWIT_FLAG = 0x01;
+
+/**
+ * Reads Bitcoin serialized data from a buffer, keeping track of the offset.
+ */
+
+class ByteReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  _ensure(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new InvalidFormatError("Unexpected end of data");
+    }
+  }
+
+  readSlice(length) {
+    this._ensure(length);
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  readUInt8() {
+    this._ensure(1);
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  readUInt32() {
+    this._ensure(4);
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readInt32() {
+    this._ensure(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readUInt64() {
+    this._ensure(8);
+    const value = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  readVarInt() {
+    const first = this.readUInt8();
+    if (first < 0xfd) return first;
+
+    if (first === 0xfd) {
+      this._ensure(2);
+      const value = this.buffer.readUInt16LE(this.offset);
+      this.offset += 2;
+      return value;
+    }
+
+    if (first === 0xfe) return this.readUInt32();
+
+    const value = this.readUInt64();
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new InvalidFormatError("VarInt is too large");
+    }
+    return Number(value);
+  }
+
+  readVarSlice() {
+    return this.readSlice(this.readVarInt());
+  }
+
+  get remaining() {
+    return this.buffer.length - this.offset;
+  }
+}
+
+/**
+ * Parse a serialized Bitcoin transaction. Handles both the legacy and the segwit formats.
+ * @param tx Raw transaction as hex, Buffer or Uint8Array
+ * @returns Object with txid, version, inputs, outputs, locktime and hasWitness
+ */
+
+function parseTransaction(tx) {
+  const buffer = toBuffer(tx);
+  const reader = new ByteReader(buffer);
+  const transaction = readTransaction(reader);
+
+  if (reader.remaining !== 0) {
+    throw new InvalidFormatError("Unexpected data after transaction");
+  }
+
+  return transaction;
+}
+
+/**
+ * Read one transaction from a ByteReader, advancing its offset.
+ * @param reader ByteReader positioned at the start of the transaction
+ * @returns Parsed transaction. See parseTransaction
+ */
+
+function readTransaction(reader) {
+  const start = reader.offset;
+  const version = reader.readInt32();
+
+  let hasWitness = false;
+  if (
+    reader.buffer[reader.offset] === SEGWIT_MARKER &&
+    reader.buffer[reader.offset + 1] === SEGWIT_FLAG
+  ) {
+    reader.readSlice(2);
+    hasWitness = true;
+  }
+
+  const bodyStart = reader.offset;
+
+  const inputs = [];
+  const inputCount = reader.readVarInt();
+  for (let i = 0; i < inputCount; i++) {
+    const txid = Buffer.from(reader.readSlice(32)).reverse().toString("hex");
+    const index = reader.readUInt32();
+    const scriptSig = reader.readVarSlice();
+    const sequence = reader.readUInt32();
+
+    inputs.push({ txid, index, scriptSig, sequence, witness: [] });
+  }
+
+  const outputs = [];
+  const outputCount = reader.readVarInt();
+  for (let i = 0; i < outputCount; i++) {
+    const value = reader.readUInt64();
+    const script = reader.readVarSlice();
+
+    outputs.push({ value, script });
+  }
+
+  const bodyEnd = reader.offset;
+
+  if (hasWitness) {
+    for (const input of inputs) {
+      const itemCount = reader.readVarInt();
+      for (let i = 0; i < itemCount; i++) {
+        input.witness.push(reader.readVarSlice());
+      }
+    }
+  }
+
+  const locktime = reader.readUInt32();
+
+  // The txid commits to the transaction without marker, flag and witness
+  const txid = hash256(
+    Buffer.concat([
+      reader.buffer.subarray(start, start + 4),
+      reader.buffer.subarray(bodyStart, bodyEnd),
+      reader.buffer.subarray(reader.offset - 4, reader.offset),
+    ])
+  )
+    .reverse()
+    .toString("hex");
+
+  return { txid, version, inputs, outputs, locktime, hasWitness };
+}
+
+/**
+ * Serialize a transaction. Uses the segwit format when any input has a witness.
+ * @param transaction Object with version, inputs, outputs and locktime, as returned by parseTransaction
+ * @returns Raw transaction as Buffer
+ */
+
+function serializeTransaction({ version, inputs, outputs, locktime }) {
+  const hasWitness = inputs.some(
+    (input) => input.witness && input.witness.length > 0
+  );
+
+  const parts = [writeInt32(version)];
+  if (hasWitness) parts.push(Buffer.from([SEGWIT_MARKER, SEGWIT_FLAG]));
+
+  parts.push(encodeVarint(inputs.length));
+  for (const input of inputs) {
+    parts.push(Buffer.from(input.txid, "hex").reverse());
+    parts.push(writeUInt32(input.index));
+    parts.push(writeVarSlice(input.scriptSig || Buffer.alloc(0)));
+    parts.push(writeUInt32(input.sequence));
+  }
+
+  parts.push(encodeVarint(outputs.length));
+  for (const output of outputs) {
+    parts.push(writeUInt64(output.value));
+    parts.push(writeVarSlice(output.script));
+  }
+
+  if (hasWitness) {
+    for (const input of inputs) {
+      const witness = input.witness || [];
+      parts.push(encodeVarint(witness.length));
+      for (const item of witness) parts.push(writeVarSlice(item));
+    }
+  }
+
+  parts.push(writeUInt32(locktime));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse a serialized Bitcoin block
+ * @param block Raw block as hex, Buffer or Uint8Array
+ * @returns Object with the block hash, header and parsed transactions
+ */
+
+function parseBlock(block) {
+  const buffer = toBuffer(block);
+  const reader = new ByteReader(buffer);
+
+  const rawHeader = reader.readSlice(80);
+  const header = {
+    version: rawHeader.readInt32LE(0),
+    prevBlock: Buffer.from(rawHeader.subarray(4, 36)).reverse().toString("hex"),
+    merkleRoot: Buffer.from(rawHeader.subarray(36, 68))
+      .reverse()
+      .toString("hex"),
+    time: rawHeader.readUInt32LE(68),
+    bits: rawHeader.readUInt32LE(72),
+    nonce: rawHeader.readUInt32LE(76),
+  };
+
+  const transactions = [];
+  const txCount = reader.readVarInt();
+  for (let i = 0; i < txCount; i++) {
+    transactions.push(readTransaction(reader));
+  }
+
+  if (reader.remaining !== 0) {
+    throw new InvalidFormatError("Unexpected data after block");
+  }
+
+  return {
+    hash: hash256(rawHeader).reverse().toString("hex"),
+    header,
+    transactions,
+  };
+}
+
+function writeInt32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+}
+
+function writeUInt32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function writeUInt64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function writeVarSlice(data) {
+  const bytes = toBuffer(data);
+  return Buffer.concat([encodeVarint(bytes.length), bytes]);
+}
+
+// Hex strings are decoded, Uint8Arrays are viewed as a Buffer without copying
+function toBuffer(data) {
+  if (data instanceof Uint8Array) {
+    return Buffer.from(data.buffer, data.byteOffset, data.length);
+  }
+  return Buffer.from(data, "hex");
+}
+
+module.exports = {
+  ByteReader,
+  parseTransaction,
+  readTransaction,
+  serializeTransaction,
+  parseBlock,
+  hash256,
+};
@@ -0,0 +1,108 @@
+const SilentPaymentBuilder = require("../classes/CreateOutput");
+const { parseTransaction, parseBlock } = require("./transaction");
+const {
+  getEligibleInputs,
+  resolvePrevouts,
+  getBlockOutputs,
+  fetchPrevouts,
+  fetchBlock,
+} = require("./scan");
+const { isP2TR } = require("./input");
+
+/**
+ * Compute the tweak data of a transaction, input_hash·A_sum, as served by a
+ * BIP-352 tweak index to light clients.
+ * @param transaction Raw transaction as hex, Buffer or Uint8Array, or a transaction returned by parseTransaction
+ * @param prevouts Script of the output spent by each input, in input order.
+ * Either the script or an object with a script field like BitcoinScriptOutput
+ * @param dustLimit Optional amount in satoshis. Transactions whose taproot outputs
+ * are all below it are skipped
+ * @returns 33 byte compressed tweak as hex or null if the transaction is not eligible
+ */
+
+function computeTransactionTweak(transaction, prevouts, { dustLimit } = {}) {
+  if (typeof transaction === "string" || transaction instanceof Uint8Array) {
+    transaction = parseTransaction(transaction);
+  }
+
+  if (!hasOutputAboveDust(transaction, dustLimit)) return null;
+
+  const inputs = getEligibleInputs(transaction, prevouts);
+  if (inputs === null) return null;
+
+  return new SilentPaymentBuilder({ inputs }).getReceiverTweak();
+}
+
+/**
+ * Compute the tweak data of a transaction, fetching the outputs it spends
+ * @param transaction Raw transaction as hex, Buffer or Uint8Array, or a transaction returned by parseTransaction.
+ * Its txid works too with a chain source
+ * @param source ChainSource or prevout provider. See scanTransactionAsync
+ * @param dustLimit Optional amount in satoshis. See computeTransactionTweak
+ * @returns Promise of the 33 byte compressed tweak as hex or null if the transaction is not eligible
+ */
+
+async function computeTransactionTweakAsync(
+  transaction,
+  source,
+  { dustLimit } = {}
+) {
+  const fetched = await fetchPrevouts(transaction, source);
+  if (fetched === null) return null;
+
+  return computeTransactionTweak(fetched.transaction, fetched.prevouts, {
+    dustLimit,
+  });
+}
+
+/**
+ * Compute the tweak data of every eligible transaction of a block.
+ * The coinbase and ineligible transactions are skipped.
+ * @param rawBlock Raw block as hex, Buffer or Uint8Array. Its hash or height works too with a chain source
+ * @param prevoutProvider ChainSource or prevout provider. See scanBlock
+ * @param dustLimit Optional amount in satoshis. Transactions whose taproot outputs
+ * are all below it are skipped
+ * @returns Array of { txid, tweak } in block order, tweak being 33 byte compressed hex
+ */
+
+async function computeBlockTweaks(
+  rawBlock,
+  prevoutProvider,
+  { dustLimit } = {}
+) {
+  const block = parseBlock(await fetchBlock(rawBlock, prevoutProvider));
+
+  const transactions = block.transactions
+    .slice(1)
+    .filter(
+      (transaction) =>
+        transaction.outputs.some((o) => isP2TR(o.script)) &&
+        hasOutputAboveDust(transaction, dustLimit)
+    );
+  const prevouts = await resolvePrevouts(
+    transactions,
+    prevoutProvider,
+    getBlockOutputs(block)
+  );
+
+  const tweaks = [];
+  transactions.forEach((transaction, i) => {
+    const tweak = computeTransactionTweak(transaction, prevouts[i]);
+    if (tweak !== null) tweaks.push({ txid: transaction.txid, tweak });
+  });
+  return tweaks;
+}
+
+function hasOutputAboveDust(transaction, dustLimit) {
+  if (dustLimit == null) return true;
+
+  return transaction.outputs.some(
+    (output) => isP2TR(output.script) && output.value >= BigInt(dustLimit)
+  );
+}
+
+module.exports = {
+  computeTransactionTweak,
+  computeTransactionTweakAsync,
+  computeBlockTweaks,
+};